@@ -0,0 +1,176 @@
+// Human-readable ABIs, so the client can be used without the hardhat build artifacts
+
+const ownable = [
+  'error MustBeCalledByOwner()',
+  'error MustBeCalledByPendingOwner()',
+  'error InvalidOwner()',
+
+  'event OwnershipTransferred(address indexed newOwner)',
+  'event OwnershipTransferProposed(address indexed pendingOwner)',
+  'event OwnershipTransferCancelled(address indexed pendingOwner)',
+
+  'function owner() view returns (address)',
+  'function pendingOwner() view returns (address)',
+  'function transferOwnership(address newOwner)',
+  'function acceptOwnership()',
+  'function cancelOwnershipTransfer()',
+  'function renounceOwnership()',
+];
+
+const listRegistry = [
+  ...ownable,
+
+  'error InvalidValue()',
+  'error ElementNotFound()',
+  'error DuplicateValue(bytes16 existingIndex)',
+  'error ListNotEmpty()',
+  'error UniqueValuesNotEnabled()',
+  'error ListAlreadyExists(bytes32 list)',
+  'error MustBeCalledByListAdmin(bytes32 list)',
+  'error MustBeCalledByListEditor(bytes32 list)',
+  'error ListNotCreated(bytes32 list)',
+  'error IndexAlreadyUsed(bytes16 index)',
+
+  'event ElementAdded(bytes32 indexed list, bytes16 index, string value)',
+  'event ElementRemoved(bytes32 indexed list, bytes16 index, string value)',
+  'event ElementInserted(bytes32 indexed list, bytes16 index, bytes16 previous, bytes16 next, string value)',
+  'event ElementMoved(bytes32 indexed list, bytes16 index, bytes16 previous, bytes16 next)',
+  'event UniqueValuesSet(bytes32 indexed list, bool enabled)',
+  'event ElementsAdded(bytes32 indexed list, uint256 count)',
+  'event ElementsRemoved(bytes32 indexed list, uint256 count)',
+  'event ListReplaced(bytes32 indexed list, uint256 removedCount, uint256 addedCount)',
+  'event ElementsImported(bytes32 indexed list, uint256 count)',
+  'event ListCreated(bytes32 indexed list, address indexed creator, string name, string description, uint8 valueType)',
+  'event ListMetadataUpdated(bytes32 indexed list, string name, string description, uint8 valueType)',
+  'event ListAdminSet(bytes32 indexed list, address indexed account, bool enabled)',
+  'event ListEditorSet(bytes32 indexed list, address indexed account, bool enabled)',
+
+  'function getList(bytes32 list) view returns (bytes16 first, bytes16 last)',
+  'function getElement(bytes32 list, bytes16 index) view returns (string value, bytes16 previous, bytes16 next)',
+  'function getListLength(bytes32 list) view returns (uint256 length)',
+  'function isListAdmin(bytes32 list, address account) view returns (bool)',
+  'function isListEditor(bytes32 list, address account) view returns (bool)',
+  'function canEdit(bytes32 list, address account) view returns (bool)',
+  'function uniqueValues(bytes32 list) view returns (bool)',
+  'function indexOf(bytes32 list, string value) view returns (bytes16 index)',
+  'function getFullList(bytes32 list) view returns (string[] listValues)',
+  'function getListPage(bytes32 list, bytes16 cursor, uint256 limit) view returns (string[] listValues, bytes16[] indexes, bytes16 nextCursor)',
+  'function getCommitment(bytes32 list) view returns (bytes32 root, uint256 leafCount)',
+  'function getProof(bytes32 list, bytes16 index) view returns (uint256 position, bytes32[] siblings)',
+  'function getListMetadata(bytes32 list) view returns (string name, string description, uint8 valueType, bool created)',
+  'function getListCount() view returns (uint256)',
+  'function getLists(uint256 start, uint256 limit) view returns (bytes32[] ids)',
+  'function createList(bytes32 list, bool assignAdmin, string name, string description, uint8 valueType)',
+  'function setListMetadata(bytes32 list, string name, string description, uint8 valueType)',
+  'function setListAdmin(bytes32 list, address account, bool enabled)',
+  'function setListEditor(bytes32 list, address account, bool enabled)',
+  'function addElement(bytes32 list, string value) returns (bytes16 index)',
+  'function addElements(bytes32 list, string[] values) returns (bytes16[] indexes)',
+  'function insertAfter(bytes32 list, bytes16 previous, string value) returns (bytes16 index)',
+  'function insertBefore(bytes32 list, bytes16 next, string value) returns (bytes16 index)',
+  'function moveElement(bytes32 list, bytes16 index, bytes16 previous)',
+  'function setUniqueValues(bytes32 list, bool enabled)',
+  'function removeElement(bytes32 list, bytes16 index)',
+  'function removeElements(bytes32 list, bytes16[] indexes)',
+  'function replaceList(bytes32 list, string[] values) returns (bytes16[] indexes)',
+  'function importElements(bytes32 list, bytes16[] indexes, string[] values)',
+];
+
+const sponsorAuction = [
+  ...ownable,
+
+  'error Overflow()',
+  'error InvalidValue()',
+  'error ElementNotFound()',
+  'error MustBeCalledBySponsorOwner(address owner)',
+  'error SponsorListFull(bytes16 campaign)',
+  'error SponsorListNotOversized(bytes16 campaign)',
+  'error InvalidSponsor(bytes32 sponsorId)',
+  'error UnapprovedSponsor(bytes32 sponsorId)',
+  'error SponsorAlreadyActive(bytes32 sponsorId)',
+  'error SponsorInactive(bytes32 sponsorId)',
+  'error SponsorBalanceEmpty(bytes32 sponsorId)',
+  'error MustWithdrawBalanceToChangeToken(bytes32 sponsorId)',
+  'error InsufficentBidToSwap(uint256 currentBid, uint256 attemptedSwapBid)',
+  'error TokenNotAllowed(bytes16 campaign, address token)',
+  'error BidBelowReservePrice(uint256 reservePrice, uint256 bid)',
+  'error CampaignNotActive(bytes16 campaign)',
+  'error SponsorEnded(bytes32 sponsorId)',
+  'error InvalidRevenueSplits()',
+
+  'event NewSponsor(bytes32 indexed sponsor, bytes16 indexed campaign, address indexed owner, address token, uint128 paymentPerSecond, string metadata)',
+  'event PaymentProcessed(bytes16 indexed campaign, bytes32 indexed sponsor, address indexed paymentToken, uint256 paymentAmount)',
+  'event SponsorActivated(bytes16 indexed campaign, bytes32 indexed sponsor)',
+  'event SponsorDeactivated(bytes16 indexed campaign, bytes32 indexed sponsor)',
+  'event SponsorSwapped(bytes16 campaign, bytes32 sponsorDeactivated, bytes32 sponsorActivated)',
+  'event MetadataUpdated(bytes32 indexed sponsor, string metadata)',
+  'event SponsorOwnerTransferred(bytes32 indexed sponsor, address newOwner)',
+  'event OperatorSet(bytes32 indexed sponsor, address indexed owner, address indexed operator, bool enabled)',
+  'event BidUpdated(bytes32 indexed sponsor, address indexed token, uint256 paymentPerSecond)',
+  'event Deposit(bytes32 indexed sponsor, address indexed token, uint256 amount)',
+  'event Withdrawal(bytes32 indexed sponsor, address indexed token, uint256 amount)',
+  'event ApprovalSet(bytes32 indexed sponsor, bool approved)',
+  'event ModerationReason(bytes32 indexed sponsor, uint16 reasonCode, string reason)',
+  'event NumberOfSlotsChanged(bytes16 indexed campaign, uint8 newNumSlots)',
+  'event TreasuryWithdrawal(address indexed token, address indexed recipient, uint256 amount)',
+  'event OracleUpdated(address indexed oracle)',
+  'event ReservePriceSet(bytes16 indexed campaign, uint128 reservePrice)',
+  'event MinBidIncrementSet(bytes16 indexed campaign, uint16 minBidIncrement)',
+  'event TokenAllowlistEnabled(bytes16 indexed campaign, bool enabled)',
+  'event TokenAllowed(bytes16 indexed campaign, address indexed token, bool allowed)',
+  'event CampaignTimesSet(bytes16 indexed campaign, uint32 startTime, uint32 endTime)',
+  'event SpendLimitsSet(bytes32 indexed sponsor, uint128 maxSpend, uint32 endTime)',
+  'event RevenueSplitsSet(bytes16 indexed campaign, address[] payees, uint16[] shares)',
+  'event RevenueCredited(bytes16 indexed campaign, address indexed payee, address indexed token, uint256 amount)',
+  'event RevenueWithdrawal(address indexed payee, address indexed token, address recipient, uint256 amount)',
+
+  'function oracle() view returns (address)',
+  'function paymentCollected(address token) view returns (uint256)',
+  'function revenueBalance(address payee, address token) view returns (uint256)',
+  'function revenueAccrued(address payee, address token) view returns (uint256)',
+  'function getSponsor(bytes32 sponsorId) view returns (address owner, bool approved, bool active, address token, uint128 paymentPerSecond, bytes16 campaign, uint32 lastUpdated, string metadata)',
+  'function getCampaign(bytes16 campaignId) view returns (uint8 slots, uint8 activeSlots, uint128 reservePrice, uint16 minBidIncrement, bool tokenAllowlistEnabled, uint32 startTime, uint32 endTime)',
+  'function getSpendLimits(bytes32 sponsorId) view returns (uint128 maxSpend, uint128 spent, uint32 endTime)',
+  'function isOperator(bytes32 sponsorId, address account) view returns (bool)',
+  'function getRevenueSplits(bytes16 campaignId) view returns (address[] payees, uint16[] shares)',
+  'function isTokenAllowed(bytes16 campaignId, address token) view returns (bool)',
+  'function sponsorBalance(bytes32 sponsorId) view returns (uint128 balance, uint128 storedBalance, uint128 pendingPayment)',
+  'function getActiveSponsors(bytes16 campaignId) view returns (bytes32[] activeSponsors)',
+  'function paymentRate(bytes32 sponsorId) view returns (uint128 paymentPerSecond, uint128 paymentPerSecondInETH)',
+  'function createSponsor(address token, bytes16 campaign, uint256 initialDeposit, uint128 paymentPerSecond, string metadata) returns (bytes32 id)',
+  'function createSponsorWithPermit(address token, bytes16 campaign, uint256 initialDeposit, uint128 paymentPerSecond, string metadata, (uint256 deadline, bool daiStyle, uint8 v, bytes32 r, bytes32 s) permitSignature) returns (bytes32 id)',
+  'function deposit(bytes32 sponsorId, uint256 amount)',
+  'function depositWithPermit(bytes32 sponsorId, uint256 amount, (uint256 deadline, bool daiStyle, uint8 v, bytes32 r, bytes32 s) permitSignature)',
+  'function updateBid(bytes32 sponsorId, address token, uint128 paymentPerSecond)',
+  'function updateMetadata(bytes32 sponsorId, string metadata)',
+  'function withdraw(bytes32 sponsorId, uint256 amountRequested, address recipient) returns (uint256 withdrawAmount)',
+  'function setSpendLimits(bytes32 sponsorId, uint128 maxSpend, uint32 endTime)',
+  'function setOperator(bytes32 sponsorId, address operator, bool enabled)',
+  'function transferSponsorOwnership(bytes32 sponsorId, address newOwner)',
+  'function lift(bytes32 sponsorId)',
+  'function drop(bytes32 sponsorId)',
+  'function swap(bytes32 inactiveSponsorId, bytes32 activeSponsorId)',
+  'function processPayment(bytes32 sponsorId)',
+  'function rebalance(bytes16 campaignId, bytes32[] candidateIds)',
+  'function setApproved(bytes32 sponsorId, bool approved)',
+  'function moderate(bytes32 sponsorId, bool approved, uint16 reasonCode, string reason)',
+  'function moderateBatch(bytes32[] sponsorIds, bool approved, uint16 reasonCode, string reason)',
+  'function setNumSlots(bytes16 campaign, uint8 newNumSlots)',
+  'function setReservePrice(bytes16 campaign, uint128 reservePrice)',
+  'function setMinBidIncrement(bytes16 campaign, uint16 minBidIncrement)',
+  'function setTokenAllowlistEnabled(bytes16 campaign, bool enabled)',
+  'function setTokenAllowed(bytes16 campaign, address token, bool allowed)',
+  'function setCampaignTimes(bytes16 campaign, uint32 startTime, uint32 endTime)',
+  'function setOracle(address newOracle)',
+  'function setRevenueSplits(bytes16 campaign, address[] payees, uint16[] shares)',
+  'function withdrawRevenue(address token, address recipient) returns (uint256 amount)',
+  'function withdrawTreasury(address token, address recipient) returns (uint256 amount)',
+];
+
+// The parts of EIP-2612 and DAI-style tokens needed to sign permits
+const permitToken = [
+  'function name() view returns (string)',
+  'function nonces(address owner) view returns (uint256)',
+];
+
+module.exports = { listRegistry, sponsorAuction, permitToken };
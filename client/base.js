@@ -0,0 +1,76 @@
+const { Contract } = require('ethers');
+const { decodeError } = require('./errors');
+
+class BaseClient {
+  constructor(address, abi, signerOrProvider) {
+    this.contract = new Contract(address, abi, signerOrProvider);
+    this.interface = this.contract.interface;
+  }
+
+  get address() {
+    return this.contract.address;
+  }
+
+  connect(signerOrProvider) {
+    return new this.constructor(this.address, signerOrProvider);
+  }
+
+  // Ownership (both contracts are Ownable)
+
+  owner() {
+    return this._call('owner');
+  }
+
+  pendingOwner() {
+    return this._call('pendingOwner');
+  }
+
+  transferOwnership(newOwner) {
+    return this._send('transferOwnership', newOwner);
+  }
+
+  acceptOwnership() {
+    return this._send('acceptOwnership');
+  }
+
+  cancelOwnershipTransfer() {
+    return this._send('cancelOwnershipTransfer');
+  }
+
+  renounceOwnership() {
+    return this._send('renounceOwnership');
+  }
+
+  // Runs a contract call, re-throwing reverts as the matching ContractError
+  async _call(method, ...args) {
+    try {
+      return await this.contract[method](...args);
+    } catch (err) {
+      throw decodeError(this.interface, err) || err;
+    }
+  }
+
+  // Sends a transaction and waits for it to be mined
+  async _send(method, ...args) {
+    const tx = await this._call(method, ...args);
+    try {
+      return await tx.wait();
+    } catch (err) {
+      throw decodeError(this.interface, err) || err;
+    }
+  }
+
+  _findEvent(receipt, eventName) {
+    const [event] = this._findEvents(receipt, eventName);
+    return event || null;
+  }
+
+  _findEvents(receipt, eventName) {
+    return receipt.logs
+      .filter(log => log.address.toLowerCase() === this.address.toLowerCase())
+      .map(log => this.interface.parseLog(log))
+      .filter(parsed => parsed.name === eventName);
+  }
+}
+
+module.exports = BaseClient;
@@ -0,0 +1,60 @@
+const { utils } = require('ethers');
+
+const ZERO_INDEX = '0x00000000000000000000000000000000';
+
+function encodeFixed(name, length) {
+  if (utils.isHexString(name, length)) {
+    return name.toLowerCase();
+  }
+
+  const bytes = utils.toUtf8Bytes(name);
+  if (bytes.length === 0 || bytes.length > length) {
+    throw new Error(`"${name}" must be between 1 and ${length} bytes long`);
+  }
+
+  return utils.hexlify(utils.concat([bytes, new Uint8Array(length - bytes.length)]));
+}
+
+function decodeFixed(value) {
+  const bytes = utils.arrayify(value);
+  let end = bytes.length;
+  while (end > 0 && bytes[end - 1] === 0) {
+    end -= 1;
+  }
+  return utils.toUtf8String(bytes.slice(0, end));
+}
+
+// List IDs are bytes32, campaign IDs are bytes16. Both are usually short strings,
+// but already-encoded hex values are passed through untouched.
+const encodeListName = (name) => encodeFixed(name, 32);
+const encodeCampaignName = (name) => encodeFixed(name, 16);
+
+const decodeListName = decodeFixed;
+const decodeCampaignName = decodeFixed;
+
+// Mirrors ListRegistry.ValueType
+const LIST_VALUE_TYPES = ['string', 'address', 'url', 'json'];
+
+function encodeValueType(valueType) {
+  const encoded = typeof valueType === 'number' ? valueType : LIST_VALUE_TYPES.indexOf(valueType);
+  if (LIST_VALUE_TYPES[encoded] === undefined) {
+    throw new Error(`Unknown list value type ${valueType}, expected one of ${LIST_VALUE_TYPES.join(', ')}`);
+  }
+  return encoded;
+}
+
+const decodeValueType = (valueType) => LIST_VALUE_TYPES[valueType];
+
+const isZeroIndex = (index) => index === ZERO_INDEX || /^0x0*$/.test(index);
+
+module.exports = {
+  ZERO_INDEX,
+  LIST_VALUE_TYPES,
+  encodeListName,
+  encodeCampaignName,
+  decodeListName,
+  decodeCampaignName,
+  encodeValueType,
+  decodeValueType,
+  isZeroIndex,
+};
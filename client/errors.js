@@ -0,0 +1,136 @@
+// JS counterparts of the custom errors thrown by the contracts. The decoded
+// arguments are copied onto the error, so `err.campaign`, `err.currentBid` etc. are available.
+
+class ContractError extends Error {
+  constructor(errorName, args = {}, cause) {
+    const argList = Object.keys(args).map(key => `${key}=${args[key]}`).join(', ');
+    super(`${errorName}(${argList})`);
+    this.name = this.constructor.name;
+    this.errorName = errorName;
+    this.args = args;
+    this.cause = cause;
+    Object.assign(this, args);
+  }
+}
+
+class MustBeCalledByOwner extends ContractError {}
+class MustBeCalledByPendingOwner extends ContractError {}
+class InvalidOwner extends ContractError {}
+class Overflow extends ContractError {}
+class InvalidValue extends ContractError {}
+class ElementNotFound extends ContractError {}
+class DuplicateValue extends ContractError {}
+class ListNotEmpty extends ContractError {}
+class UniqueValuesNotEnabled extends ContractError {}
+class ListAlreadyExists extends ContractError {}
+class ListNotCreated extends ContractError {}
+class MustBeCalledByListAdmin extends ContractError {}
+class MustBeCalledByListEditor extends ContractError {}
+class IndexAlreadyUsed extends ContractError {}
+class MustBeCalledBySponsorOwner extends ContractError {}
+class SponsorListFull extends ContractError {}
+class SponsorListNotOversized extends ContractError {}
+class InvalidSponsor extends ContractError {}
+class UnapprovedSponsor extends ContractError {}
+class SponsorAlreadyActive extends ContractError {}
+class SponsorInactive extends ContractError {}
+class SponsorBalanceEmpty extends ContractError {}
+class MustWithdrawBalanceToChangeToken extends ContractError {}
+class InsufficentBidToSwap extends ContractError {}
+class TokenNotAllowed extends ContractError {}
+class BidBelowReservePrice extends ContractError {}
+class CampaignNotActive extends ContractError {}
+class SponsorEnded extends ContractError {}
+class InvalidRevenueSplits extends ContractError {}
+
+const errorClasses = {
+  MustBeCalledByOwner,
+  MustBeCalledByPendingOwner,
+  InvalidOwner,
+  Overflow,
+  InvalidValue,
+  ElementNotFound,
+  DuplicateValue,
+  ListNotEmpty,
+  UniqueValuesNotEnabled,
+  ListAlreadyExists,
+  ListNotCreated,
+  MustBeCalledByListAdmin,
+  MustBeCalledByListEditor,
+  IndexAlreadyUsed,
+  MustBeCalledBySponsorOwner,
+  SponsorListFull,
+  SponsorListNotOversized,
+  InvalidSponsor,
+  UnapprovedSponsor,
+  SponsorAlreadyActive,
+  SponsorInactive,
+  SponsorBalanceEmpty,
+  MustWithdrawBalanceToChangeToken,
+  InsufficentBidToSwap,
+  TokenNotAllowed,
+  BidBelowReservePrice,
+  CampaignNotActive,
+  SponsorEnded,
+  InvalidRevenueSplits,
+};
+
+// Providers nest the revert data differently (hardhat, JSON-RPC nodes, ethers call exceptions)
+function getRevertData(err) {
+  const seen = new Set();
+  const queue = [err];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (!current || typeof current !== 'object' || seen.has(current)) {
+      continue;
+    }
+    seen.add(current);
+
+    for (const candidate of [current.data, current.errorData]) {
+      if (typeof candidate === 'string' && /^0x[0-9a-f]{8}/i.test(candidate)) {
+        return candidate;
+      }
+    }
+
+    if (typeof current.body === 'string') {
+      try {
+        queue.push(JSON.parse(current.body));
+      } catch (e) {}
+    }
+    queue.push(current.error, current.data, current.cause);
+  }
+
+  return null;
+}
+
+// Returns a ContractError for errors declared in the ABI, or null if the error can't be decoded
+function decodeError(iface, err) {
+  const data = getRevertData(err);
+  if (!data) {
+    return null;
+  }
+
+  const selector = data.slice(0, 10).toLowerCase();
+  const fragment = Object.values(iface.errors).find(error => iface.getSighash(error) === selector);
+  if (!fragment) {
+    return null;
+  }
+
+  const decoded = iface.decodeErrorResult(fragment, data);
+  const args = {};
+  fragment.inputs.forEach((input, i) => {
+    args[input.name || i] = decoded[i];
+  });
+
+  const ErrorClass = errorClasses[fragment.name] || ContractError;
+  return new ErrorClass(fragment.name, args, err);
+}
+
+module.exports = {
+  ContractError,
+  ...errorClasses,
+  errorClasses,
+  getRevertData,
+  decodeError,
+};
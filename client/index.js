@@ -0,0 +1,17 @@
+const ListRegistryClient = require('./list-registry');
+const SponsorAuctionClient = require('./sponsor-auction');
+const abi = require('./abi');
+const encoding = require('./encoding');
+const errors = require('./errors');
+const permit = require('./permit');
+const listProofs = require('./list-proofs');
+
+module.exports = {
+  ListRegistryClient,
+  SponsorAuctionClient,
+  abi,
+  ...encoding,
+  ...errors,
+  ...permit,
+  ...listProofs,
+};
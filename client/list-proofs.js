@@ -0,0 +1,98 @@
+const { utils, constants } = require('ethers');
+
+// Mirrors the Merkle tree ListRegistry keeps for each list. Leaves are assigned in order of
+// addition and never reused, removed elements leave an empty (zero) leaf, and a node with two
+// empty children is empty. The tree is as deep as needed to hold every leaf.
+
+const EMPTY = constants.HashZero;
+
+function hashLeaf(index, value) {
+  return utils.solidityKeccak256(['bytes16', 'bytes32'], [index, utils.keccak256(utils.toUtf8Bytes(value))]);
+}
+
+function hashPair(left, right) {
+  if (left === EMPTY && right === EMPTY) {
+    return EMPTY;
+  }
+  return utils.solidityKeccak256(['bytes32', 'bytes32'], [left, right]);
+}
+
+function treeDepth(leafCount) {
+  let depth = 0;
+  while (2 ** depth < leafCount) {
+    depth += 1;
+  }
+  return depth;
+}
+
+// Each level of the tree, from the leaves up to the root
+function buildLevels(leaves) {
+  const levels = [leaves.map(leaf => leaf || EMPTY)];
+  for (let level = 0; level < treeDepth(leaves.length); level += 1) {
+    const nodes = levels[level];
+    const parents = [];
+    for (let i = 0; i < nodes.length; i += 2) {
+      parents.push(hashPair(nodes[i], nodes[i + 1] || EMPTY));
+    }
+    levels.push(parents);
+  }
+  return levels;
+}
+
+/**
+ * @param {(string|null)[]} leaves Leaf hashes by position, with null (or zero) for removed elements
+ * @returns {{root: string, leafCount: number}} The commitment, as returned by ListRegistry.getCommitment
+ */
+function computeCommitment(leaves) {
+  const levels = buildLevels(leaves);
+  const top = levels[levels.length - 1];
+  return { root: top[0] || EMPTY, leafCount: leaves.length };
+}
+
+/**
+ * @param {(string|null)[]} leaves Leaf hashes by position, with null (or zero) for removed elements
+ * @param {number} position The position of the leaf to prove
+ * @returns {string[]} The sibling of each node on the path from the leaf to the root
+ */
+function buildProof(leaves, position) {
+  if (!leaves[position] || leaves[position] === EMPTY) {
+    throw new Error(`No element at leaf ${position}`);
+  }
+
+  const levels = buildLevels(leaves);
+  const siblings = [];
+  let nodePosition = position;
+  for (let level = 0; level < levels.length - 1; level += 1) {
+    siblings.push(levels[level][nodePosition ^ 1] || EMPTY);
+    nodePosition >>= 1;
+  }
+  return siblings;
+}
+
+/**
+ * Checks that an element is in a list, given the list's commitment
+ * @param {{root: string, leafCount: number}} commitment
+ * @param {{index: string, value: string, position: number, siblings: string[]}} proof
+ */
+function verifyProof({ root, leafCount }, { index, value, position, siblings }) {
+  if (position >= leafCount || siblings.length !== treeDepth(leafCount)) {
+    return false;
+  }
+
+  let node = hashLeaf(index, value);
+  let nodePosition = position;
+  for (const sibling of siblings) {
+    node = nodePosition % 2 === 0 ? hashPair(node, sibling) : hashPair(sibling, node);
+    nodePosition = Math.floor(nodePosition / 2);
+  }
+  return node === root.toLowerCase();
+}
+
+module.exports = {
+  hashLeaf,
+  hashPair,
+  treeDepth,
+  computeCommitment,
+  buildProof,
+  verifyProof,
+};
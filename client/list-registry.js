@@ -0,0 +1,242 @@
+const BaseClient = require('./base');
+const abi = require('./abi');
+const {
+  ZERO_INDEX,
+  encodeListName,
+  encodeValueType,
+  decodeValueType,
+  isZeroIndex,
+} = require('./encoding');
+
+/**
+ * @typedef {Object} ListElement
+ * @property {string} index The bytes16 index of the element
+ * @property {string} value
+ * @property {string} previous Index of the previous element (zero if first)
+ * @property {string} next Index of the next element (zero if last)
+ */
+
+/**
+ * @typedef {Object} ListMetadata
+ * @property {string} name
+ * @property {string} description
+ * @property {string} valueType One of LIST_VALUE_TYPES
+ */
+
+class ListRegistryClient extends BaseClient {
+  constructor(address, signerOrProvider) {
+    super(address, abi.listRegistry, signerOrProvider);
+  }
+
+  async getList(list) {
+    const { first, last } = await this._call('getList', encodeListName(list));
+    return { first, last };
+  }
+
+  /** @returns {Promise<ListElement>} */
+  async getElement(list, index) {
+    const { value, previous, next } = await this._call('getElement', encodeListName(list), index);
+    return { index, value, previous, next };
+  }
+
+  async getListLength(list) {
+    return (await this._call('getListLength', encodeListName(list))).toNumber();
+  }
+
+  isListAdmin(list, account) {
+    return this._call('isListAdmin', encodeListName(list), account);
+  }
+
+  isListEditor(list, account) {
+    return this._call('isListEditor', encodeListName(list), account);
+  }
+
+  canEdit(list, account) {
+    return this._call('canEdit', encodeListName(list), account);
+  }
+
+  uniqueValues(list) {
+    return this._call('uniqueValues', encodeListName(list));
+  }
+
+  /** @returns {Promise<string|null>} The index of a value in a unique list, or null if it isn't in the list */
+  async indexOf(list, value) {
+    const index = await this._call('indexOf', encodeListName(list), value);
+    return isZeroIndex(index) ? null : index;
+  }
+
+  getFullList(list) {
+    return this._call('getFullList', encodeListName(list));
+  }
+
+  /**
+   * @param {string} [cursor] Index of the first element of the page, defaults to the start of the list
+   * @returns {Promise<{ elements: { index: string, value: string }[], nextCursor: string|null }>}
+   *   nextCursor is null once the end of the list is reached
+   */
+  async getListPage(list, cursor = ZERO_INDEX, limit = 100) {
+    const { listValues, indexes, nextCursor } = await this._call('getListPage', encodeListName(list), cursor, limit);
+    return {
+      elements: listValues.map((value, i) => ({ index: indexes[i], value })),
+      nextCursor: isZeroIndex(nextCursor) ? null : nextCursor,
+    };
+  }
+
+  /**
+   * Walks a list from first to last element, fetching a page at a time
+   * @returns {AsyncGenerator<{ index: string, value: string }>}
+   */
+  async *elements(list, { pageSize = 100 } = {}) {
+    let cursor = ZERO_INDEX;
+
+    do {
+      const page = await this.getListPage(list, cursor, pageSize);
+      yield* page.elements;
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  /** @returns {Promise<{ root: string, leafCount: number }>} */
+  async getCommitment(list) {
+    const { root, leafCount } = await this._call('getCommitment', encodeListName(list));
+    return { root, leafCount: leafCount.toNumber() };
+  }
+
+  /**
+   * Fetches a membership proof of an element, which can be checked with verifyProof
+   * @returns {Promise<{ index: string, value: string, position: number, siblings: string[] }>}
+   */
+  async getProof(list, index) {
+    const { value } = await this.getElement(list, index);
+    const { position, siblings } = await this._call('getProof', encodeListName(list), index);
+    return { index, value, position: position.toNumber(), siblings };
+  }
+
+  /** @returns {Promise<ListMetadata & { created: boolean }>} */
+  async getListMetadata(list) {
+    const { name, description, valueType, created } = await this._call('getListMetadata', encodeListName(list));
+    return { name, description, valueType: decodeValueType(valueType), created };
+  }
+
+  async getListCount() {
+    return (await this._call('getListCount')).toNumber();
+  }
+
+  /** @returns {Promise<string[]>} IDs of created lists, in order of creation */
+  getLists(start = 0, limit = 100) {
+    return this._call('getLists', start, limit);
+  }
+
+  /**
+   * Walks every created list, fetching a page of IDs at a time
+   * @returns {AsyncGenerator<ListMetadata & { list: string }>}
+   */
+  async *lists({ pageSize = 100 } = {}) {
+    const count = await this.getListCount();
+
+    for (let start = 0; start < count; start += pageSize) {
+      for (const list of await this.getLists(start, pageSize)) {
+        const { name, description, valueType } = await this.getListMetadata(list);
+        yield { list, name, description, valueType };
+      }
+    }
+  }
+
+  /**
+   * @param {string} list
+   * @param {Object} [options]
+   * @param {boolean} [options.assignAdmin] Make the signer an admin of the list
+   * @param {string} [options.name] Defaults to the list argument
+   * @param {string} [options.description]
+   * @param {string} [options.valueType] One of LIST_VALUE_TYPES
+   */
+  createList(list, { assignAdmin = true, name = list, description = '', valueType = 'string' } = {}) {
+    return this._send(
+      'createList',
+      encodeListName(list),
+      assignAdmin,
+      name,
+      description,
+      encodeValueType(valueType),
+    );
+  }
+
+  /** @param {ListMetadata} metadata */
+  setListMetadata(list, { name, description = '', valueType = 'string' }) {
+    return this._send('setListMetadata', encodeListName(list), name, description, encodeValueType(valueType));
+  }
+
+  setListAdmin(list, account, enabled) {
+    return this._send('setListAdmin', encodeListName(list), account, enabled);
+  }
+
+  setListEditor(list, account, enabled) {
+    return this._send('setListEditor', encodeListName(list), account, enabled);
+  }
+
+  /** @returns {Promise<string>} The index of the new element */
+  async addElement(list, value) {
+    const receipt = await this._send('addElement', encodeListName(list), value);
+    return this._findEvent(receipt, 'ElementAdded').args.index;
+  }
+
+  /** @returns {Promise<string[]>} The indexes of the new elements */
+  async addElements(list, values) {
+    const receipt = await this._send('addElements', encodeListName(list), values);
+    return this._findEvents(receipt, 'ElementAdded').map(event => event.args.index);
+  }
+
+  /** @returns {Promise<string>} The index of the new element */
+  async insertAfter(list, previous, value) {
+    const receipt = await this._send('insertAfter', encodeListName(list), previous, value);
+    return this._findEvent(receipt, 'ElementInserted').args.index;
+  }
+
+  /** @returns {Promise<string>} The index of the new element */
+  async insertBefore(list, next, value) {
+    const receipt = await this._send('insertBefore', encodeListName(list), next, value);
+    return this._findEvent(receipt, 'ElementInserted').args.index;
+  }
+
+  /** Moves an element to directly after `previous`, or to the front of the list if previous is omitted */
+  moveElement(list, index, previous = ZERO_INDEX) {
+    return this._send('moveElement', encodeListName(list), index, previous);
+  }
+
+  setUniqueValues(list, enabled) {
+    return this._send('setUniqueValues', encodeListName(list), enabled);
+  }
+
+  removeElement(list, index) {
+    return this._send('removeElement', encodeListName(list), index);
+  }
+
+  removeElements(list, indexes) {
+    return this._send('removeElements', encodeListName(list), indexes);
+  }
+
+  /**
+   * Atomically replaces the contents of a list
+   * @returns {Promise<string[]>} The indexes of the new elements
+   */
+  async replaceList(list, values) {
+    const receipt = await this._send('replaceList', encodeListName(list), values);
+    return this._findEvents(receipt, 'ElementAdded').map(event => event.args.index);
+  }
+
+  /**
+   * Appends elements keeping their existing indexes (only called by registry owner)
+   * @param {string} list
+   * @param {{index: string, value: string}[]} elements
+   */
+  importElements(list, elements) {
+    return this._send(
+      'importElements',
+      encodeListName(list),
+      elements.map(element => element.index),
+      elements.map(element => element.value),
+    );
+  }
+}
+
+module.exports = ListRegistryClient;
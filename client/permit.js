@@ -0,0 +1,82 @@
+const { Contract, utils } = require('ethers');
+const abi = require('./abi');
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+const DAI_PERMIT_TYPES = {
+  Permit: [
+    { name: 'holder', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' },
+    { name: 'allowed', type: 'bool' },
+  ],
+};
+
+async function getDomain(token, signer, version) {
+  const [name, chainId] = await Promise.all([token.name(), signer.getChainId()]);
+  return { name, version, chainId, verifyingContract: token.address };
+}
+
+/**
+ * @typedef {Object} PermitSignature
+ * @property {number} deadline
+ * @property {boolean} daiStyle
+ * @property {number} v
+ * @property {string} r
+ * @property {string} s
+ */
+
+/**
+ * Signs an EIP-2612 permit, approving `spender` to transfer `value` tokens
+ * @param {import('ethers').Signer} signer The token holder
+ * @param {string} tokenAddress
+ * @param {Object} permit
+ * @param {string} permit.spender Usually the SponsorAuction address
+ * @param {import('ethers').BigNumberish} permit.value
+ * @param {number} permit.deadline Unix timestamp the signature expires at
+ * @param {string} [permit.version] The EIP-712 domain version of the token
+ * @returns {Promise<PermitSignature>}
+ */
+async function signPermit(signer, tokenAddress, { spender, value, deadline, version = '1' }) {
+  const token = new Contract(tokenAddress, abi.permitToken, signer);
+  const owner = await signer.getAddress();
+  const nonce = await token.nonces(owner);
+
+  const domain = await getDomain(token, signer, version);
+  const signature = await signer._signTypedData(domain, PERMIT_TYPES, { owner, spender, value, nonce, deadline });
+  const { v, r, s } = utils.splitSignature(signature);
+  return { deadline, daiStyle: false, v, r, s };
+}
+
+/**
+ * Signs a DAI-style permit, approving `spender` to transfer an unlimited amount of tokens
+ * @param {import('ethers').Signer} signer The token holder
+ * @param {string} tokenAddress
+ * @param {Object} permit
+ * @param {string} permit.spender Usually the SponsorAuction address
+ * @param {number} [permit.expiry] Unix timestamp the signature expires at (0 for never)
+ * @param {string} [permit.version] The EIP-712 domain version of the token
+ * @returns {Promise<PermitSignature>}
+ */
+async function signDAIPermit(signer, tokenAddress, { spender, expiry = 0, version = '1' }) {
+  const token = new Contract(tokenAddress, abi.permitToken, signer);
+  const holder = await signer.getAddress();
+  const nonce = await token.nonces(holder);
+
+  const domain = await getDomain(token, signer, version);
+  const message = { holder, spender, nonce, expiry, allowed: true };
+  const signature = await signer._signTypedData(domain, DAI_PERMIT_TYPES, message);
+  const { v, r, s } = utils.splitSignature(signature);
+  return { deadline: expiry, daiStyle: true, v, r, s };
+}
+
+module.exports = { PERMIT_TYPES, DAI_PERMIT_TYPES, signPermit, signDAIPermit };
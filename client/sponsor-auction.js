@@ -0,0 +1,324 @@
+const { utils } = require('ethers');
+const BaseClient = require('./base');
+const abi = require('./abi');
+const { encodeCampaignName, decodeCampaignName } = require('./encoding');
+
+/**
+ * @typedef {import('ethers').BigNumber} BigNumber
+ *
+ * @typedef {Object} Sponsor
+ * @property {string} id
+ * @property {string} owner
+ * @property {boolean} approved
+ * @property {boolean} active
+ * @property {string} token
+ * @property {BigNumber} paymentPerSecond
+ * @property {string} campaign The bytes16 campaign ID
+ * @property {string} campaignName The campaign ID decoded as a string
+ * @property {number} lastUpdated Unix timestamp
+ * @property {string} metadata
+ *
+ * @typedef {Object} SponsorBalance
+ * @property {BigNumber} balance
+ * @property {BigNumber} storedBalance
+ * @property {BigNumber} pendingPayment
+ *
+ * @typedef {Object} PaymentRate
+ * @property {BigNumber} paymentPerSecond
+ * @property {BigNumber} paymentPerSecondInETH
+ *
+ * @typedef {Object} SpendLimits
+ * @property {BigNumber} maxSpend Maximum lifetime payment (0 for no limit)
+ * @property {BigNumber} spent Payments made so far, excluding any pending payment
+ * @property {number} endTime Unix timestamp the sponsorship stops paying at (0 for none)
+ *
+ * @typedef {Object} Campaign
+ * @property {number} slots
+ * @property {number} activeSlots
+ * @property {BigNumber} reservePrice Minimum payment-per-second, in ETH
+ * @property {number} minBidIncrement Basis points a bid must exceed an active bid by to swap it out
+ * @property {boolean} tokenAllowlistEnabled
+ * @property {number} startTime Unix timestamp sponsors can be activated from (0 for none)
+ * @property {number} endTime Unix timestamp all sponsors stop paying at (0 for none)
+ *
+ * @typedef {Object} RevenueSplit
+ * @property {string} payee
+ * @property {number} share Share of payments in basis points
+ */
+
+class SponsorAuctionClient extends BaseClient {
+  constructor(address, signerOrProvider) {
+    super(address, abi.sponsorAuction, signerOrProvider);
+  }
+
+  // Views
+
+  /** @returns {Promise<Sponsor>} */
+  async getSponsor(sponsorId) {
+    const sponsor = await this._call('getSponsor', sponsorId);
+    return {
+      id: sponsorId,
+      owner: sponsor.owner,
+      approved: sponsor.approved,
+      active: sponsor.active,
+      token: sponsor.token,
+      paymentPerSecond: sponsor.paymentPerSecond,
+      campaign: sponsor.campaign,
+      campaignName: decodeCampaignName(sponsor.campaign),
+      lastUpdated: sponsor.lastUpdated,
+      metadata: sponsor.metadata,
+    };
+  }
+
+  /** @returns {Promise<SponsorBalance>} */
+  async sponsorBalance(sponsorId) {
+    const { balance, storedBalance, pendingPayment } = await this._call('sponsorBalance', sponsorId);
+    return { balance, storedBalance, pendingPayment };
+  }
+
+  /** @returns {Promise<PaymentRate>} */
+  async paymentRate(sponsorId) {
+    const { paymentPerSecond, paymentPerSecondInETH } = await this._call('paymentRate', sponsorId);
+    return { paymentPerSecond, paymentPerSecondInETH };
+  }
+
+  /** @returns {Promise<Campaign>} */
+  async getCampaign(campaign) {
+    const {
+      slots,
+      activeSlots,
+      reservePrice,
+      minBidIncrement,
+      tokenAllowlistEnabled,
+      startTime,
+      endTime,
+    } = await this._call('getCampaign', encodeCampaignName(campaign));
+    return { slots, activeSlots, reservePrice, minBidIncrement, tokenAllowlistEnabled, startTime, endTime };
+  }
+
+  /** @returns {Promise<SpendLimits>} */
+  async getSpendLimits(sponsorId) {
+    const { maxSpend, spent, endTime } = await this._call('getSpendLimits', sponsorId);
+    return { maxSpend, spent, endTime };
+  }
+
+  /** Whether an account is the owner of a sponsor, or an operator authorized by the owner */
+  isOperator(sponsorId, account) {
+    return this._call('isOperator', sponsorId, account);
+  }
+
+  /** @returns {Promise<RevenueSplit[]>} */
+  async getRevenueSplits(campaign) {
+    const { payees, shares } = await this._call('getRevenueSplits', encodeCampaignName(campaign));
+    return payees.map((payee, i) => ({ payee, share: shares[i] }));
+  }
+
+  isTokenAllowed(campaign, token) {
+    return this._call('isTokenAllowed', encodeCampaignName(campaign), token);
+  }
+
+  getActiveSponsors(campaign) {
+    return this._call('getActiveSponsors', encodeCampaignName(campaign));
+  }
+
+  /**
+   * Finds the IDs of all sponsors created in a campaign, using NewSponsor events
+   * @returns {Promise<string[]>}
+   */
+  async getSponsorIds(campaign, { fromBlock = 0, toBlock = 'latest' } = {}) {
+    // ethers left-pads bytes16 topics, so the right-padded topic is built manually
+    const campaignTopic = utils.hexConcat([encodeCampaignName(campaign), utils.hexZeroPad('0x', 16)]);
+    const filter = {
+      address: this.address,
+      topics: [this.interface.getEventTopic('NewSponsor'), null, campaignTopic],
+    };
+    const events = await this.contract.queryFilter(filter, fromBlock, toBlock);
+    return events.map(event => event.args.sponsor);
+  }
+
+  oracle() {
+    return this._call('oracle');
+  }
+
+  paymentCollected(token) {
+    return this._call('paymentCollected', token);
+  }
+
+  /** Revenue credited to a payee that hasn't been withdrawn */
+  revenueBalance(payee, token) {
+    return this._call('revenueBalance', payee, token);
+  }
+
+  /** Total revenue ever credited to a payee */
+  revenueAccrued(payee, token) {
+    return this._call('revenueAccrued', payee, token);
+  }
+
+  // Sponsor actions
+
+  /** @returns {Promise<string>} The ID of the new sponsor */
+  async createSponsor({ token, campaign, initialDeposit = 0, paymentPerSecond, metadata = '' }) {
+    const receipt = await this._send(
+      'createSponsor',
+      token,
+      encodeCampaignName(campaign),
+      initialDeposit,
+      paymentPerSecond,
+      metadata
+    );
+    return this._findEvent(receipt, 'NewSponsor').args.sponsor;
+  }
+
+  /**
+   * Creates a sponsor without a separate approve transaction, using a `permit` from signPermit or signDAIPermit
+   * @returns {Promise<string>} The ID of the new sponsor
+   */
+  async createSponsorWithPermit({ token, campaign, initialDeposit = 0, paymentPerSecond, metadata = '', permit }) {
+    const receipt = await this._send(
+      'createSponsorWithPermit',
+      token,
+      encodeCampaignName(campaign),
+      initialDeposit,
+      paymentPerSecond,
+      metadata,
+      permit
+    );
+    return this._findEvent(receipt, 'NewSponsor').args.sponsor;
+  }
+
+  deposit(sponsorId, amount) {
+    return this._send('deposit', sponsorId, amount);
+  }
+
+  /** @param {import('./permit').PermitSignature} permit Signed with signPermit or signDAIPermit */
+  depositWithPermit(sponsorId, amount, permit) {
+    return this._send('depositWithPermit', sponsorId, amount, permit);
+  }
+
+  updateBid(sponsorId, token, paymentPerSecond) {
+    return this._send('updateBid', sponsorId, token, paymentPerSecond);
+  }
+
+  updateMetadata(sponsorId, metadata) {
+    return this._send('updateMetadata', sponsorId, metadata);
+  }
+
+  withdraw(sponsorId, amount, recipient) {
+    return this._send('withdraw', sponsorId, amount, recipient);
+  }
+
+  setSpendLimits(sponsorId, { maxSpend = 0, endTime = 0 } = {}) {
+    return this._send('setSpendLimits', sponsorId, maxSpend, endTime);
+  }
+
+  /** Authorizes an account to manage a sponsor, until the sponsor is transferred */
+  setOperator(sponsorId, operator, enabled) {
+    return this._send('setOperator', sponsorId, operator, enabled);
+  }
+
+  transferSponsorOwnership(sponsorId, newOwner) {
+    return this._send('transferSponsorOwnership', sponsorId, newOwner);
+  }
+
+  // Campaign adjustments (callable by anyone)
+
+  lift(sponsorId) {
+    return this._send('lift', sponsorId);
+  }
+
+  drop(sponsorId) {
+    return this._send('drop', sponsorId);
+  }
+
+  swap(inactiveSponsorId, activeSponsorId) {
+    return this._send('swap', inactiveSponsorId, activeSponsorId);
+  }
+
+  processPayment(sponsorId) {
+    return this._send('processPayment', sponsorId);
+  }
+
+  rebalance(campaign, candidateIds) {
+    return this._send('rebalance', encodeCampaignName(campaign), candidateIds);
+  }
+
+  // Owner actions
+
+  setApproved(sponsorId, approved) {
+    return this._send('setApproved', sponsorId, approved);
+  }
+
+  /**
+   * Approves or rejects a sponsor. Rejected sponsors are settled & deactivated.
+   * @param {string} sponsorId
+   * @param {boolean} approved
+   * @param {{reasonCode?: number, reason?: string}} [reason]
+   */
+  moderate(sponsorId, approved, { reasonCode = 0, reason = '' } = {}) {
+    return this._send('moderate', sponsorId, approved, reasonCode, reason);
+  }
+
+  /**
+   * Approves or rejects multiple sponsors with the same reason
+   * @param {string[]} sponsorIds
+   * @param {boolean} approved
+   * @param {{reasonCode?: number, reason?: string}} [reason]
+   */
+  moderateBatch(sponsorIds, approved, { reasonCode = 0, reason = '' } = {}) {
+    return this._send('moderateBatch', sponsorIds, approved, reasonCode, reason);
+  }
+
+  setNumSlots(campaign, numSlots) {
+    return this._send('setNumSlots', encodeCampaignName(campaign), numSlots);
+  }
+
+  setReservePrice(campaign, reservePrice) {
+    return this._send('setReservePrice', encodeCampaignName(campaign), reservePrice);
+  }
+
+  setMinBidIncrement(campaign, minBidIncrement) {
+    return this._send('setMinBidIncrement', encodeCampaignName(campaign), minBidIncrement);
+  }
+
+  setTokenAllowlistEnabled(campaign, enabled) {
+    return this._send('setTokenAllowlistEnabled', encodeCampaignName(campaign), enabled);
+  }
+
+  setTokenAllowed(campaign, token, allowed) {
+    return this._send('setTokenAllowed', encodeCampaignName(campaign), token, allowed);
+  }
+
+  setCampaignTimes(campaign, { startTime = 0, endTime = 0 } = {}) {
+    return this._send('setCampaignTimes', encodeCampaignName(campaign), startTime, endTime);
+  }
+
+  setOracle(oracle) {
+    return this._send('setOracle', oracle);
+  }
+
+  /**
+   * Replaces the revenue splits of a campaign. Payments not split are collected by the auction owner.
+   * @param {string} campaign
+   * @param {RevenueSplit[]} splits
+   */
+  setRevenueSplits(campaign, splits) {
+    return this._send(
+      'setRevenueSplits',
+      encodeCampaignName(campaign),
+      splits.map(split => split.payee),
+      splits.map(split => split.share),
+    );
+  }
+
+  withdrawTreasury(token, recipient) {
+    return this._send('withdrawTreasury', token, recipient);
+  }
+
+  // Payee actions
+
+  withdrawRevenue(token, recipient) {
+    return this._send('withdrawRevenue', token, recipient);
+  }
+}
+
+module.exports = SponsorAuctionClient;
@@ -5,11 +5,26 @@ import "./Ownable.sol";
 
 error InvalidValue();
 error ElementNotFound();
+error DuplicateValue(bytes16 existingIndex);
+error ListNotEmpty();
+error UniqueValuesNotEnabled();
+error ListAlreadyExists(bytes32 list);
+error ListNotCreated(bytes32 list);
+error MustBeCalledByListAdmin(bytes32 list);
+error MustBeCalledByListEditor(bytes32 list);
+error IndexAlreadyUsed(bytes16 index);
 
 contract ListRegistry is Ownable {
+  // Packed into 2 storage slots
   struct List {
-    bytes16 first;
-    bytes16 last;
+    bytes16 first;       // 16 bytes -- slot 1
+    bytes16 last;        // 16 bytes
+    uint128 length;      // 16 bytes -- slot 2
+    uint64 nonce;        // 8 bytes
+    bool uniqueValues;   // 1 byte
+    bool created;        // 1 byte
+    uint32 leafCount;    // 4 bytes
+    bool hasRoles;       // 1 byte
   }
 
   struct Element {
@@ -18,11 +33,72 @@ contract ListRegistry is Ownable {
     string value;
   }
 
+  // How the values of a list should be parsed
+  enum ValueType {
+    String,
+    Address,
+    URL,
+    JSON
+  }
+
+  struct ListMetadata {
+    string name;
+    string description;
+    ValueType valueType;
+  }
+
   mapping(bytes32 => List) private lists;
   mapping(bytes32 => mapping(bytes16 => Element)) private listData;
+  // Only maintained for lists with unique values enabled
+  mapping(bytes32 => mapping(bytes32 => bytes16)) private valueIndexes;
+
+  // List admins can edit the list and manage its editors. The registry owner can always do both
+  mapping(bytes32 => mapping(address => bool)) private listAdmins;
+  mapping(bytes32 => mapping(address => bool)) private listEditors;
+
+  mapping(bytes32 => ListMetadata) private listMetadata;
+  // Lists created with createList, in order of creation
+  bytes32[] private createdLists;
+
+  // Each list commits to its elements with a Merkle tree. Every new element takes the next leaf and
+  // removed elements leave an empty leaf, so leaves are never reused. Nodes are keyed by
+  // (level << 32 | position), and a node with two empty children is empty (zero).
+  mapping(bytes32 => mapping(uint256 => bytes32)) private merkleNodes;
+  mapping(bytes32 => mapping(bytes16 => uint256)) private leafPositions;
 
   event ElementAdded(bytes32 indexed list, bytes16 index, string value);
   event ElementRemoved(bytes32 indexed list, bytes16 index, string value);
+  event ElementInserted(bytes32 indexed list, bytes16 index, bytes16 previous, bytes16 next, string value);
+  event ElementMoved(bytes32 indexed list, bytes16 index, bytes16 previous, bytes16 next);
+  event UniqueValuesSet(bytes32 indexed list, bool enabled);
+  event ElementsAdded(bytes32 indexed list, uint256 count);
+  event ElementsRemoved(bytes32 indexed list, uint256 count);
+  event ListReplaced(bytes32 indexed list, uint256 removedCount, uint256 addedCount);
+  event ElementsImported(bytes32 indexed list, uint256 count);
+  event ListCreated(
+    bytes32 indexed list,
+    address indexed creator,
+    string name,
+    string description,
+    ValueType valueType
+  );
+  event ListMetadataUpdated(bytes32 indexed list, string name, string description, ValueType valueType);
+  event ListAdminSet(bytes32 indexed list, address indexed account, bool enabled);
+  event ListEditorSet(bytes32 indexed list, address indexed account, bool enabled);
+
+  modifier onlyListAdmin(bytes32 list) {
+    if (msg.sender != owner && !listAdmins[list][msg.sender]) {
+      revert MustBeCalledByListAdmin(list);
+    }
+    _;
+  }
+
+  modifier onlyListEditor(bytes32 list) {
+    if (!canEdit(list, msg.sender)) {
+      revert MustBeCalledByListEditor(list);
+    }
+    _;
+  }
 
   function getList(bytes32 list) external view returns (bytes16 first, bytes16 last) {
     List memory _list = lists[list];
@@ -43,27 +119,40 @@ contract ListRegistry is Ownable {
     return (_element.value, _element.previous, _element.next);
   }
 
-  function getFullList(bytes32 list) external view returns (string[] memory listValues) {
-    uint256 length = 0;
+  function getListLength(bytes32 list) external view returns (uint256 length) {
+    return lists[list].length;
+  }
 
-    bytes16 first = lists[list].first;
-    bytes16 next = first;
-    if (next == 0) {
-      return new string[](0);
-    }
+  function isListAdmin(bytes32 list, address account) external view returns (bool) {
+    return listAdmins[list][account];
+  }
 
-    while (true) {
-      next = listData[list][next].next;
-      length += 1;
+  function isListEditor(bytes32 list, address account) external view returns (bool) {
+    return listEditors[list][account];
+  }
 
-      if (next == 0) {
-        break;
-      }
+  /// @notice Whether an account may add, remove or reorder elements of a list
+  function canEdit(bytes32 list, address account) public view returns (bool) {
+    return account == owner || listAdmins[list][account] || listEditors[list][account];
+  }
+
+  function uniqueValues(bytes32 list) external view returns (bool) {
+    return lists[list].uniqueValues;
+  }
+
+  /// @notice Looks up the index of a value in a list with unique values enabled
+  /// @return index The index of the value, or 0 if the value isn't in the list
+  function indexOf(bytes32 list, string calldata value) external view returns (bytes16 index) {
+    if (!lists[list].uniqueValues) {
+      revert UniqueValuesNotEnabled();
     }
+    return valueIndexes[list][keccak256(bytes(value))];
+  }
 
-    listValues = new string[](length);
+  function getFullList(bytes32 list) external view returns (string[] memory listValues) {
+    listValues = new string[](lists[list].length);
 
-    next = first;
+    bytes16 next = lists[list].first;
 
     for (uint256 i = 0; i < listValues.length; i += 1) {
       listValues[i] = listData[list][next].value;
@@ -71,30 +160,324 @@ contract ListRegistry is Ownable {
     }
   }
 
-  function addElement(bytes32 list, string calldata value) external onlyOwner returns (bytes16 index) {
-    if (bytes(value).length == 0) {
+  /// @notice The Merkle root of the elements of a list, which changes whenever an element is added or removed.
+  /// Leaves are keccak256(abi.encodePacked(index, keccak256(value))), and the tree is as deep as needed
+  /// to hold leafCount leaves. The order of elements isn't committed to, so moves don't change the root
+  /// @return root The Merkle root, or 0 if the list has never had any elements
+  /// @return leafCount The number of leaves, including those of removed elements
+  function getCommitment(bytes32 list) external view returns (bytes32 root, uint256 leafCount) {
+    leafCount = lists[list].leafCount;
+    root = merkleNodes[list][nodeKey(treeDepth(leafCount), 0)];
+  }
+
+  /// @notice Returns a proof that an element is committed to by the list's current Merkle root
+  /// @return position The leaf position of the element
+  /// @return siblings The sibling of each node on the path from the leaf to the root
+  function getProof(bytes32 list, bytes16 index) external view returns (uint256 position, bytes32[] memory siblings) {
+    if (bytes(listData[list][index].value).length == 0) {
+      revert ElementNotFound();
+    }
+
+    position = leafPositions[list][index];
+    siblings = new bytes32[](treeDepth(lists[list].leafCount));
+
+    uint256 nodePosition = position;
+    for (uint256 level = 0; level < siblings.length; level += 1) {
+      siblings[level] = merkleNodes[list][nodeKey(level, nodePosition ^ 1)];
+      nodePosition >>= 1;
+    }
+  }
+
+  /// @notice Returns up to `limit` elements, starting at the element `cursor` (or the first element if 0)
+  /// @return listValues The values of the returned elements
+  /// @return indexes The indexes of the returned elements
+  /// @return nextCursor The index of the element following this page, or 0 if the end of the list was reached
+  function getListPage(bytes32 list, bytes16 cursor, uint256 limit) external view returns (
+    string[] memory listValues,
+    bytes16[] memory indexes,
+    bytes16 nextCursor
+  ) {
+    if (limit == 0) {
       revert InvalidValue();
     }
 
-    List memory _list = lists[list];
+    nextCursor = cursor == 0 ? lists[list].first : cursor;
+    if (cursor != 0 && bytes(listData[list][cursor].value).length == 0) {
+      revert ElementNotFound();
+    }
 
-    index = psuedoRandomID(value);
+    uint256 length = 0;
+    bytes16 next = nextCursor;
+    while (next != 0 && length < limit) {
+      next = listData[list][next].next;
+      length += 1;
+    }
 
-    if (_list.first == 0) {
-      lists[list] = List(index, index);
-    } else {
-      listData[list][_list.last].next = index;
-      lists[list] = List(_list.first, index);
+    listValues = new string[](length);
+    indexes = new bytes16[](length);
+
+    for (uint256 i = 0; i < length; i += 1) {
+      listValues[i] = listData[list][nextCursor].value;
+      indexes[i] = nextCursor;
+      nextCursor = listData[list][nextCursor].next;
     }
+  }
 
-    listData[list][index] = Element(_list.last, 0, value);
+  function getListMetadata(bytes32 list) external view returns (
+    string memory name,
+    string memory description,
+    ValueType valueType,
+    bool created
+  ) {
+    ListMetadata memory metadata = listMetadata[list];
+    return (metadata.name, metadata.description, metadata.valueType, lists[list].created);
+  }
 
-    emit ElementAdded(list, index, value);
+  /// @notice The number of lists created with createList
+  function getListCount() external view returns (uint256) {
+    return createdLists.length;
+  }
+
+  /// @notice Returns the IDs of created lists, in order of creation
+  /// @param start The position of the first list to return
+  /// @param limit The maximum number of lists to return
+  function getLists(uint256 start, uint256 limit) external view returns (bytes32[] memory ids) {
+    if (limit == 0) {
+      revert InvalidValue();
+    }
+
+    uint256 total = createdLists.length;
+    if (start >= total) {
+      return new bytes32[](0);
+    }
+
+    // Clamped before adding, so a limit of MaxUint256 can be used to return every list
+    uint256 end = limit > total - start ? total : start + limit;
+
+    ids = new bytes32[](end - start);
+    for (uint256 i = 0; i < ids.length; i += 1) {
+      ids[i] = createdLists[start + i];
+    }
   }
 
-  function removeElement(bytes32 list, bytes16 index) external onlyOwner {
+  /// @notice Claims a list that has never had elements or roles, optionally making the caller its admin. The
+  /// registry owner & list admins may also create lists that have been used, to add metadata to them
+  /// @param list The ID of the list
+  /// @param assignAdmin Whether the caller should become an admin of the list
+  /// @param name A human-readable name for the list
+  /// @param description What the list contains
+  /// @param valueType How the values of the list should be parsed
+  function createList(
+    bytes32 list,
+    bool assignAdmin,
+    string calldata name,
+    string calldata description,
+    ValueType valueType
+  ) external {
     List memory _list = lists[list];
+    // Lists that were emptied keep their nonce & leaf count, so they can't be claimed either
+    bool used = _list.nonce != 0 || _list.leafCount != 0 || _list.hasRoles;
+    if (_list.created || (used && msg.sender != owner && !listAdmins[list][msg.sender])) {
+      revert ListAlreadyExists(list);
+    }
+    if (bytes(name).length == 0) {
+      revert InvalidValue();
+    }
+
+    lists[list].created = true;
+    listMetadata[list] = ListMetadata(name, description, valueType);
+    createdLists.push(list);
+
+    emit ListCreated(list, msg.sender, name, description, valueType);
+
+    if (assignAdmin) {
+      listAdmins[list][msg.sender] = true;
+      emit ListAdminSet(list, msg.sender, true);
+    }
+  }
+
+  /// @notice Updates the name, description & value type of a created list (only called by list admins or registry owner)
+  function setListMetadata(
+    bytes32 list,
+    string calldata name,
+    string calldata description,
+    ValueType valueType
+  ) external onlyListAdmin(list) {
+    if (!lists[list].created) {
+      revert ListNotCreated(list);
+    }
+    if (bytes(name).length == 0) {
+      revert InvalidValue();
+    }
+
+    listMetadata[list] = ListMetadata(name, description, valueType);
+
+    emit ListMetadataUpdated(list, name, description, valueType);
+  }
+
+  /// @notice Grants or revokes the admin role of a list (only called by registry owner)
+  function setListAdmin(bytes32 list, address account, bool enabled) external onlyOwner {
+    listAdmins[list][account] = enabled;
+    if (enabled) {
+      lists[list].hasRoles = true;
+    }
+    emit ListAdminSet(list, account, enabled);
+  }
+
+  /// @notice Grants or revokes the editor role of a list (only called by list admins or registry owner)
+  function setListEditor(bytes32 list, address account, bool enabled) external onlyListAdmin(list) {
+    listEditors[list][account] = enabled;
+    if (enabled) {
+      lists[list].hasRoles = true;
+    }
+    emit ListEditorSet(list, account, enabled);
+  }
+
+  function addElement(bytes32 list, string calldata value) external onlyListEditor(list) returns (bytes16 index) {
+    index = _addElement(list, value);
+  }
+
+  function addElements(
+    bytes32 list,
+    string[] calldata values
+  ) external onlyListEditor(list) returns (bytes16[] memory indexes) {
+    indexes = new bytes16[](values.length);
+    for (uint256 i = 0; i < values.length; i += 1) {
+      indexes[i] = _addElement(list, values[i]);
+    }
+
+    emit ElementsAdded(list, values.length);
+  }
+
+  function insertAfter(
+    bytes32 list,
+    bytes16 previous,
+    string calldata value
+  ) external onlyListEditor(list) returns (bytes16 index) {
+    if (bytes(listData[list][previous].value).length == 0) {
+      revert ElementNotFound();
+    }
+
+    index = insertElement(list, previous, value);
+  }
 
+  function insertBefore(
+    bytes32 list,
+    bytes16 next,
+    string calldata value
+  ) external onlyListEditor(list) returns (bytes16 index) {
+    Element memory _next = listData[list][next];
+    if (bytes(_next.value).length == 0) {
+      revert ElementNotFound();
+    }
+
+    index = insertElement(list, _next.previous, value);
+  }
+
+  /// @notice Moves an element to directly after another element, or to the front of the list if previous is 0
+  function moveElement(bytes32 list, bytes16 index, bytes16 previous) external onlyListEditor(list) {
+    Element memory _element = listData[list][index];
+    if (bytes(_element.value).length == 0) {
+      revert ElementNotFound();
+    }
+    if (previous == index) {
+      revert InvalidValue();
+    }
+    if (previous != 0 && bytes(listData[list][previous].value).length == 0) {
+      revert ElementNotFound();
+    }
+
+    unlink(list, _element);
+    bytes16 next = link(list, index, previous);
+
+    emit ElementMoved(list, index, previous, next);
+  }
+
+  /// @notice Enables or disables rejecting duplicate values. Can only be changed while the list is empty
+  function setUniqueValues(bytes32 list, bool enabled) external onlyListAdmin(list) {
+    if (lists[list].length > 0) {
+      revert ListNotEmpty();
+    }
+
+    lists[list].uniqueValues = enabled;
+
+    emit UniqueValuesSet(list, enabled);
+  }
+
+  function removeElement(bytes32 list, bytes16 index) external onlyListEditor(list) {
+    _removeElement(list, index);
+  }
+
+  function removeElements(bytes32 list, bytes16[] calldata indexes) external onlyListEditor(list) {
+    for (uint256 i = 0; i < indexes.length; i += 1) {
+      _removeElement(list, indexes[i]);
+    }
+
+    emit ElementsRemoved(list, indexes.length);
+  }
+
+  /// @notice Atomically removes all elements of a list and adds new values in their place
+  function replaceList(
+    bytes32 list,
+    string[] calldata values
+  ) external onlyListEditor(list) returns (bytes16[] memory indexes) {
+    uint256 removedCount = lists[list].length;
+
+    bytes16 index = lists[list].first;
+    while (index != 0) {
+      bytes16 next = listData[list][index].next;
+      _removeElement(list, index);
+      index = next;
+    }
+
+    indexes = new bytes16[](values.length);
+    for (uint256 i = 0; i < values.length; i += 1) {
+      indexes[i] = _addElement(list, values[i]);
+    }
+
+    emit ListReplaced(list, removedCount, values.length);
+  }
+
+  /// @notice Appends elements with the given indexes, so lists can be migrated from another registry
+  /// without changing element IDs (only called by registry owner)
+  /// @param list The ID of the list
+  /// @param indexes The indexes of the elements, which must be non-zero and unused in the list
+  /// @param values The values of the elements
+  function importElements(
+    bytes32 list,
+    bytes16[] calldata indexes,
+    string[] calldata values
+  ) external onlyOwner {
+    if (indexes.length != values.length) {
+      revert InvalidValue();
+    }
+
+    for (uint256 i = 0; i < indexes.length; i += 1) {
+      bytes16 index = indexes[i];
+      if (index == 0) {
+        revert InvalidValue();
+      }
+      if (bytes(listData[list][index].value).length != 0) {
+        revert IndexAlreadyUsed(index);
+      }
+
+      storeElement(list, index, values[i]);
+      link(list, index, lists[list].last);
+
+      emit ElementAdded(list, index, values[i]);
+    }
+
+    emit ElementsImported(list, indexes.length);
+  }
+
+  function _addElement(bytes32 list, string calldata value) private returns (bytes16 index) {
+    index = createElement(list, value);
+    link(list, index, lists[list].last);
+
+    emit ElementAdded(list, index, value);
+  }
+
+  function _removeElement(bytes32 list, bytes16 index) private {
     Element memory _element = listData[list][index];
     if (bytes(_element.value).length == 0) {
       revert ElementNotFound();
@@ -102,22 +485,127 @@ contract ListRegistry is Ownable {
 
     listData[list][index] = Element(0, 0, '');
 
-    if (_list.first == index) {
+    unlink(list, _element);
+    lists[list].length -= 1;
+
+    updateLeaf(list, leafPositions[list][index], 0);
+    delete leafPositions[list][index];
+
+    if (lists[list].uniqueValues) {
+      delete valueIndexes[list][keccak256(bytes(_element.value))];
+    }
+
+    emit ElementRemoved(list, index, _element.value);
+  }
+
+  function insertElement(bytes32 list, bytes16 previous, string calldata value) private returns (bytes16 index) {
+    index = createElement(list, value);
+    bytes16 next = link(list, index, previous);
+
+    emit ElementInserted(list, index, previous, next, value);
+  }
+
+  /// @notice Stores a new, unlinked element with a pseudo-random index
+  function createElement(bytes32 list, string calldata value) private returns (bytes16 index) {
+    index = psuedoRandomID(list, value);
+    storeElement(list, index, value);
+  }
+
+  /// @notice Stores an unlinked element at an unused index
+  function storeElement(bytes32 list, bytes16 index, string calldata value) private {
+    if (bytes(value).length == 0) {
+      revert InvalidValue();
+    }
+
+    if (lists[list].uniqueValues) {
+      bytes32 valueHash = keccak256(bytes(value));
+      bytes16 existingIndex = valueIndexes[list][valueHash];
+      if (existingIndex != 0) {
+        revert DuplicateValue(existingIndex);
+      }
+      valueIndexes[list][valueHash] = index;
+    }
+
+    listData[list][index].value = value;
+    lists[list].length += 1;
+
+    uint32 position = lists[list].leafCount;
+    lists[list].leafCount = position + 1;
+    leafPositions[list][index] = position;
+    updateLeaf(list, position, keccak256(abi.encodePacked(index, keccak256(bytes(value)))));
+  }
+
+  /// @notice Sets a leaf of a list's Merkle tree and recomputes the nodes above it
+  function updateLeaf(bytes32 list, uint256 position, bytes32 leaf) private {
+    uint256 depth = treeDepth(lists[list].leafCount);
+    bytes32 node = leaf;
+    merkleNodes[list][nodeKey(0, position)] = node;
+
+    for (uint256 level = 0; level < depth; level += 1) {
+      bytes32 sibling = merkleNodes[list][nodeKey(level, position ^ 1)];
+      node = position & 1 == 0 ? hashPair(node, sibling) : hashPair(sibling, node);
+      position >>= 1;
+      merkleNodes[list][nodeKey(level + 1, position)] = node;
+    }
+  }
+
+  function hashPair(bytes32 left, bytes32 right) private pure returns (bytes32) {
+    if (left == 0 && right == 0) {
+      return 0;
+    }
+    return keccak256(abi.encodePacked(left, right));
+  }
+
+  /// @notice The number of levels needed for a tree of leafCount leaves
+  function treeDepth(uint256 leafCount) private pure returns (uint256 depth) {
+    while ((1 << depth) < leafCount) {
+      depth += 1;
+    }
+  }
+
+  function nodeKey(uint256 level, uint256 position) private pure returns (uint256) {
+    return (level << 32) | position;
+  }
+
+  /// @notice Links an element into the list after previous (or at the front if previous is 0)
+  function link(bytes32 list, bytes16 index, bytes16 previous) private returns (bytes16 next) {
+    next = previous == 0 ? lists[list].first : listData[list][previous].next;
+
+    listData[list][index].previous = previous;
+    listData[list][index].next = next;
+
+    if (previous == 0) {
+      lists[list].first = index;
+    } else {
+      listData[list][previous].next = index;
+    }
+
+    if (next == 0) {
+      lists[list].last = index;
+    } else {
+      listData[list][next].previous = index;
+    }
+  }
+
+  /// @notice Points an element's neighbours at each other, leaving the element's own data untouched
+  function unlink(bytes32 list, Element memory _element) private {
+    if (_element.previous == 0) {
       lists[list].first = _element.next;
     } else {
       listData[list][_element.previous].next = _element.next;
     }
 
-    if (_list.last == index) {
+    if (_element.next == 0) {
       lists[list].last = _element.previous;
     } else {
       listData[list][_element.next].previous = _element.previous;
     }
-
-    emit ElementRemoved(list, index, _element.value);
   }
 
-  function psuedoRandomID(string memory value) private view returns (bytes16) {
-    return bytes16(keccak256(abi.encodePacked(block.difficulty, block.timestamp, value)));        
+  /// @notice The per-list nonce ensures IDs are unique, even for equal values added in the same block
+  function psuedoRandomID(bytes32 list, string memory value) private returns (bytes16) {
+    uint64 nonce = lists[list].nonce;
+    lists[list].nonce = nonce + 1;
+    return bytes16(keccak256(abi.encodePacked(block.difficulty, block.timestamp, list, nonce, value)));
   }
 }
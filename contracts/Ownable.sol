@@ -2,11 +2,16 @@
 pragma solidity ^0.8.4;
 
 error MustBeCalledByOwner();
+error MustBeCalledByPendingOwner();
+error InvalidOwner();
 
 contract Ownable {
   address public owner;
+  address public pendingOwner;
 
   event OwnershipTransferred(address indexed newOwner);
+  event OwnershipTransferProposed(address indexed pendingOwner);
+  event OwnershipTransferCancelled(address indexed pendingOwner);
 
   constructor() {
     owner = msg.sender;
@@ -19,8 +24,44 @@ contract Ownable {
     _;
   }
 
+  /// @notice Proposes a new owner, who must call acceptOwnership to complete the transfer
+  /// @param newOwner Address of the proposed owner
   function transferOwnership(address newOwner) external onlyOwner {
+    if (newOwner == address(0)) {
+      revert InvalidOwner();
+    }
+
+    pendingOwner = newOwner;
+    emit OwnershipTransferProposed(newOwner);
+  }
+
+  /// @notice Completes an ownership transfer (only called by the pending owner)
+  function acceptOwnership() external {
+    address newOwner = pendingOwner;
+    if (msg.sender != newOwner) {
+      revert MustBeCalledByPendingOwner();
+    }
+
     owner = newOwner;
+    pendingOwner = address(0);
     emit OwnershipTransferred(newOwner);
   }
+
+  /// @notice Withdraws a proposed ownership transfer
+  function cancelOwnershipTransfer() external onlyOwner {
+    address _pendingOwner = pendingOwner;
+    if (_pendingOwner == address(0)) {
+      revert InvalidOwner();
+    }
+
+    pendingOwner = address(0);
+    emit OwnershipTransferCancelled(_pendingOwner);
+  }
+
+  /// @notice Permanently gives up ownership, disabling all owner-only functions
+  function renounceOwnership() external onlyOwner {
+    owner = address(0);
+    pendingOwner = address(0);
+    emit OwnershipTransferred(address(0));
+  }
 }
@@ -3,6 +3,8 @@ pragma solidity ^0.8.4;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-IERC20Permit.sol";
+import "./interfaces/IDAIPermit.sol";
 import "./interfaces/IOracle.sol";
 import "./Ownable.sol";
 
@@ -19,35 +21,80 @@ error SponsorInactive(bytes32 sponsorId);
 error SponsorBalanceEmpty(bytes32 sponsorId);
 error MustWithdrawBalanceToChangeToken(bytes32 sponsorId);
 error InsufficentBidToSwap(uint256 currentBid, uint256 attemptedSwapBid);
+error TokenNotAllowed(bytes16 campaign, address token);
+error BidBelowReservePrice(uint256 reservePrice, uint256 bid);
+error CampaignNotActive(bytes16 campaign);
+error SponsorEnded(bytes32 sponsorId);
+error InvalidRevenueSplits();
 
 contract SponsorAuction is Ownable {
-  // This his struct is packed to take up 4 storage slots, plus variable slots for the metadata string
+  // This his struct is packed to take up 5 storage slots. Metadata is stored separately, so the struct
+  // can be copied to memory without copying the metadata string
   struct Sponsor {
     uint128 balance;         // 16 bytes -- slot 1
     bool approved;           // 1 byte
     bool active;             // 1 byte
     uint8 slot;              // 1 byte
     uint32 lastUpdated;      // 4 bytes
+    uint32 endTime;          // 4 bytes (0 for no end time)
     address owner;           // 20 bytes -- slot 2
     IERC20 token;            // 20 bytes -- slot 3
     uint128 paymentPerSecond; // 16 bytes -- slot 4
     bytes16 campaign;        // 16 bytes
-    string metadata;
+    uint128 maxSpend;        // 16 bytes -- slot 5 (0 for no limit)
+    uint128 spent;           // 16 bytes
   }
 
   struct Campaign {
     uint8 slots;
     uint8 activeSlots;
+    bool tokenAllowlistEnabled;
+    uint16 minBidIncrement;  // In basis points
+    uint128 reservePrice;    // Minimum payment-per-second, in ETH
+    uint32 startTime;        // 0 for no start time
+    uint32 endTime;          // 0 for no end time
   }
 
   mapping(bytes32 => Sponsor) private sponsors;
 
+  mapping(bytes32 => string) private sponsorMetadata;
+
   mapping(bytes16 => Campaign) private campaigns;
 
   mapping(bytes16 => mapping(uint256 => bytes32)) private campaignActiveSponsors;
 
+  // Operators are stored per owner, so they're revoked when the sponsorship is transferred
+  mapping(bytes32 => mapping(address => mapping(address => bool))) private sponsorOperators;
+
+  // A signed approval, so sponsors don't need a separate approve transaction
+  struct PermitSignature {
+    uint256 deadline;        // The expiry of DAI-style permits
+    bool daiStyle;           // DAI-style permits approve an unlimited amount, instead of the deposit amount
+    uint8 v;
+    bytes32 r;
+    bytes32 s;
+  }
+
+  struct RevenueSplit {
+    address payee;
+    uint16 share;            // In basis points
+  }
+
+  mapping(bytes16 => mapping(address => bool)) private campaignAllowedTokens;
+
+  mapping(bytes16 => RevenueSplit[]) private campaignRevenueSplits;
+
+  /// @notice The auction owner's share of payments, per token
   mapping(address => uint256) public paymentCollected;
 
+  /// @notice Revenue credited to payees that hasn't been withdrawn, per payee & token
+  mapping(address => mapping(address => uint256)) public revenueBalance;
+
+  /// @notice Total revenue ever credited to payees, per payee & token
+  mapping(address => mapping(address => uint256)) public revenueAccrued;
+
+  uint256 private constant MAX_REVENUE_SPLITS = 8;
+
   IOracle public oracle;
 
   event NewSponsor(
@@ -73,14 +120,26 @@ contract SponsorAuction is Ownable {
   );
   event MetadataUpdated(bytes32 indexed sponsor, string metadata);
   event SponsorOwnerTransferred(bytes32 indexed sponsor, address newOwner);
+  event OperatorSet(bytes32 indexed sponsor, address indexed owner, address indexed operator, bool enabled);
   event BidUpdated(bytes32 indexed sponsor, address indexed token, uint256 paymentPerSecond);
 
   event Deposit(bytes32 indexed sponsor, address indexed token, uint256 amount);
   event Withdrawal(bytes32 indexed sponsor, address indexed token, uint256 amount);
 
   event ApprovalSet(bytes32 indexed sponsor, bool approved);
+  event ModerationReason(bytes32 indexed sponsor, uint16 reasonCode, string reason);
   event NumberOfSlotsChanged(bytes16 indexed campaign, uint8 newNumSlots);
   event TreasuryWithdrawal(address indexed token, address indexed recipient, uint256 amount);
+  event OracleUpdated(address indexed oracle);
+  event ReservePriceSet(bytes16 indexed campaign, uint128 reservePrice);
+  event MinBidIncrementSet(bytes16 indexed campaign, uint16 minBidIncrement);
+  event TokenAllowlistEnabled(bytes16 indexed campaign, bool enabled);
+  event TokenAllowed(bytes16 indexed campaign, address indexed token, bool allowed);
+  event CampaignTimesSet(bytes16 indexed campaign, uint32 startTime, uint32 endTime);
+  event SpendLimitsSet(bytes32 indexed sponsor, uint128 maxSpend, uint32 endTime);
+  event RevenueSplitsSet(bytes16 indexed campaign, address[] payees, uint16[] shares);
+  event RevenueCredited(bytes16 indexed campaign, address indexed payee, address indexed token, uint256 amount);
+  event RevenueWithdrawal(address indexed payee, address indexed token, address recipient, uint256 amount);
 
   // Constructor
 
@@ -110,7 +169,7 @@ contract SponsorAuction is Ownable {
     uint32 lastUpdated,
     string memory metadata
   ) {
-    Sponsor memory sponsor = sponsors[sponsorId];
+    Sponsor memory sponsor = loadSponsor(sponsorId);
     owner = sponsor.owner;
     approved = sponsor.approved;
     active = sponsor.active;
@@ -118,17 +177,83 @@ contract SponsorAuction is Ownable {
     paymentPerSecond = sponsor.paymentPerSecond;
     campaign = sponsor.campaign;
     lastUpdated = sponsor.lastUpdated;
-    metadata = sponsor.metadata;
+    metadata = sponsorMetadata[sponsorId];
   }
 
   /// @notice Returns details about a given campaign
   /// @param campaignId The ID of a campaign (often a short string)
   /// @return slots The maximum simultaneous active sponsorships in this campaign
   /// @return activeSlots The number of sponsors in this campaign that are currently active
-  function getCampaign(bytes16 campaignId) external view returns (uint8 slots, uint8 activeSlots) {
+  /// @return reservePrice The minimum payment-per-second of a bid, in ETH
+  /// @return minBidIncrement The percentage (in basis points) a bid must exceed an active bid by to swap it out
+  /// @return tokenAllowlistEnabled Whether bids are restricted to allowed tokens
+  /// @return startTime Timestamp before which sponsors can't be activated (0 for none)
+  /// @return endTime Timestamp when all sponsors stop paying and can't be activated (0 for none)
+  function getCampaign(bytes16 campaignId) external view returns (
+    uint8 slots,
+    uint8 activeSlots,
+    uint128 reservePrice,
+    uint16 minBidIncrement,
+    bool tokenAllowlistEnabled,
+    uint32 startTime,
+    uint32 endTime
+  ) {
     Campaign memory campaign = campaigns[campaignId];
     slots = campaign.slots;
     activeSlots = campaign.activeSlots;
+    reservePrice = campaign.reservePrice;
+    minBidIncrement = campaign.minBidIncrement;
+    tokenAllowlistEnabled = campaign.tokenAllowlistEnabled;
+    startTime = campaign.startTime;
+    endTime = campaign.endTime;
+  }
+
+  /// @param sponsorId The ID of a sponsor
+  /// @return maxSpend The maximum the sponsorship will pay over its lifetime (0 for no limit)
+  /// @return spent The amount the sponsorship has paid, excluding any pending payment
+  /// @return endTime Timestamp when the sponsorship stops paying and can't be activated (0 for none)
+  function getSpendLimits(bytes32 sponsorId) external view returns (
+    uint128 maxSpend,
+    uint128 spent,
+    uint32 endTime
+  ) {
+    Sponsor storage sponsor = sponsors[sponsorId];
+    maxSpend = sponsor.maxSpend;
+    spent = sponsor.spent;
+    endTime = sponsor.endTime;
+  }
+
+  /// @notice The payees that share the revenue of a campaign. The remainder goes to the auction owner.
+  /// @param campaignId The ID of a campaign
+  /// @return payees Addresses receiving a share of payments
+  /// @return shares The share of each payee, in basis points
+  function getRevenueSplits(bytes16 campaignId) external view returns (
+    address[] memory payees,
+    uint16[] memory shares
+  ) {
+    RevenueSplit[] storage splits = campaignRevenueSplits[campaignId];
+    payees = new address[](splits.length);
+    shares = new uint16[](splits.length);
+
+    for (uint256 i = 0; i < splits.length; i += 1) {
+      payees[i] = splits[i].payee;
+      shares[i] = splits[i].share;
+    }
+  }
+
+  /// @notice Whether an account may manage a sponsorship, as its owner or an operator authorized by the owner
+  /// @param sponsorId The ID of a sponsor
+  /// @param account The address to check
+  function isOperator(bytes32 sponsorId, address account) public view returns (bool) {
+    address _owner = sponsors[sponsorId].owner;
+    return account == _owner || sponsorOperators[sponsorId][_owner][account];
+  }
+
+  /// @notice Whether a token may be used to bid in a campaign
+  /// @param campaignId The ID of a campaign
+  /// @param token The payment token
+  function isTokenAllowed(bytes16 campaignId, address token) public view returns (bool) {
+    return !campaigns[campaignId].tokenAllowlistEnabled || campaignAllowedTokens[campaignId][token];
   }
 
   /// @notice The current balance of a sponsorship, which may change per-second when active
@@ -141,14 +266,10 @@ contract SponsorAuction is Ownable {
     uint128 storedBalance,
     uint128 pendingPayment
   ) {
-    Sponsor memory sponsor = sponsors[sponsorId];
-
-    uint256 timeElapsed = block.timestamp - sponsor.lastUpdated;
-    pendingPayment = uint128(timeElapsed) * sponsor.paymentPerSecond;
+    Sponsor memory sponsor = loadSponsor(sponsorId);
 
-    if (pendingPayment > sponsor.balance) {
-      // If their balance is too small, we just zero the balance
-      pendingPayment = sponsor.balance;
+    if (sponsor.active) {
+      (pendingPayment, ) = accruedPayment(sponsor);
     }
 
     storedBalance = sponsor.balance;
@@ -175,7 +296,7 @@ contract SponsorAuction is Ownable {
     uint128 paymentPerSecond,
     uint128 paymentPerSecondInETH
   ) {
-    Sponsor memory sponsor = sponsors[sponsorId];
+    Sponsor memory sponsor = loadSponsor(sponsorId);
     paymentPerSecond = sponsor.paymentPerSecond;
     uint256 paymentPerSecondInETH256 = oracle.getPrice(address(sponsor.token), paymentPerSecond);
     // In the unlikely case of a 128-bit overflow, use MAX_INT for uint128
@@ -199,119 +320,101 @@ contract SponsorAuction is Ownable {
     uint128 paymentPerSecond,
     string calldata metadata
   ) external returns (bytes32 id) {
-    if (campaign == bytes16(0) || _token == address(0)) {
-      revert InvalidValue();
-    }
-
-    // Prevent overflow attacks
-    if (uint256(paymentPerSecond) * 365 days > type(uint128).max) {
-      revert InvalidValue();
-    }
-
-    uint128 balance = 0;
-    if (initialDeposit > 0) {
-      balance = _deposit(IERC20(_token), initialDeposit);
-    }
-
-    id = psuedoRandomID(msg.sender, metadata);
-
-    sponsors[id] = Sponsor({
-      campaign: campaign,
-      owner: msg.sender,
-      token: IERC20(_token),
-      balance: balance,
-      paymentPerSecond: paymentPerSecond,
-      lastUpdated: uint32(block.timestamp),
-      approved: false,
-      active: false,
-      slot: 0,
-      metadata: metadata
-    });
-
-    emit NewSponsor(id, campaign, msg.sender, _token, paymentPerSecond, metadata);
+    id = newSponsor(_token, campaign, initialDeposit, paymentPerSecond, metadata);
+  }
 
-    if (balance > 0) {
-      emit Deposit(id, _token, balance);
-    }
+  /// @notice Create a new unapproved sponsorship, approving the initial deposit with a permit signature
+  /// @param _token The ERC20 token to denominate payment in, which must support EIP-2612 or DAI-style permits
+  /// @param campaign The ID of the campaign to submit the sponsorship to
+  /// @param paymentPerSecond The payment-per-second in the payment token
+  /// @param metadata Any data to attach to the sponsorship (such as an IPFS CID)
+  /// @param permitSignature A permit signed by the sender, with this contract as the spender
+  /// @return id The psuedo-randomly generated ID for the new sponsorship
+  function createSponsorWithPermit(
+    address _token,
+    bytes16 campaign,
+    uint256 initialDeposit,
+    uint128 paymentPerSecond,
+    string calldata metadata,
+    PermitSignature calldata permitSignature
+  ) external returns (bytes32 id) {
+    permit(_token, initialDeposit, permitSignature);
+    id = newSponsor(_token, campaign, initialDeposit, paymentPerSecond, metadata);
   }
 
   /// @notice Deposit tokens into the balance of an existing sponsorship (may be called by anyone)
   /// @param sponsorId The ID of a sponsor
   /// @param amount Amount of tokens to deposit (must be ERC20-approved)
   function deposit(bytes32 sponsorId, uint256 amount) external {
-    Sponsor memory sponsor = sponsors[sponsorId];
-    if (sponsor.owner == address(0)) {
+    depositTo(sponsorId, amount);
+  }
+
+  /// @notice Deposit tokens into the balance of an existing sponsorship, approving them with a permit signature
+  /// @param sponsorId The ID of a sponsor
+  /// @param amount Amount of tokens to deposit
+  /// @param permitSignature A permit signed by the sender, with this contract as the spender
+  function depositWithPermit(
+    bytes32 sponsorId,
+    uint256 amount,
+    PermitSignature calldata permitSignature
+  ) external {
+    // Checked before the permit, which would otherwise be called on the zero address
+    if (sponsors[sponsorId].owner == address(0)) {
       revert InvalidSponsor(sponsorId);
     }
 
-    uint128 depositReceived = _deposit(IERC20(sponsor.token), amount);
-
-    sponsors[sponsorId].balance = sponsor.balance + depositReceived;
-
-    emit Deposit(sponsorId, address(sponsor.token), depositReceived);
-
-    if (sponsor.active) {
-      updateSponsor(sponsorId, sponsor, false, false);
-    }
+    permit(address(sponsors[sponsorId].token), amount, permitSignature);
+    depositTo(sponsorId, amount);
   }
 
-  /// @notice Update the token or payment-per-second of a sponsorship (only called by sponsorship owner)
+  /// @notice Update the token or payment-per-second of a sponsorship (only called by sponsorship owner or operator)
   /// @param sponsorId The ID of a sponsorship to update
   /// @param token The new token to associate with the bid. If different, balance must be 0
   /// @param paymentPerSecond The payment-per-second bid
   function updateBid(bytes32 sponsorId, address token, uint128 paymentPerSecond) external {
-    Sponsor memory sponsor = sponsors[sponsorId];
-    if (sponsor.owner != msg.sender) {
-      revert MustBeCalledBySponsorOwner(sponsor.owner);
-    }
+    Sponsor memory sponsor = loadSponsor(sponsorId);
+    checkOperator(sponsorId, sponsor.owner);
 
     uint256 currentBalance = sponsor.balance;
     if (sponsor.active) {
-      (, currentBalance) = updateSponsor(sponsorId, sponsor, false, false);
+      (, currentBalance, ) = updateSponsor(sponsorId, sponsor, false, false);
     }
 
     if (address(sponsor.token) != token && currentBalance > 0) {
       revert MustWithdrawBalanceToChangeToken(sponsorId);
     }
 
+    checkBid(sponsor.campaign, token, paymentPerSecond);
+
     sponsors[sponsorId].token = IERC20(token);
     sponsors[sponsorId].paymentPerSecond = paymentPerSecond;
 
     emit BidUpdated(sponsorId, token, paymentPerSecond);
   }
 
-  /// @notice Update the metadata of a sponsor (only called by sponsorship owner, will deactivate/unapprove sponsorship)
+  /// @notice Update the metadata of a sponsor (only called by sponsorship owner or operator, will deactivate/unapprove sponsorship)
+  /// @dev Also used to resubmit a rejected sponsorship for review
   /// @param sponsorId The ID of a sponsorship to update
   /// @param metadata New metadata value
   function updateMetadata(bytes32 sponsorId, string calldata metadata) external {
-    Sponsor memory sponsor = sponsors[sponsorId];
-    address _owner = sponsor.owner;
-    if (sponsors[sponsorId].owner != msg.sender) {
-      revert MustBeCalledBySponsorOwner(_owner);
-    }
+    Sponsor memory sponsor = loadSponsor(sponsorId);
+    checkOperator(sponsorId, sponsor.owner);
 
     if (sponsor.active) {
-      updateSponsor(sponsorId, sponsor, false, false);
+      updateSponsor(sponsorId, sponsor, true, false);
     }
 
-    sponsors[sponsorId].metadata = metadata;
+    sponsorMetadata[sponsorId] = metadata;
 
-    if (sponsor.approved || sponsor.active) {
+    if (sponsor.approved) {
       sponsors[sponsorId].approved = false;
-      sponsors[sponsorId].active = false;
+      emit ApprovalSet(sponsorId, false);
     }
 
     emit MetadataUpdated(sponsorId, metadata);
-
-    if (sponsor.active) {
-      emit SponsorDeactivated(sponsor.campaign, sponsorId);
-    }
-    if (sponsor.approved) {
-      emit ApprovalSet(sponsorId, false);
-    }
   }
 
-  /// @notice Withdraw funds from a sponsorship (only called by sponsorship owner)
+  /// @notice Withdraw funds from a sponsorship (only called by sponsorship owner or operator)
   /// @param sponsorId The ID of a sponsorship to update
   /// @param amountRequested The amount of tokens to withdraw. If 0 or greater than the current balance, will withdraw current balance
   /// @param recipient Address to receive tokens
@@ -320,15 +423,13 @@ contract SponsorAuction is Ownable {
     uint256 amountRequested,
     address recipient
   ) external returns (uint256 withdrawAmount) {
-    Sponsor memory sponsor = sponsors[sponsorId];
-    if (sponsor.owner != msg.sender) {
-      revert MustBeCalledBySponsorOwner(sponsor.owner);
-    }
+    Sponsor memory sponsor = loadSponsor(sponsorId);
+    checkOperator(sponsorId, sponsor.owner);
 
     uint128 balance = sponsor.balance;
     bool active = sponsor.active;
     if (active) {
-      (active, balance) = updateSponsor(sponsorId, sponsor, false, false);
+      (active, balance, ) = updateSponsor(sponsorId, sponsor, false, false);
     }
 
     if (balance == 0) {
@@ -354,6 +455,41 @@ contract SponsorAuction is Ownable {
     emit Withdrawal(sponsorId, address(sponsor.token), withdrawAmount);
   }
 
+  /// @notice Limit how much a sponsorship pays over its lifetime, or when it stops paying (only called by sponsorship owner or operator)
+  /// @param sponsorId The ID of a sponsorship to update
+  /// @param maxSpend The maximum total payment, including payments already made (0 for no limit)
+  /// @param endTime Timestamp when the sponsorship stops paying (0 for none)
+  function setSpendLimits(bytes32 sponsorId, uint128 maxSpend, uint32 endTime) external {
+    Sponsor memory sponsor = loadSponsor(sponsorId);
+    checkOperator(sponsorId, sponsor.owner);
+
+    // Payments up to now are settled with the previous limits
+    if (sponsor.active) {
+      updateSponsor(sponsorId, sponsor, false, false);
+    }
+
+    sponsors[sponsorId].maxSpend = maxSpend;
+    sponsors[sponsorId].endTime = endTime;
+
+    emit SpendLimitsSet(sponsorId, maxSpend, endTime);
+  }
+
+  /// @notice Authorize an address to manage a sponsorship, including withdrawals (only called by sponsorship owner).
+  /// Operators can't transfer ownership or set other operators, and are revoked when ownership is transferred.
+  /// @param sponsorId The ID of a sponsorship
+  /// @param operator The address to authorize
+  /// @param enabled Whether the address is authorized
+  function setOperator(bytes32 sponsorId, address operator, bool enabled) external {
+    address _owner = sponsors[sponsorId].owner;
+    if (_owner != msg.sender) {
+      revert MustBeCalledBySponsorOwner(_owner);
+    }
+
+    sponsorOperators[sponsorId][_owner][operator] = enabled;
+
+    emit OperatorSet(sponsorId, _owner, operator, enabled);
+  }
+
   /// @notice Transfer ownership of sponsor to a new address (only called by current owner)
   /// @param sponsorId The ID of a sponsorship to update
   /// @param newOwner Address of new owner account
@@ -373,7 +509,7 @@ contract SponsorAuction is Ownable {
   /// @notice Activates an inactive sponsor on a campaign that has not filled all active slots
   /// @param sponsorId The ID of a sponsor that is approved but inactive
   function lift(bytes32 sponsorId) external {
-    Sponsor memory sponsor = sponsors[sponsorId];
+    Sponsor memory sponsor = loadSponsor(sponsorId);
     if (!sponsor.approved) {
       revert UnapprovedSponsor(sponsorId);
     }
@@ -381,6 +517,10 @@ contract SponsorAuction is Ownable {
       revert SponsorAlreadyActive(sponsorId);
     }
 
+    // The campaign terms may have changed since the bid was made
+    checkBid(sponsor.campaign, address(sponsor.token), sponsor.paymentPerSecond);
+    checkActivation(sponsorId, sponsor.campaign);
+
     Campaign memory campaign = campaigns[sponsor.campaign];
 
     if (campaign.activeSlots >= campaign.slots) {
@@ -392,19 +532,20 @@ contract SponsorAuction is Ownable {
     campaigns[sponsor.campaign].activeSlots = campaign.activeSlots + 1;
   }
 
-  /// @notice Deactive a sponsor if the balance reaches 0 or the number of slots is reduced
+  /// @notice Deactive a sponsor if it can't pay any further (balance reaches 0, spend limit reached or
+  /// campaign/sponsorship ended) or the number of slots is reduced
   /// @param sponsorId The ID of a sponsor
   function drop(bytes32 sponsorId) external {
-    Sponsor memory sponsor = sponsors[sponsorId];
+    Sponsor memory sponsor = loadSponsor(sponsorId);
     if (!sponsor.active) {
       revert SponsorInactive(sponsorId);
     }
 
     Campaign memory campaign = campaigns[sponsor.campaign];
 
-    (, uint256 newBalance) = updateSponsor(sponsorId, sponsor, true, false);
+    (, , bool exhausted) = updateSponsor(sponsorId, sponsor, true, false);
 
-    if (newBalance > 0 && campaign.activeSlots <= campaign.slots) {
+    if (!exhausted && campaign.activeSlots <= campaign.slots) {
       revert SponsorListNotOversized(sponsor.campaign);
     }
   }
@@ -413,8 +554,8 @@ contract SponsorAuction is Ownable {
   /// @param inactiveSponsorId The ID of a sponsor that is approved but inactive
   /// @param activeSponsorId The ID of a sponsor with an empty balance, or a lower bid
   function swap(bytes32 inactiveSponsorId, bytes32 activeSponsorId) external {
-    Sponsor memory inactiveSponsor = sponsors[inactiveSponsorId];
-    Sponsor memory activeSponsor = sponsors[activeSponsorId];
+    Sponsor memory inactiveSponsor = loadSponsor(inactiveSponsorId);
+    Sponsor memory activeSponsor = loadSponsor(activeSponsorId);
     
     if (inactiveSponsor.campaign == bytes16(0)) {
       revert InvalidValue(); // Inactive sponsor doesn't exist
@@ -432,16 +573,22 @@ contract SponsorAuction is Ownable {
     if (!activeSponsor.active) {
       revert SponsorInactive(activeSponsorId);
     }
+    if (activeSponsor.campaign != inactiveSponsor.campaign) {
+      revert InvalidValue();
+    }
 
-    (, uint256 newBalance) = updateSponsor(activeSponsorId, activeSponsor, true, true);
+    checkBid(inactiveSponsor.campaign, address(inactiveSponsor.token), inactiveSponsor.paymentPerSecond);
+    checkActivation(inactiveSponsorId, inactiveSponsor.campaign);
 
-    // If the active sponsor has an empty balance, we can swap in any approved sponsor
-    // If the balance isn't empty, then we compare bids
-    if (newBalance != 0) {
+    (, , bool exhausted) = updateSponsor(activeSponsorId, activeSponsor, true, true);
+
+    // If the active sponsor can't pay any further, we can swap in any approved sponsor
+    // Otherwise, we compare bids
+    if (!exhausted) {
       uint256 inactiveBidInETH = oracle.getPrice(address(inactiveSponsor.token), inactiveSponsor.paymentPerSecond);
       uint256 activeBidInETH = oracle.getPrice(address(activeSponsor.token), activeSponsor.paymentPerSecond);
 
-      if (inactiveBidInETH <= activeBidInETH) {
+      if (inactiveBidInETH <= minimumSwapBid(activeBidInETH, campaigns[inactiveSponsor.campaign].minBidIncrement)) {
         revert InsufficentBidToSwap(activeBidInETH, inactiveBidInETH);
       }
     }
@@ -458,7 +605,7 @@ contract SponsorAuction is Ownable {
   /// @notice Process the payment of an active sponsor, deactivating if balance reaches 0. (Called by anyone)
   /// @param sponsorId The ID of a sponsor
   function processPayment(bytes32 sponsorId) external {
-    Sponsor memory sponsor = sponsors[sponsorId];
+    Sponsor memory sponsor = loadSponsor(sponsorId);
     if (!sponsor.active) {
       revert SponsorInactive(sponsorId);
     }
@@ -466,14 +613,114 @@ contract SponsorAuction is Ownable {
     updateSponsor(sponsorId, sponsor, false, false);
   }
 
+  /// @notice Settles all active sponsors of a campaign, drops empty or excess sponsors and fills the
+  /// slots with the highest bidding candidates, swapping out lower bids. (Called by anyone)
+  /// @dev Candidates that are ineligible (from another campaign, unapproved, active, empty, ended, not
+  /// meeting the campaign terms or with a token the oracle can't price) are skipped, so the call doesn't fail
+  /// if the campaign changed since the candidates were chosen
+  /// @param campaignId The ID of a campaign
+  /// @param candidateIds IDs of inactive sponsors that may be activated, in any order
+  function rebalance(bytes16 campaignId, bytes32[] calldata candidateIds) external {
+    // Iterate backwards, since clearing a slot moves the last active sponsor into it
+    for (uint256 i = campaigns[campaignId].activeSlots; i > 0; i -= 1) {
+      bytes32 sponsorId = campaignActiveSponsors[campaignId][i - 1];
+      updateSponsor(sponsorId, loadSponsor(sponsorId), false, false);
+    }
+
+    Campaign memory campaign = campaigns[campaignId];
+    uint256 numActive = campaign.activeSlots;
+
+    // Mirrors campaignActiveSponsors, with room for every slot to be filled
+    bytes32[] memory activeIds = new bytes32[](campaign.slots > numActive ? campaign.slots : numActive);
+    uint256[] memory activeBids = new uint256[](activeIds.length);
+    for (uint256 i = 0; i < numActive; i += 1) {
+      activeIds[i] = campaignActiveSponsors[campaignId][i];
+      activeBids[i] = bidInETH(activeIds[i]);
+    }
+
+    while (numActive > campaign.slots) {
+      uint256 lowest = lowestBid(activeBids, numActive);
+      updateSponsor(activeIds[lowest], loadSponsor(activeIds[lowest]), true, false);
+
+      numActive -= 1;
+      activeIds[lowest] = activeIds[numActive];
+      activeBids[lowest] = activeBids[numActive];
+    }
+
+    (bytes32[] memory ids, uint256[] memory bids, uint256 numCandidates) = campaignOpen(campaign)
+      ? sortedCandidates(campaignId, candidateIds)
+      : (new bytes32[](0), new uint256[](0), 0);
+
+    for (uint256 i = 0; i < numCandidates; i += 1) {
+      if (sponsors[ids[i]].active) {
+        continue; // Duplicate candidate
+      }
+
+      if (numActive < campaign.slots) {
+        activateSponsor(ids[i], campaignId, uint8(numActive));
+        activeIds[numActive] = ids[i];
+        activeBids[numActive] = bids[i];
+        numActive += 1;
+        campaigns[campaignId].activeSlots = uint8(numActive);
+        continue;
+      }
+
+      if (numActive == 0) {
+        break; // The campaign has no slots
+      }
+
+      uint256 lowest = lowestBid(activeBids, numActive);
+      if (bids[i] <= minimumSwapBid(activeBids[lowest], campaign.minBidIncrement)) {
+        break; // Candidates are sorted, so no later candidate can outbid the active sponsors either
+      }
+
+      updateSponsor(activeIds[lowest], loadSponsor(activeIds[lowest]), true, true);
+      activateSponsor(ids[i], campaignId, uint8(lowest));
+      emit SponsorSwapped(campaignId, activeIds[lowest], ids[i]);
+
+      activeIds[lowest] = ids[i];
+      activeBids[lowest] = bids[i];
+    }
+  }
+
   // Owner actions
 
-  /// @notice Approves or unapproves a sponsor. (Called by auction owner)
+  /// @notice Approves or unapproves a sponsor, without a reason. (Called by auction owner)
   /// @param sponsorId The ID of a sponsor
   /// @param approved New approval value
   function setApproved(bytes32 sponsorId, bool approved) external onlyOwner {
-    sponsors[sponsorId].approved = approved;
-    emit ApprovalSet(sponsorId, approved);
+    setApproval(sponsorId, loadSponsor(sponsorId), approved);
+  }
+
+  /// @notice Approves or rejects a sponsor with a reason. Rejected sponsors are settled & deactivated,
+  /// and may be resubmitted with updateMetadata. (Called by auction owner)
+  /// @param sponsorId The ID of a sponsor
+  /// @param approved New approval value
+  /// @param reasonCode An application-defined code for the decision (0 for none)
+  /// @param reason A human-readable explanation of the decision
+  function moderate(
+    bytes32 sponsorId,
+    bool approved,
+    uint16 reasonCode,
+    string calldata reason
+  ) external onlyOwner {
+    moderateSponsor(sponsorId, approved, reasonCode, reason);
+  }
+
+  /// @notice Approves or rejects multiple sponsors with the same reason. (Called by auction owner)
+  /// @param sponsorIds The IDs of the sponsors
+  /// @param approved New approval value
+  /// @param reasonCode An application-defined code for the decision (0 for none)
+  /// @param reason A human-readable explanation of the decision
+  function moderateBatch(
+    bytes32[] calldata sponsorIds,
+    bool approved,
+    uint16 reasonCode,
+    string calldata reason
+  ) external onlyOwner {
+    for (uint256 i = 0; i < sponsorIds.length; i += 1) {
+      moderateSponsor(sponsorIds[i], approved, reasonCode, reason);
+    }
   }
 
   /// @notice Set the number of potential active sponsors of a campaign. (Called by auction owner)
@@ -484,6 +731,107 @@ contract SponsorAuction is Ownable {
     emit NumberOfSlotsChanged(campaign, newNumSlots);
   }
 
+  /// @notice Set the minimum payment-per-second (in ETH) of bids in a campaign. (Called by auction owner)
+  /// @param campaign The ID of a campaign
+  /// @param reservePrice Minimum payment-per-second, converted to ETH using the oracle
+  function setReservePrice(bytes16 campaign, uint128 reservePrice) external onlyOwner {
+    campaigns[campaign].reservePrice = reservePrice;
+    emit ReservePriceSet(campaign, reservePrice);
+  }
+
+  /// @notice Set how much a bid must exceed an active bid to swap it out. (Called by auction owner)
+  /// @param campaign The ID of a campaign
+  /// @param minBidIncrement Minimum increment in basis points (100 = 1%)
+  function setMinBidIncrement(bytes16 campaign, uint16 minBidIncrement) external onlyOwner {
+    campaigns[campaign].minBidIncrement = minBidIncrement;
+    emit MinBidIncrementSet(campaign, minBidIncrement);
+  }
+
+  /// @notice Restrict the tokens that may be used to bid in a campaign. (Called by auction owner)
+  /// @param campaign The ID of a campaign
+  /// @param enabled Whether bids must use an allowed token
+  function setTokenAllowlistEnabled(bytes16 campaign, bool enabled) external onlyOwner {
+    campaigns[campaign].tokenAllowlistEnabled = enabled;
+    emit TokenAllowlistEnabled(campaign, enabled);
+  }
+
+  /// @notice Add or remove a token from a campaign's allowlist. (Called by auction owner)
+  /// @param campaign The ID of a campaign
+  /// @param token The payment token
+  /// @param allowed Whether the token may be used when the allowlist is enabled
+  function setTokenAllowed(bytes16 campaign, address token, bool allowed) external onlyOwner {
+    campaignAllowedTokens[campaign][token] = allowed;
+    emit TokenAllowed(campaign, token, allowed);
+  }
+
+  /// @notice Set the times a campaign runs between. Once ended, sponsors stop paying and can be dropped. (Called by auction owner)
+  /// @param campaign The ID of a campaign
+  /// @param startTime Timestamp before which sponsors can't be activated (0 for none)
+  /// @param endTime Timestamp when all sponsors stop paying (0 for none)
+  function setCampaignTimes(bytes16 campaign, uint32 startTime, uint32 endTime) external onlyOwner {
+    if (endTime != 0 && endTime <= startTime) {
+      revert InvalidValue();
+    }
+
+    campaigns[campaign].startTime = startTime;
+    campaigns[campaign].endTime = endTime;
+    emit CampaignTimesSet(campaign, startTime, endTime);
+  }
+
+  /// @notice Set the oracle used to compare bids in different tokens. (Called by auction owner)
+  /// @param newOracle The new oracle
+  function setOracle(IOracle newOracle) external onlyOwner {
+    if (address(newOracle) == address(0)) {
+      revert InvalidValue();
+    }
+
+    oracle = newOracle;
+    emit OracleUpdated(address(newOracle));
+  }
+
+  /// @notice Share future payments of a campaign between payees, replacing any previous splits. (Called by auction owner)
+  /// @param campaign The ID of a campaign
+  /// @param payees Addresses to receive a share of payments
+  /// @param shares The share of each payee in basis points, totalling at most 10000
+  function setRevenueSplits(
+    bytes16 campaign,
+    address[] calldata payees,
+    uint16[] calldata shares
+  ) external onlyOwner {
+    if (payees.length != shares.length || payees.length > MAX_REVENUE_SPLITS) {
+      revert InvalidRevenueSplits();
+    }
+
+    delete campaignRevenueSplits[campaign];
+
+    uint256 totalShares = 0;
+    for (uint256 i = 0; i < payees.length; i += 1) {
+      if (payees[i] == address(0) || shares[i] == 0) {
+        revert InvalidRevenueSplits();
+      }
+      totalShares += shares[i];
+      campaignRevenueSplits[campaign].push(RevenueSplit({ payee: payees[i], share: shares[i] }));
+    }
+
+    if (totalShares > 10000) {
+      revert InvalidRevenueSplits();
+    }
+
+    emit RevenueSplitsSet(campaign, payees, shares);
+  }
+
+  /// @notice Withdraw the sender's share of revenue in a token (called by any payee)
+  /// @param token Token to withdraw
+  /// @param recipient Address to receive the revenue
+  function withdrawRevenue(address token, address recipient) external returns (uint256 amount) {
+    amount = revenueBalance[msg.sender][token];
+    if (amount > 0) {
+      revenueBalance[msg.sender][token] = 0;
+      SafeERC20.safeTransfer(IERC20(token), recipient, amount);
+      emit RevenueWithdrawal(msg.sender, token, recipient, amount);
+    }
+  }
+
   /// @notice Withdraw tokens collected from sponsors. (Called by auction owner)
   /// @param token Token to withdraw
   /// @param recipient Address to receive payment
@@ -498,6 +846,39 @@ contract SponsorAuction is Ownable {
 
   // Private functions
 
+  /// @notice Sets the approval of an existing sponsor, and emits the reason for it
+  function moderateSponsor(bytes32 sponsorId, bool approved, uint16 reasonCode, string memory reason) private {
+    Sponsor memory sponsor = loadSponsor(sponsorId);
+    if (sponsor.owner == address(0)) {
+      revert InvalidSponsor(sponsorId);
+    }
+
+    setApproval(sponsorId, sponsor, approved);
+    emit ModerationReason(sponsorId, reasonCode, reason);
+  }
+
+  /// @notice Sets the approval of a sponsor, settling & deactivating it if it's rejected while active
+  function setApproval(bytes32 sponsorId, Sponsor memory sponsor, bool approved) private {
+    if (!approved && sponsor.active) {
+      updateSponsor(sponsorId, sponsor, true, false);
+    }
+
+    sponsors[sponsorId].approved = approved;
+    emit ApprovalSet(sponsorId, approved);
+  }
+
+  /// @notice Reverts if the sender isn't the owner of a sponsorship or one of their operators
+  function checkOperator(bytes32 sponsorId, address _owner) private view {
+    if (msg.sender != _owner && !sponsorOperators[sponsorId][_owner][msg.sender]) {
+      revert MustBeCalledBySponsorOwner(_owner);
+    }
+  }
+
+  /// @notice Copies a sponsor to memory
+  function loadSponsor(bytes32 sponsorId) private view returns (Sponsor memory) {
+    return sponsors[sponsorId];
+  }
+
   /// @notice Calling function must ensure sponsor is currently inactive
   function activateSponsor(bytes32 sponsorId, bytes16 campaign, uint8 slot) private {
     sponsors[sponsorId].lastUpdated = uint32(block.timestamp);
@@ -514,27 +895,26 @@ contract SponsorAuction is Ownable {
   /// @param sponsor The current sponsor state
   /// @param forceDeactivate Deactivate the sponsor, even if there is sufficent balance (used in swap/drop)
   /// @param skipClearingSlot Leave the campaign slot enabled (used in swap)
+  /// @return newActiveState Whether the sponsor is still active
+  /// @return newBalance The balance after paying the pending payment
+  /// @return exhausted Whether the sponsor can't pay any further
   function updateSponsor(
     bytes32 sponsorId,
     Sponsor memory sponsor,
     bool forceDeactivate,
     bool skipClearingSlot
-  ) private returns (bool newActiveState, uint128 newBalance) {
-    newActiveState = !forceDeactivate;
-
-    uint256 timeElapsed = block.timestamp - sponsor.lastUpdated;
-    uint128 pendingPayment = uint128(timeElapsed) * sponsor.paymentPerSecond;
+  ) private returns (bool newActiveState, uint128 newBalance, bool exhausted) {
+    uint128 pendingPayment;
+    (pendingPayment, exhausted) = accruedPayment(sponsor);
+    newActiveState = !forceDeactivate && !exhausted;
 
-    if (pendingPayment > sponsor.balance) {
-      // If their balance is too small, we just zero the balance
-      pendingPayment = sponsor.balance;
-      newActiveState = false;
+    if (pendingPayment > 0) {
+      creditPayment(sponsor.campaign, address(sponsor.token), pendingPayment);
     }
 
-    paymentCollected[address(sponsor.token)] += pendingPayment;
-
     newBalance = sponsor.balance - pendingPayment;
     sponsors[sponsorId].balance = newBalance;
+    sponsors[sponsorId].spent = sponsor.spent + pendingPayment;
     sponsors[sponsorId].lastUpdated = uint32(block.timestamp);
     sponsors[sponsorId].active = newActiveState;
 
@@ -556,6 +936,165 @@ contract SponsorAuction is Ownable {
     }
   }
 
+  /// @notice Credits a payment to the campaign's payees, and the remainder to the auction owner
+  function creditPayment(bytes16 campaignId, address token, uint256 payment) private {
+    RevenueSplit[] storage splits = campaignRevenueSplits[campaignId];
+
+    uint256 remainder = payment;
+    for (uint256 i = 0; i < splits.length; i += 1) {
+      RevenueSplit memory split = splits[i];
+      uint256 amount = payment * split.share / 10000;
+      if (amount > 0) {
+        revenueBalance[split.payee][token] += amount;
+        revenueAccrued[split.payee][token] += amount;
+        remainder -= amount;
+        emit RevenueCredited(campaignId, split.payee, token, amount);
+      }
+    }
+
+    paymentCollected[token] += remainder;
+  }
+
+  /// @notice The payment an active sponsor has accrued since it was last updated. Payment stops at the
+  /// campaign or sponsorship end time, and is capped by the balance and spend limit.
+  /// @return payment The accrued payment
+  /// @return exhausted Whether the sponsor can't pay any further after this payment
+  function accruedPayment(Sponsor memory sponsor) private view returns (uint128 payment, bool exhausted) {
+    Campaign memory campaign = campaigns[sponsor.campaign];
+
+    uint256 start = sponsor.lastUpdated > campaign.startTime ? sponsor.lastUpdated : campaign.startTime;
+    uint256 end = block.timestamp;
+    if (campaign.endTime != 0 && campaign.endTime <= end) {
+      end = campaign.endTime;
+      exhausted = true;
+    }
+    if (sponsor.endTime != 0 && sponsor.endTime <= end) {
+      end = sponsor.endTime;
+      exhausted = true;
+    }
+
+    payment = end > start ? uint128(end - start) * sponsor.paymentPerSecond : 0;
+
+    if (payment > sponsor.balance) {
+      // If their balance is too small, we just pay the remainder
+      payment = sponsor.balance;
+      exhausted = true;
+    }
+
+    if (sponsor.maxSpend != 0) {
+      // A sponsor stops once it reaches its spend limit, rather than once it's exceeded
+      uint128 remainingSpend = sponsor.maxSpend > sponsor.spent ? sponsor.maxSpend - sponsor.spent : 0;
+      if (payment >= remainingSpend) {
+        payment = remainingSpend;
+        exhausted = true;
+      }
+    }
+  }
+
+  /// @notice Reverts if a sponsor can't be activated, due to the campaign or sponsorship times or spend limit
+  function checkActivation(bytes32 sponsorId, bytes16 campaignId) private view {
+    if (!campaignOpen(campaigns[campaignId])) {
+      revert CampaignNotActive(campaignId);
+    }
+    if (sponsorEnded(sponsorId)) {
+      revert SponsorEnded(sponsorId);
+    }
+  }
+
+  /// @notice Whether the current time is within the campaign's start & end times
+  function campaignOpen(Campaign memory campaign) private view returns (bool) {
+    return block.timestamp >= campaign.startTime && (campaign.endTime == 0 || block.timestamp < campaign.endTime);
+  }
+
+  /// @notice Whether a sponsorship has passed its end time or reached its spend limit
+  function sponsorEnded(bytes32 sponsorId) private view returns (bool) {
+    Sponsor storage sponsor = sponsors[sponsorId];
+    return (sponsor.endTime != 0 && block.timestamp >= sponsor.endTime)
+      || (sponsor.maxSpend != 0 && sponsor.spent >= sponsor.maxSpend);
+  }
+
+  /// @notice A sponsor's payment-per-second, converted to ETH using the oracle
+  function bidInETH(bytes32 sponsorId) private view returns (uint256) {
+    Sponsor storage sponsor = sponsors[sponsorId];
+    return oracle.getPrice(address(sponsor.token), sponsor.paymentPerSecond);
+  }
+
+  /// @notice Reverts if a bid doesn't use an allowed token or is below the campaign's reserve price
+  function checkBid(bytes16 campaignId, address token, uint128 paymentPerSecond) private view {
+    if (!isTokenAllowed(campaignId, token)) {
+      revert TokenNotAllowed(campaignId, token);
+    }
+
+    uint128 reservePrice = campaigns[campaignId].reservePrice;
+    if (reservePrice > 0) {
+      uint256 bid = oracle.getPrice(token, paymentPerSecond);
+      if (bid < reservePrice) {
+        revert BidBelowReservePrice(reservePrice, bid);
+      }
+    }
+  }
+
+  /// @notice The bid that must be exceeded to swap out an active bid
+  function minimumSwapBid(uint256 activeBid, uint16 minBidIncrement) private pure returns (uint256) {
+    return activeBid + activeBid * minBidIncrement / 10000;
+  }
+
+  /// @notice Index of the lowest bid among the first `length` bids
+  function lowestBid(uint256[] memory bids, uint256 length) private pure returns (uint256 lowest) {
+    for (uint256 i = 1; i < length; i += 1) {
+      if (bids[i] < bids[lowest]) {
+        lowest = i;
+      }
+    }
+  }
+
+  /// @notice Filters candidates that can be activated in a campaign, sorted by descending bid
+  /// @return ids Eligible candidates, followed by empty values
+  /// @return bids Bids of the eligible candidates in ETH
+  /// @return length The number of eligible candidates
+  function sortedCandidates(
+    bytes16 campaignId,
+    bytes32[] calldata candidateIds
+  ) private view returns (bytes32[] memory ids, uint256[] memory bids, uint256 length) {
+    ids = new bytes32[](candidateIds.length);
+    bids = new uint256[](candidateIds.length);
+
+    for (uint256 i = 0; i < candidateIds.length; i += 1) {
+      Sponsor storage sponsor = sponsors[candidateIds[i]];
+      if (
+        sponsor.campaign != campaignId
+        || !sponsor.approved
+        || sponsor.active
+        || sponsor.balance == 0
+        || sponsorEnded(candidateIds[i])
+      ) {
+        continue;
+      }
+
+      // A candidate whose token can't be priced is skipped, rather than failing the rebalance
+      uint256 bid;
+      try oracle.getPrice(address(sponsor.token), sponsor.paymentPerSecond) returns (uint256 price) {
+        bid = price;
+      } catch {
+        continue;
+      }
+      if (bid < campaigns[campaignId].reservePrice || !isTokenAllowed(campaignId, address(sponsor.token))) {
+        continue;
+      }
+
+      // Insertion sort, keeping the candidate order for equal bids
+      uint256 j = length;
+      while (j > 0 && bids[j - 1] < bid) {
+        ids[j] = ids[j - 1];
+        bids[j] = bids[j - 1];
+        j -= 1;
+      }
+      ids[j] = candidateIds[i];
+      bids[j] = bid;
+      length += 1;
+    }
+  }
+
   /// @notice Remove a sponsor from a campaign's list of active sponsors
   function clearSlot(bytes16 campaignId, uint256 slot) private {
     Campaign memory campaign = campaigns[campaignId];
@@ -564,12 +1103,99 @@ contract SponsorAuction is Ownable {
     if (slot == lastActiveSpot) {
       campaignActiveSponsors[campaignId][slot] = bytes32(0);
     } else {
-      campaignActiveSponsors[campaignId][slot] = campaignActiveSponsors[campaignId][lastActiveSpot];
+      bytes32 moved = campaignActiveSponsors[campaignId][lastActiveSpot];
+      campaignActiveSponsors[campaignId][slot] = moved;
       campaignActiveSponsors[campaignId][lastActiveSpot] = bytes32(0);
+      sponsors[moved].slot = uint8(slot);
     }
     campaigns[campaignId].activeSlots = campaign.activeSlots - 1;
   }
 
+  /// @notice Creates a sponsorship, transferring the initial deposit from the sender
+  function newSponsor(
+    address _token,
+    bytes16 campaign,
+    uint256 initialDeposit,
+    uint128 paymentPerSecond,
+    string calldata metadata
+  ) private returns (bytes32 id) {
+    if (campaign == bytes16(0) || _token == address(0)) {
+      revert InvalidValue();
+    }
+
+    // Prevent overflow attacks
+    if (uint256(paymentPerSecond) * 365 days > type(uint128).max) {
+      revert InvalidValue();
+    }
+
+    checkBid(campaign, _token, paymentPerSecond);
+
+    uint128 balance = 0;
+    if (initialDeposit > 0) {
+      balance = _deposit(IERC20(_token), initialDeposit);
+    }
+
+    id = psuedoRandomID(msg.sender, metadata);
+
+    sponsors[id] = Sponsor({
+      campaign: campaign,
+      owner: msg.sender,
+      token: IERC20(_token),
+      balance: balance,
+      paymentPerSecond: paymentPerSecond,
+      lastUpdated: uint32(block.timestamp),
+      endTime: 0,
+      approved: false,
+      active: false,
+      slot: 0,
+      maxSpend: 0,
+      spent: 0
+    });
+    sponsorMetadata[id] = metadata;
+
+    emit NewSponsor(id, campaign, msg.sender, _token, paymentPerSecond, metadata);
+
+    if (balance > 0) {
+      emit Deposit(id, _token, balance);
+    }
+  }
+
+  /// @notice Transfers a deposit from the sender, settling an active sponsor first
+  function depositTo(bytes32 sponsorId, uint256 amount) private {
+    Sponsor memory sponsor = loadSponsor(sponsorId);
+    if (sponsor.owner == address(0)) {
+      revert InvalidSponsor(sponsorId);
+    }
+
+    // Payments up to now are made from the previous balance
+    uint128 balance = sponsor.balance;
+    if (sponsor.active) {
+      (, balance, ) = updateSponsor(sponsorId, sponsor, false, false);
+    }
+
+    uint128 depositReceived = _deposit(IERC20(sponsor.token), amount);
+
+    sponsors[sponsorId].balance = balance + depositReceived;
+
+    emit Deposit(sponsorId, address(sponsor.token), depositReceived);
+  }
+
+  /// @notice Approves this contract to spend the sender's tokens with an EIP-2612 or DAI-style permit
+  /// @dev A failing permit is ignored, since it may have been front-run. The transfer still fails if the
+  /// allowance is too low.
+  function permit(address token, uint256 amount, PermitSignature calldata signature) private {
+    if (signature.daiStyle) {
+      uint256 nonce = IDAIPermit(token).nonces(msg.sender);
+      try IDAIPermit(token).permit(
+        msg.sender, address(this), nonce, signature.deadline, true, signature.v, signature.r, signature.s
+      ) {} catch {}
+    } else {
+      try IERC20Permit(token).permit(
+        msg.sender, address(this), amount, signature.deadline, signature.v, signature.r, signature.s
+      ) {} catch {}
+    }
+  }
+
   /// @notice Transfer an approved token from the sender to the contract
   function _deposit(IERC20 token, uint256 amount) private returns (uint128) {
     uint256 startingBalance = token.balanceOf(address(this));
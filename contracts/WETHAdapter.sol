@@ -3,11 +3,16 @@ pragma solidity ^0.8.4;
 
 import "./SponsorAuction.sol";
 
+error ETHTransferFailed();
+
 interface IWETH {
   function deposit() external payable;
+  function withdraw(uint256 amount) external;
   function approve(address recipient, uint256 amount) external;
 }
 
+/// @notice Lets sponsors bid & pay with ETH. To withdraw or update bids through the adapter, the sponsor
+/// owner must first authorize it with SponsorAuction.setOperator
 contract WETHAdapter {
   SponsorAuction public immutable auction;
   IWETH public immutable weth;
@@ -17,6 +22,13 @@ contract WETHAdapter {
     weth = IWETH(_weth);
   }
 
+  // Only accept ETH when unwrapping WETH
+  receive() external payable {
+    if (msg.sender != address(weth)) {
+      revert InvalidValue();
+    }
+  }
+
   function createSponsor(
     bytes16 campaign,
     uint128 paymentPerSecond,
@@ -35,4 +47,58 @@ contract WETHAdapter {
 
     auction.deposit(sponsorId, msg.value);
   }
+
+  /// @notice Withdraws WETH from a sponsorship and sends it to the sponsor owner as ETH (only called by sponsorship owner)
+  /// @param sponsorId The ID of a sponsorship paying in WETH
+  /// @param amountRequested The amount to withdraw. If 0 or greater than the current balance, will withdraw current balance
+  function withdrawETH(bytes32 sponsorId, uint256 amountRequested) external returns (uint256 withdrawAmount) {
+    (address owner, , , IERC20 token, , , , ) = auction.getSponsor(sponsorId);
+    checkOwner(owner);
+    if (address(token) != address(weth)) {
+      revert InvalidValue();
+    }
+
+    withdrawAmount = auction.withdraw(sponsorId, amountRequested, address(this));
+    sendETH(owner, withdrawAmount);
+  }
+
+  /// @notice Updates a sponsorship to bid in WETH, depositing any ETH sent (only called by sponsorship owner).
+  /// If the sponsorship was paying in another token, the remaining balance is withdrawn to the owner first.
+  /// @param sponsorId The ID of a sponsorship
+  /// @param paymentPerSecond The payment-per-second bid, in WETH
+  function updateBid(bytes32 sponsorId, uint128 paymentPerSecond) external payable {
+    (address owner, , , IERC20 token, , , , ) = auction.getSponsor(sponsorId);
+    checkOwner(owner);
+
+    if (address(token) != address(weth)) {
+      auction.withdraw(sponsorId, 0, owner);
+    }
+
+    auction.updateBid(sponsorId, address(weth), paymentPerSecond);
+
+    if (msg.value > 0) {
+      weth.deposit{ value: msg.value }();
+      weth.approve(address(auction), msg.value);
+
+      auction.deposit(sponsorId, msg.value);
+    }
+  }
+
+  function checkOwner(address owner) private view {
+    if (msg.sender != owner) {
+      revert MustBeCalledBySponsorOwner(owner);
+    }
+  }
+
+  function sendETH(address recipient, uint256 amount) private {
+    if (amount == 0) {
+      return;
+    }
+
+    weth.withdraw(amount);
+    (bool success, ) = recipient.call{ value: amount }("");
+    if (!success) {
+      revert ETHTransferFailed();
+    }
+  }
 }
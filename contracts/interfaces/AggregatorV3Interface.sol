@@ -0,0 +1,15 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+/// @notice The subset of Chainlink's AggregatorV3Interface used for pricing
+interface AggregatorV3Interface {
+  function decimals() external view returns (uint8);
+
+  function latestRoundData() external view returns (
+    uint80 roundId,
+    int256 answer,
+    uint256 startedAt,
+    uint256 updatedAt,
+    uint80 answeredInRound
+  );
+}
@@ -0,0 +1,18 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+/// @notice The permit function of DAI and other tokens that copied it, which predate EIP-2612
+interface IDAIPermit {
+  function nonces(address holder) external view returns (uint256);
+
+  function permit(
+    address holder,
+    address spender,
+    uint256 nonce,
+    uint256 expiry,
+    bool allowed,
+    uint8 v,
+    bytes32 r,
+    bytes32 s
+  ) external;
+}
@@ -0,0 +1,195 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "../interfaces/AggregatorV3Interface.sol";
+import "../interfaces/IOracle.sol";
+import "../libraries/FullMath.sol";
+import "../Ownable.sol";
+
+error InvalidSource();
+error PriceUnavailable(address token);
+error PriceDeviationTooHigh(address token, uint256 primaryPrice, uint256 fallbackPrice);
+
+/// @notice Prices each token in ETH using a primary source configured by the owner, with an optional
+/// fallback that is used when the primary source is stale or failing, and is checked against the primary price
+contract OracleRouter is IOracle, Ownable {
+  enum SourceType {
+    None,
+    FixedRate,  // rate is the wei value of one whole token
+    Aggregator, // target is a Chainlink-style token/ETH aggregator
+    Oracle      // target is another IOracle, such as UniswapV3TWAPOracle
+  }
+
+  struct Source {
+    SourceType sourceType;
+    address target;
+    uint256 rate;
+  }
+
+  struct Feed {
+    Source primary;
+    Source fallbackSource;
+    uint8 decimals;         // Decimals of the token being priced
+    uint32 maxAge;          // Maximum age of an aggregator answer in seconds, or 0 to skip the check
+    uint16 maxDeviationBps; // Maximum difference between primary & fallback prices, or 0 to skip the check
+  }
+
+  mapping(address => Feed) private feeds;
+
+  event FeedSet(
+    address indexed token,
+    SourceType primary,
+    SourceType fallbackSource,
+    uint32 maxAge,
+    uint16 maxDeviationBps
+  );
+  event FeedRemoved(address indexed token);
+
+  // View functions
+
+  /// @notice Converts an amount of tokens to ETH. Returns 0 for tokens without a feed
+  /// @param token The token to price
+  /// @param amount An amount of the token, in the token's smallest unit
+  /// @return The value of the tokens in wei
+  function getPrice(address token, uint256 amount) external view override returns (uint256) {
+    Feed memory feed = feeds[token];
+    if (feed.primary.sourceType == SourceType.None) {
+      return 0;
+    }
+
+    (bool primaryValid, uint256 primaryPrice) = priceFromSource(feed.primary, feed, token, amount);
+
+    if (feed.fallbackSource.sourceType == SourceType.None) {
+      if (!primaryValid) {
+        revert PriceUnavailable(token);
+      }
+      return primaryPrice;
+    }
+
+    (bool fallbackValid, uint256 fallbackPrice) = priceFromSource(feed.fallbackSource, feed, token, amount);
+
+    if (!primaryValid) {
+      if (!fallbackValid) {
+        revert PriceUnavailable(token);
+      }
+      return fallbackPrice;
+    }
+
+    if (fallbackValid && feed.maxDeviationBps > 0) {
+      uint256 difference = primaryPrice > fallbackPrice
+        ? primaryPrice - fallbackPrice
+        : fallbackPrice - primaryPrice;
+
+      if (difference * 10000 > fallbackPrice * feed.maxDeviationBps) {
+        revert PriceDeviationTooHigh(token, primaryPrice, fallbackPrice);
+      }
+    }
+
+    return primaryPrice;
+  }
+
+  /// @notice Returns the price feed configuration of a token
+  function getFeed(address token) external view returns (
+    Source memory primary,
+    Source memory fallbackSource,
+    uint8 decimals,
+    uint32 maxAge,
+    uint16 maxDeviationBps
+  ) {
+    Feed memory feed = feeds[token];
+    return (feed.primary, feed.fallbackSource, feed.decimals, feed.maxAge, feed.maxDeviationBps);
+  }
+
+  // Owner actions
+
+  /// @notice Configures the price sources of a token. (Called by router owner)
+  /// @param token The token to price
+  /// @param primary The source used to price the token
+  /// @param fallbackSource Source used if the primary is stale or failing (sourceType None to disable)
+  /// @param maxAge Maximum age of aggregator answers, in seconds (0 to disable)
+  /// @param maxDeviationBps Maximum deviation between the primary & fallback prices, in basis points (0 to disable)
+  function setFeed(
+    address token,
+    Source calldata primary,
+    Source calldata fallbackSource,
+    uint32 maxAge,
+    uint16 maxDeviationBps
+  ) external onlyOwner {
+    if (primary.sourceType == SourceType.None) {
+      revert InvalidSource();
+    }
+    validateSource(primary);
+    if (fallbackSource.sourceType != SourceType.None) {
+      validateSource(fallbackSource);
+    }
+
+    feeds[token] = Feed({
+      primary: primary,
+      fallbackSource: fallbackSource,
+      decimals: IERC20Metadata(token).decimals(),
+      maxAge: maxAge,
+      maxDeviationBps: maxDeviationBps
+    });
+
+    emit FeedSet(token, primary.sourceType, fallbackSource.sourceType, maxAge, maxDeviationBps);
+  }
+
+  /// @notice Removes the feed of a token, which will then be priced at 0. (Called by router owner)
+  function removeFeed(address token) external onlyOwner {
+    delete feeds[token];
+    emit FeedRemoved(token);
+  }
+
+  // Private functions
+
+  function validateSource(Source calldata source) private view {
+    if (source.sourceType == SourceType.FixedRate) {
+      if (source.rate == 0) {
+        revert InvalidSource();
+      }
+    } else if (source.target == address(0) || source.target == address(this)) {
+      revert InvalidSource();
+    }
+  }
+
+  /// @notice Prices tokens using a single source. Failing calls & stale answers are returned as invalid
+  function priceFromSource(
+    Source memory source,
+    Feed memory feed,
+    address token,
+    uint256 amount
+  ) private view returns (bool valid, uint256 price) {
+    if (source.sourceType == SourceType.FixedRate) {
+      return (true, FullMath.mulDiv(amount, source.rate, 10 ** uint256(feed.decimals)));
+    }
+
+    if (source.sourceType == SourceType.Oracle) {
+      try IOracle(source.target).getPrice(token, amount) returns (uint256 oraclePrice) {
+        return (oraclePrice > 0, oraclePrice);
+      } catch {
+        return (false, 0);
+      }
+    }
+
+    AggregatorV3Interface aggregator = AggregatorV3Interface(source.target);
+    uint8 aggregatorDecimals;
+    try aggregator.decimals() returns (uint8 _decimals) {
+      aggregatorDecimals = _decimals;
+    } catch {
+      return (false, 0);
+    }
+
+    try aggregator.latestRoundData() returns (uint80, int256 answer, uint256, uint256 updatedAt, uint80) {
+      if (answer <= 0 || (feed.maxAge > 0 && updatedAt + feed.maxAge < block.timestamp)) {
+        return (false, 0);
+      }
+
+      // answer is the ETH price of one whole token, with aggregatorDecimals decimals
+      price = FullMath.mulDiv(amount, uint256(answer) * 1e18, 10 ** (uint256(aggregatorDecimals) + feed.decimals));
+      return (true, price);
+    } catch {
+      return (false, 0);
+    }
+  }
+}
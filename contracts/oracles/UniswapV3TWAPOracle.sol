@@ -0,0 +1,125 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "@uniswap/v3-core/contracts/interfaces/IUniswapV3Pool.sol";
+import "../interfaces/IOracle.sol";
+import "../libraries/FullMath.sol";
+import "../libraries/TickMath.sol";
+import "../Ownable.sol";
+
+error InvalidPool(address token, address pool);
+error InvalidTWAPWindow();
+
+/// @notice Prices tokens in WETH, using the time-weighted average price of a Uniswap V3 pool for each token
+contract UniswapV3TWAPOracle is IOracle, Ownable {
+  address public immutable weth;
+
+  uint32 public twapWindow;
+
+  mapping(address => IUniswapV3Pool) public pools;
+
+  event PoolSet(address indexed token, address pool);
+  event TWAPWindowSet(uint32 twapWindow);
+
+  constructor(address _weth, uint32 _twapWindow) {
+    if (_twapWindow == 0) {
+      revert InvalidTWAPWindow();
+    }
+
+    weth = _weth;
+    twapWindow = _twapWindow;
+  }
+
+  /// @notice Converts an amount of tokens to WETH. Returns 0 for tokens without a configured pool
+  /// @dev Uniswap prices are ratios of the raw token amounts, so token decimals are accounted for
+  /// @param token The token to price
+  /// @param amount An amount of the token, in the token's smallest unit
+  /// @return The value of the tokens in wei
+  function getPrice(address token, uint256 amount) external view override returns (uint256) {
+    if (token == weth) {
+      return amount;
+    }
+
+    IUniswapV3Pool pool = pools[token];
+    if (address(pool) == address(0)) {
+      return 0;
+    }
+
+    int24 tick = consultTick(pool, twapWindow);
+    return getQuoteAtTick(tick, amount, token, weth);
+  }
+
+  // Owner actions
+
+  /// @notice Sets the WETH pool used to price a token, or removes it if set to the zero address. (Called by oracle owner)
+  /// @param token The token to price
+  /// @param pool A Uniswap V3 pool of the token and WETH
+  function setPool(address token, IUniswapV3Pool pool) external onlyOwner {
+    if (address(pool) != address(0)) {
+      address token0 = pool.token0();
+      address token1 = pool.token1();
+
+      bool isWETHPair = (token0 == token && token1 == weth) || (token0 == weth && token1 == token);
+      if (!isWETHPair) {
+        revert InvalidPool(token, address(pool));
+      }
+    }
+
+    pools[token] = pool;
+    emit PoolSet(token, address(pool));
+  }
+
+  /// @notice Sets the period that prices are averaged over. (Called by oracle owner)
+  /// @param _twapWindow The TWAP period, in seconds
+  function setTWAPWindow(uint32 _twapWindow) external onlyOwner {
+    if (_twapWindow == 0) {
+      revert InvalidTWAPWindow();
+    }
+
+    twapWindow = _twapWindow;
+    emit TWAPWindowSet(_twapWindow);
+  }
+
+  // Private functions
+
+  /// @notice The arithmetic mean tick over the window, rounded towards negative infinity
+  function consultTick(IUniswapV3Pool pool, uint32 window) private view returns (int24 tick) {
+    uint32[] memory secondsAgos = new uint32[](2);
+    secondsAgos[0] = window;
+    secondsAgos[1] = 0;
+
+    (int56[] memory tickCumulatives, ) = pool.observe(secondsAgos);
+
+    int56 tickCumulativesDelta = tickCumulatives[1] - tickCumulatives[0];
+    int56 windowLength = int56(uint56(window));
+
+    tick = int24(tickCumulativesDelta / windowLength);
+    if (tickCumulativesDelta < 0 && (tickCumulativesDelta % windowLength != 0)) {
+      tick--;
+    }
+  }
+
+  /// @notice Converts an amount of the base token to the quote token at the price of a tick
+  /// @dev Ticks price token1 in terms of token0, so the ratio is inverted when the base token is token1
+  function getQuoteAtTick(
+    int24 tick,
+    uint256 baseAmount,
+    address baseToken,
+    address quoteToken
+  ) private pure returns (uint256 quoteAmount) {
+    uint160 sqrtRatioX96 = TickMath.getSqrtRatioAtTick(tick);
+
+    // Calculate quoteAmount with better precision if it doesn't overflow when multiplied by itself
+    if (sqrtRatioX96 <= type(uint128).max) {
+      uint256 ratioX192 = uint256(sqrtRatioX96) * sqrtRatioX96;
+      quoteAmount = baseToken < quoteToken
+        ? FullMath.mulDiv(ratioX192, baseAmount, 1 << 192)
+        : FullMath.mulDiv(1 << 192, baseAmount, ratioX192);
+    } else {
+      uint256 ratioX128 = FullMath.mulDiv(sqrtRatioX96, sqrtRatioX96, 1 << 64);
+      quoteAmount = baseToken < quoteToken
+        ? FullMath.mulDiv(ratioX128, baseAmount, 1 << 128)
+        : FullMath.mulDiv(1 << 128, baseAmount, ratioX128);
+    }
+  }
+}
@@ -0,0 +1,41 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "../interfaces/AggregatorV3Interface.sol";
+
+contract TestAggregator is AggregatorV3Interface {
+  uint8 private immutable decimalPlaces;
+
+  int256 private answer;
+  uint256 private updatedAt;
+  bool private broken;
+
+  constructor(uint8 _decimals) {
+    decimalPlaces = _decimals;
+  }
+
+  /// @notice Makes decimals() revert, while latestRoundData() still answers
+  function setBroken(bool _broken) external {
+    broken = _broken;
+  }
+
+  function decimals() external view override returns (uint8) {
+    require(!broken, "Broken");
+    return decimalPlaces;
+  }
+
+  function setAnswer(int256 _answer, uint256 _updatedAt) external {
+    answer = _answer;
+    updatedAt = _updatedAt;
+  }
+
+  function latestRoundData() external view override returns (
+    uint80 roundId,
+    int256 _answer,
+    uint256 startedAt,
+    uint256 _updatedAt,
+    uint80 answeredInRound
+  ) {
+    return (1, answer, updatedAt, updatedAt, 1);
+  }
+}
@@ -0,0 +1,38 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/draft-EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+// A token with the same permit function as DAI
+contract TestDAIPermitToken is ERC20, EIP712 {
+  bytes32 public constant PERMIT_TYPEHASH =
+    keccak256("Permit(address holder,address spender,uint256 nonce,uint256 expiry,bool allowed)");
+
+  mapping(address => uint256) public nonces;
+
+  constructor() ERC20("Dai Stablecoin", "DAI") EIP712("Dai Stablecoin", "1") {
+    _mint(msg.sender, 10000e18);
+  }
+
+  function permit(
+    address holder,
+    address spender,
+    uint256 nonce,
+    uint256 expiry,
+    bool allowed,
+    uint8 v,
+    bytes32 r,
+    bytes32 s
+  ) external {
+    bytes32 structHash = keccak256(abi.encode(PERMIT_TYPEHASH, holder, spender, nonce, expiry, allowed));
+    address signer = ECDSA.recover(_hashTypedDataV4(structHash), v, r, s);
+
+    require(holder != address(0) && signer == holder, "Dai/invalid-permit");
+    require(expiry == 0 || block.timestamp <= expiry, "Dai/permit-expired");
+    require(nonce == nonces[holder]++, "Dai/invalid-nonce");
+
+    _approve(holder, spender, allowed ? type(uint256).max : 0);
+  }
+}
@@ -4,7 +4,15 @@ pragma solidity ^0.8.4;
 import "../interfaces/IOracle.sol";
 
 contract TestOracle is IOracle {
+  mapping(address => bool) private broken;
+
+  /// @notice Makes getPrice revert for a token, like a feed that's unavailable
+  function setBroken(address token, bool _broken) external {
+    broken[token] = _broken;
+  }
+
   function getPrice(address token, uint256 amount) external view override returns (uint256) {
+    require(!broken[token], "PriceUnavailable");
     return amount;
   }
 }
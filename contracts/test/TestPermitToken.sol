@@ -0,0 +1,10 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-ERC20Permit.sol";
+
+contract TestPermitToken is ERC20Permit {
+  constructor() ERC20("TEST", "TEST") ERC20Permit("TEST") {
+    _mint(msg.sender, 10000e18);
+  }
+}
@@ -0,0 +1,47 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+/// @notice Minimal Uniswap V3 pool that records a tick history and reports observations from it
+contract TestUniswapV3Pool {
+  struct Observation {
+    uint32 timestamp;
+    int56 tickCumulative;
+    int24 tick;
+  }
+
+  address public immutable token0;
+  address public immutable token1;
+
+  Observation[] private observations;
+
+  constructor(address tokenA, address tokenB) {
+    (token0, token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+    observations.push(Observation(uint32(block.timestamp), 0, 0));
+  }
+
+  function setTick(int24 tick) external {
+    observations.push(Observation(uint32(block.timestamp), tickCumulativeAt(uint32(block.timestamp)), tick));
+  }
+
+  function observe(uint32[] calldata secondsAgos) external view returns (
+    int56[] memory tickCumulatives,
+    uint160[] memory secondsPerLiquidityCumulativeX128s
+  ) {
+    tickCumulatives = new int56[](secondsAgos.length);
+    secondsPerLiquidityCumulativeX128s = new uint160[](secondsAgos.length);
+
+    for (uint256 i = 0; i < secondsAgos.length; i += 1) {
+      tickCumulatives[i] = tickCumulativeAt(uint32(block.timestamp) - secondsAgos[i]);
+    }
+  }
+
+  function tickCumulativeAt(uint32 timestamp) private view returns (int56) {
+    for (uint256 i = observations.length; i > 0; i -= 1) {
+      Observation memory observation = observations[i - 1];
+      if (observation.timestamp <= timestamp) {
+        return observation.tickCumulative + int56(observation.tick) * int56(uint56(timestamp - observation.timestamp));
+      }
+    }
+    revert("OLD");
+  }
+}
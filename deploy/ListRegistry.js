@@ -0,0 +1,25 @@
+const { loadDeployConfig, ensureListValues, ensureOwner } = require('../deployment');
+
+const func = async function ({ deployments, getNamedAccounts, network }) {
+  const { deploy, log } = deployments;
+  const { deployer } = await getNamedAccounts();
+  const config = loadDeployConfig(network.name);
+  const context = { deployments, from: deployer };
+
+  const registry = await deploy('ListRegistry', {
+    from: deployer,
+    skipIfAlreadyDeployed: true,
+  });
+  log(`${registry.newlyDeployed ? 'Deployed' : 'Reusing'} ListRegistry at ${registry.address}`);
+
+  // Lists are filled before proposing the new owner, while the deployer can still edit them
+  for (const [list, values] of Object.entries(config.lists)) {
+    await ensureListValues(context, list, values);
+  }
+
+  await ensureOwner(context, 'ListRegistry', config.owner);
+};
+
+func.tags = ['ListRegistry'];
+
+module.exports = func;
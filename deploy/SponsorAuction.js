@@ -1,33 +1,48 @@
-// const WETH_ADDRESS = '0xB47e6A5f8b33b3F17603C83a0535A9dcD7E32681';
-const WETH_ADDRESS = '0xd0a1e359811322d97991e03f863a0c30c2cf029c'; //kovan
+const {
+  OWNABLE_ORACLES,
+  loadDeployConfig,
+  getWETH,
+  deployOracle,
+  ensureOracle,
+  ensureNumSlots,
+  ensureOwner,
+} = require('../deployment');
 
-const owner = '0x3431c5139Bb6F5ba16E4d55EF2420ba8E0E127F6';
-
-const func = async function ({ deployments, getNamedAccounts, getChainId }) {
-  const { deploy, execute, read } = deployments;
+const func = async function ({ deployments, getNamedAccounts, getChainId, network }) {
+  const { deploy, log } = deployments;
   const { deployer } = await getNamedAccounts();
+  const config = loadDeployConfig(network.name);
+  const context = { deployments, from: deployer };
 
-  const oracle = await deploy('SingleTokenOracle', {
-    args: [WETH_ADDRESS],
-    from: deployer,
-    deterministicDeployment: true,
-  });
-  console.log(`Deployed SingleTokenOracle to ${oracle.address}`);
+  const weth = await getWETH(context, config, await getChainId());
+  const oracle = await deployOracle(context, config, weth);
 
+  // The oracle can be changed later, so an existing auction is kept rather than redeployed
   const auction = await deploy('SponsorAuction', {
-    args: [oracle.address],
+    args: [oracle],
     from: deployer,
+    skipIfAlreadyDeployed: true,
   });
-  console.log(`Deployed SponsorAuction to ${auction.address}`);
-  await execute('SponsorAuction', { from: deployer }, 'setNumSlots', '0x6c6973636f6e00000000000000000000', 1)
-  await execute('SponsorAuction', { from: deployer }, 'transferOwnership', owner);
+  log(`${auction.newlyDeployed ? 'Deployed' : 'Reusing'} SponsorAuction at ${auction.address}`);
+  await ensureOracle(context, oracle);
 
-  const factory = await deploy('WETHAdapter', {
-    args: [auction.address, WETH_ADDRESS],
+  for (const [campaign, { slots }] of Object.entries(config.campaigns)) {
+    await ensureNumSlots(context, campaign, slots);
+  }
+
+  const adapter = await deploy('WETHAdapter', {
+    args: [auction.address, weth],
     from: deployer,
     deterministicDeployment: true,
   });
-  console.log(`Deployed WETHAdapter to ${factory.address}`);
+  log(`${adapter.newlyDeployed ? 'Deployed' : 'Reusing'} WETHAdapter at ${adapter.address}`);
+
+  await ensureOwner(context, 'SponsorAuction', config.owner);
+  if (!config.oracle.address && OWNABLE_ORACLES.includes(config.oracle.type)) {
+    await ensureOwner(context, config.oracle.type, config.owner);
+  }
 };
 
+func.tags = ['SponsorAuction'];
+
 module.exports = func;
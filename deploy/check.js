@@ -0,0 +1,23 @@
+const { loadDeployConfig, checkDeployment, formatMismatches } = require('../deployment');
+
+// Compares the deployed contracts with the network's deploy config, once all other scripts have run
+const func = async function (hre) {
+  const config = loadDeployConfig(hre.network.name);
+  const mismatches = await checkDeployment(hre, config);
+  const errors = mismatches.filter(mismatch => !mismatch.warning);
+  const warnings = mismatches.filter(mismatch => mismatch.warning);
+
+  if (errors.length > 0) {
+    throw new Error(`Deployment doesn't match the ${hre.network.name} config:\n${formatMismatches(mismatches)}`);
+  }
+  if (warnings.length > 0) {
+    hre.deployments.log(formatMismatches(warnings));
+  }
+  hre.deployments.log(`Deployment matches the ${hre.network.name} config`);
+};
+
+func.tags = ['check'];
+func.dependencies = ['SponsorAuction', 'ListRegistry'];
+func.runAtTheEnd = true;
+
+module.exports = func;
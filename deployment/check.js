@@ -0,0 +1,104 @@
+const { encodeCampaignName, encodeListName } = require('../client/encoding');
+const { OWNABLE_ORACLES } = require('./config');
+const { sameAddress } = require('./steps');
+
+/**
+ * Compares the deployed contracts with a deploy config
+ * @param {import('hardhat/types').HardhatRuntimeEnvironment} hre
+ * @param {Object} config A config returned by loadDeployConfig
+ * @returns {Promise<Object[]>} Mismatches of the form {contract, property, expected, actual, warning}, empty if all match.
+ *   Lists that were edited since they were filled are only a warning, since the deploy leaves them alone
+ */
+async function checkDeployment({ deployments }, config) {
+  const mismatches = [];
+  const expect = (contract, property, expected, actual) => {
+    if (expected !== actual) {
+      mismatches.push({ contract, property, expected, actual });
+    }
+  };
+  const expectAddress = (contract, property, expected, actual) =>
+    expect(contract, property, expected, actual && sameAddress(expected, actual) ? expected : actual);
+
+  const deployed = {};
+  for (const name of ['SponsorAuction', 'WETHAdapter', 'ListRegistry']) {
+    deployed[name] = await deployments.getOrNull(name);
+    if (!deployed[name]) {
+      mismatches.push({ contract: name, property: 'address', expected: 'deployed', actual: null });
+    }
+  }
+
+  let weth = config.weth;
+  if (!weth) {
+    const testWETH = await deployments.getOrNull('WETH');
+    weth = testWETH && testWETH.address;
+  }
+
+  const oracleName = config.oracle.address ? null : config.oracle.type;
+  let oracle = config.oracle.address;
+  if (oracleName) {
+    const oracleDeployment = await deployments.getOrNull(oracleName);
+    oracle = oracleDeployment && oracleDeployment.address;
+  }
+
+  const owned = [];
+
+  if (deployed.SponsorAuction) {
+    owned.push('SponsorAuction');
+    expectAddress('SponsorAuction', 'oracle', oracle, await deployments.read('SponsorAuction', 'oracle'));
+
+    for (const [campaign, { slots }] of Object.entries(config.campaigns)) {
+      const { slots: actual } = await deployments.read('SponsorAuction', 'getCampaign', encodeCampaignName(campaign));
+      expect('SponsorAuction', `campaigns.${campaign}.slots`, slots, actual);
+    }
+  }
+
+  if (deployed.WETHAdapter) {
+    expectAddress('WETHAdapter', 'weth', weth, await deployments.read('WETHAdapter', 'weth'));
+    if (deployed.SponsorAuction) {
+      expectAddress('WETHAdapter', 'auction', deployed.SponsorAuction.address, await deployments.read('WETHAdapter', 'auction'));
+    }
+  }
+
+  if (deployed.ListRegistry) {
+    owned.push('ListRegistry');
+
+    for (const [list, values] of Object.entries(config.lists)) {
+      const actual = await deployments.read('ListRegistry', 'getFullList', encodeListName(list));
+      if (actual.length === 0) {
+        expect('ListRegistry', `lists.${list}`, JSON.stringify(values), JSON.stringify(actual));
+      } else if (JSON.stringify(values) !== JSON.stringify(actual)) {
+        mismatches.push({
+          contract: 'ListRegistry',
+          property: `lists.${list}`,
+          expected: JSON.stringify(values),
+          actual: JSON.stringify(actual),
+          warning: true,
+        });
+      }
+    }
+  }
+
+  if (oracleName && oracle && OWNABLE_ORACLES.includes(oracleName)) {
+    owned.push(oracleName);
+  }
+
+  if (config.owner) {
+    for (const name of owned) {
+      const owner = await deployments.read(name, 'owner');
+      // A proposed transfer is expected until the new owner accepts it
+      const actual = sameAddress(owner, config.owner) ? owner : await deployments.read(name, 'pendingOwner');
+      expectAddress(name, 'owner', config.owner, actual);
+    }
+  }
+
+  return mismatches;
+}
+
+function formatMismatches(mismatches) {
+  return mismatches
+    .map(({ contract, property, expected, actual, warning }) =>
+      `${warning ? 'Warning: ' : ''}${contract}.${property}: expected ${expected}, found ${actual}`)
+    .join('\n');
+}
+
+module.exports = { checkDeployment, formatMismatches };
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const { utils } = require('ethers');
+const { encodeCampaignName, encodeListName } = require('../client/encoding');
+
+const CONFIG_DIR = path.join(__dirname, 'config');
+
+const ORACLE_TYPES = ['SingleTokenOracle', 'UniswapV3TWAPOracle', 'OracleRouter'];
+const OWNABLE_ORACLES = ['UniswapV3TWAPOracle', 'OracleRouter'];
+
+function checkAddress(value, name) {
+  if (!utils.isAddress(value)) {
+    throw new Error(`${name} must be an address, got ${value}`);
+  }
+}
+
+/**
+ * Checks a deploy config, throwing on the first invalid value
+ * @param {Object} config
+ * @param {string|null} [config.weth] WETH address, or null to deploy a test WETH (local networks only)
+ * @param {Object} config.oracle {type} for an oracle to deploy, with {twapWindow} for UniswapV3TWAPOracle,
+ *   or {address} to use an existing oracle
+ * @param {string|null} [config.owner] Proposed owner of the contracts, or null to leave them with the deployer
+ * @param {Object<string, {slots: number}>} [config.campaigns] Campaign settings, keyed by name
+ * @param {Object<string, string[]>} [config.lists] Initial values of each list, keyed by name
+ */
+function validateDeployConfig(config) {
+  if (config.weth) {
+    checkAddress(config.weth, 'weth');
+  }
+  if (config.owner) {
+    checkAddress(config.owner, 'owner');
+  }
+
+  const { oracle } = config;
+  if (!oracle) {
+    throw new Error('oracle is required');
+  }
+  if (oracle.address) {
+    checkAddress(oracle.address, 'oracle.address');
+  } else if (!ORACLE_TYPES.includes(oracle.type)) {
+    throw new Error(`oracle.type must be one of ${ORACLE_TYPES.join(', ')}, got ${oracle.type}`);
+  } else if (oracle.type === 'UniswapV3TWAPOracle' && !(oracle.twapWindow > 0)) {
+    throw new Error('oracle.twapWindow is required for UniswapV3TWAPOracle');
+  }
+
+  for (const [name, campaign] of Object.entries(config.campaigns || {})) {
+    encodeCampaignName(name);
+    if (!Number.isInteger(campaign.slots) || campaign.slots < 0 || campaign.slots > 255) {
+      throw new Error(`campaigns.${name}.slots must be an integer between 0 and 255`);
+    }
+  }
+
+  for (const [name, values] of Object.entries(config.lists || {})) {
+    encodeListName(name);
+    if (!Array.isArray(values) || values.some(value => typeof value !== 'string' || value.length === 0)) {
+      throw new Error(`lists.${name} must be an array of non-empty strings`);
+    }
+  }
+}
+
+/**
+ * Loads the deploy config of a network from deployment/config/<network>.json,
+ * or from the DEPLOY_CONFIG file if set
+ */
+function loadDeployConfig(network) {
+  const file = process.env.DEPLOY_CONFIG || path.join(CONFIG_DIR, `${network}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deploy config for ${network}, expected ${file}`);
+  }
+
+  const config = {
+    weth: null,
+    owner: null,
+    campaigns: {},
+    lists: {},
+    ...JSON.parse(fs.readFileSync(file, 'utf8')),
+  };
+  validateDeployConfig(config);
+  return config;
+}
+
+module.exports = { ORACLE_TYPES, OWNABLE_ORACLES, validateDeployConfig, loadDeployConfig };
@@ -0,0 +1,13 @@
+const { ORACLE_TYPES, OWNABLE_ORACLES, validateDeployConfig, loadDeployConfig } = require('./config');
+const steps = require('./steps');
+const { checkDeployment, formatMismatches } = require('./check');
+
+module.exports = {
+  ORACLE_TYPES,
+  OWNABLE_ORACLES,
+  validateDeployConfig,
+  loadDeployConfig,
+  ...steps,
+  checkDeployment,
+  formatMismatches,
+};
@@ -0,0 +1,142 @@
+const { encodeCampaignName, encodeListName } = require('../client/encoding');
+
+// Chain IDs of the hardhat & localhost networks, where a test WETH can be deployed
+const LOCAL_CHAIN_IDS = ['31337', '1337'];
+
+/*
+ * Idempotent deploy steps. Each step reads the current state first and only sends a transaction
+ * if it differs from the config, returning whether anything was sent. Owner-only steps are
+ * skipped with a warning once the deployer no longer owns the contract, leaving the difference
+ * to be reported by checkDeployment.
+ */
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+async function isOwnedBy({ deployments }, name, account) {
+  return sameAddress(await deployments.read(name, 'owner'), account);
+}
+
+/**
+ * Returns the configured WETH address, deploying a test WETH on local networks if none is set
+ */
+async function getWETH({ deployments, from }, config, chainId) {
+  if (config.weth) {
+    return config.weth;
+  }
+  if (!LOCAL_CHAIN_IDS.includes(chainId.toString())) {
+    throw new Error(`weth must be set in the deploy config of chain ${chainId}`);
+  }
+
+  const weth = await deployments.deploy('WETH', { from });
+  deployments.log(`${weth.newlyDeployed ? 'Deployed' : 'Reusing'} test WETH at ${weth.address}`);
+  return weth.address;
+}
+
+/**
+ * Deploys the configured oracle, or returns the address of an existing one
+ */
+async function deployOracle({ deployments, from }, config, weth) {
+  const { type, address, twapWindow } = config.oracle;
+  if (address) {
+    return address;
+  }
+
+  const args = {
+    SingleTokenOracle: [weth],
+    UniswapV3TWAPOracle: [weth, twapWindow],
+    OracleRouter: [],
+  }[type];
+
+  const oracle = await deployments.deploy(type, {
+    args,
+    from,
+    deterministicDeployment: type === 'SingleTokenOracle',
+  });
+  deployments.log(`${oracle.newlyDeployed ? 'Deployed' : 'Reusing'} ${type} at ${oracle.address}`);
+  return oracle.address;
+}
+
+async function ensureOracle(context, oracle) {
+  const { deployments, from } = context;
+  const current = await deployments.read('SponsorAuction', 'oracle');
+  if (sameAddress(current, oracle)) {
+    return false;
+  }
+  if (!await isOwnedBy(context, 'SponsorAuction', from)) {
+    deployments.log(`Warning: SponsorAuction oracle is ${current}, only the owner can set it to ${oracle}`);
+    return false;
+  }
+
+  await deployments.execute('SponsorAuction', { from }, 'setOracle', oracle);
+  deployments.log(`Set SponsorAuction oracle to ${oracle}`);
+  return true;
+}
+
+async function ensureNumSlots(context, campaign, slots) {
+  const { deployments, from } = context;
+  const { slots: current } = await deployments.read('SponsorAuction', 'getCampaign', encodeCampaignName(campaign));
+  if (current === slots) {
+    return false;
+  }
+  if (!await isOwnedBy(context, 'SponsorAuction', from)) {
+    deployments.log(`Warning: campaign ${campaign} has ${current} slots, only the owner can set it to ${slots}`);
+    return false;
+  }
+
+  await deployments.execute('SponsorAuction', { from }, 'setNumSlots', encodeCampaignName(campaign), slots);
+  deployments.log(`Set campaign ${campaign} to ${slots} slots`);
+  return true;
+}
+
+/**
+ * Adds the initial values to a list, if it's empty. Lists that already have elements are left
+ * alone, since they may have been edited since the first deploy
+ */
+async function ensureListValues(context, list, values) {
+  const { deployments, from } = context;
+  const length = (await deployments.read('ListRegistry', 'getListLength', encodeListName(list))).toNumber();
+  if (length > 0 || values.length === 0) {
+    return false;
+  }
+  if (!await deployments.read('ListRegistry', 'canEdit', encodeListName(list), from)) {
+    deployments.log(`Warning: list ${list} is empty, but the deployer can't edit it`);
+    return false;
+  }
+
+  await deployments.execute('ListRegistry', { from }, 'addElements', encodeListName(list), values);
+  deployments.log(`Added ${values.length} values to list ${list}`);
+  return true;
+}
+
+/**
+ * Proposes the configured owner. The transfer completes when they call acceptOwnership()
+ */
+async function ensureOwner(context, name, owner) {
+  const { deployments, from } = context;
+  if (!owner) {
+    return false;
+  }
+
+  const current = await deployments.read(name, 'owner');
+  if (sameAddress(current, owner) || sameAddress(await deployments.read(name, 'pendingOwner'), owner)) {
+    return false;
+  }
+  if (!sameAddress(current, from)) {
+    deployments.log(`Warning: ${name} is owned by ${current}, only they can transfer it to ${owner}`);
+    return false;
+  }
+
+  await deployments.execute(name, { from }, 'transferOwnership', owner);
+  deployments.log(`Proposed ${owner} as ${name} owner, they must call acceptOwnership()`);
+  return true;
+}
+
+module.exports = {
+  sameAddress,
+  getWETH,
+  deployOracle,
+  ensureOracle,
+  ensureNumSlots,
+  ensureListValues,
+  ensureOwner,
+};
@@ -1,6 +1,11 @@
 require('dotenv').config()
 require("@nomiclabs/hardhat-waffle");
 require('hardhat-deploy');
+require('./tasks/lists');
+require('./tasks/keeper');
+require('./tasks/review');
+require('./tasks/report');
+require('./tasks/deploy');
 
 // This is a sample Hardhat task. To learn how to create your own go to
 // https://hardhat.org/guides/create-task.html
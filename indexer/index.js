@@ -0,0 +1,5 @@
+const Indexer = require('./indexer');
+const Store = require('./store');
+const { buildState } = require('./state');
+
+module.exports = { Indexer, Store, buildState };
@@ -0,0 +1,166 @@
+const { utils, BigNumber } = require('ethers');
+const abi = require('../client/abi');
+const Store = require('./store');
+
+const interfaces = {
+  ListRegistry: new utils.Interface(abi.listRegistry),
+  SponsorAuction: new utils.Interface(abi.sponsorAuction),
+};
+
+function normalizeValue(value) {
+  if (BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeValue);
+  }
+  return value;
+}
+
+// Converts an ethers Result into a plain, JSON-serializable object of named arguments
+function normalizeArgs(fragment, args) {
+  const result = {};
+  fragment.inputs.forEach((input, i) => {
+    result[input.name] = normalizeValue(args[i]);
+  });
+  return result;
+}
+
+class Indexer {
+  /**
+   * @param {Object} options
+   * @param {import('ethers').providers.Provider} options.provider
+   * @param {string} [options.listRegistry] Address of the ListRegistry to index
+   * @param {string} [options.sponsorAuction] Address of the SponsorAuction to index
+   * @param {Store} [options.store] Defaults to an in-memory store
+   * @param {number} [options.startBlock] First block to index when there is no checkpoint
+   * @param {number} [options.batchSize] Maximum number of blocks per getLogs request
+   * @param {number} [options.confirmations] Blocks behind the head to stop indexing at
+   */
+  constructor({
+    provider,
+    listRegistry,
+    sponsorAuction,
+    store = new Store(),
+    startBlock = 0,
+    batchSize = 2000,
+    confirmations = 0,
+  }) {
+    this.provider = provider;
+    this.store = store;
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+    this.confirmations = confirmations;
+
+    this.contracts = {};
+    if (listRegistry) {
+      this.contracts[listRegistry.toLowerCase()] = 'ListRegistry';
+    }
+    if (sponsorAuction) {
+      this.contracts[sponsorAuction.toLowerCase()] = 'SponsorAuction';
+    }
+    if (Object.keys(this.contracts).length === 0) {
+      throw new Error('Indexer requires a listRegistry or sponsorAuction address');
+    }
+  }
+
+  /**
+   * Indexes all blocks from the checkpoint up to toBlock (defaults to the confirmed head)
+   * @returns {Promise<number>} The new checkpoint block number
+   */
+  async sync(toBlock) {
+    await this.handleReorg();
+
+    if (toBlock === undefined) {
+      toBlock = (await this.provider.getBlockNumber()) - this.confirmations;
+    }
+
+    let fromBlock = this.store.checkpoint
+      ? this.store.checkpoint.blockNumber + 1
+      : this.startBlock;
+
+    while (fromBlock <= toBlock) {
+      const batchEnd = Math.min(fromBlock + this.batchSize - 1, toBlock);
+      const events = await this.fetchEvents(fromBlock, batchEnd);
+      const endBlock = await this.provider.getBlock(batchEnd);
+
+      this.store.commit(events, { blockNumber: endBlock.number, blockHash: endBlock.hash });
+      fromBlock = batchEnd + 1;
+    }
+
+    return this.store.checkpoint ? this.store.checkpoint.blockNumber : null;
+  }
+
+  /**
+   * Compares the stored block hashes with the chain, and rolls the store back to the
+   * newest block that is still canonical
+   * @returns {Promise<number|null>} The block rolled back to, or null if there was no reorg
+   */
+  async handleReorg() {
+    const recentBlocks = this.store.recentBlocks();
+    if (recentBlocks.length === 0) {
+      return null;
+    }
+
+    for (let i = 0; i < recentBlocks.length; i += 1) {
+      const { blockNumber, blockHash } = recentBlocks[i];
+      const block = await this.provider.getBlock(blockNumber);
+
+      if (block && block.hash === blockHash) {
+        if (i === 0) {
+          return null;
+        }
+        this.store.rollback(blockNumber);
+        return blockNumber;
+      }
+    }
+
+    // No stored block is canonical anymore, so start over
+    this.store.rollback(this.startBlock - 1);
+    return this.startBlock - 1;
+  }
+
+  async fetchEvents(fromBlock, toBlock) {
+    const logs = [];
+    for (const address of Object.keys(this.contracts)) {
+      logs.push(...await this.provider.getLogs({ address, fromBlock, toBlock }));
+    }
+
+    const timestamps = {};
+    const events = [];
+
+    for (const log of logs) {
+      if (log.removed) {
+        continue;
+      }
+
+      const contract = this.contracts[log.address.toLowerCase()];
+      let parsed;
+      try {
+        parsed = interfaces[contract].parseLog(log);
+      } catch (e) {
+        continue; // Not an event known to the ABI
+      }
+
+      if (timestamps[log.blockHash] === undefined) {
+        timestamps[log.blockHash] = (await this.provider.getBlock(log.blockHash)).timestamp;
+      }
+
+      events.push({
+        contract,
+        name: parsed.name,
+        args: normalizeArgs(parsed.eventFragment, parsed.args),
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        timestamp: timestamps[log.blockHash],
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+      });
+    }
+
+    events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    return events;
+  }
+}
+
+module.exports = Indexer;
@@ -0,0 +1,295 @@
+const { BigNumber } = require('ethers');
+const { decodeValueType } = require('../client/encoding');
+
+// Derives the current registry & auction state from an ordered list of events.
+// Events are plain objects: { contract, name, args, blockNumber, blockHash, timestamp, transactionHash, logIndex }
+
+function createState() {
+  return {
+    lists: {},
+    listMetadata: {},
+    listLeaves: {},
+    sponsors: {},
+    campaigns: {},
+    payments: [],
+    revenue: {},
+  };
+}
+
+function getCampaign(state, campaign) {
+  if (!state.campaigns[campaign]) {
+    state.campaigns[campaign] = {
+      id: campaign,
+      slots: 0,
+      activeSponsors: [],
+      reservePrice: '0',
+      minBidIncrement: 0,
+      tokenAllowlistEnabled: false,
+      allowedTokens: [],
+      startTime: 0,
+      endTime: 0,
+      revenueSplits: [],
+    };
+  }
+  return state.campaigns[campaign];
+}
+
+// Revenue of a payee in a token, as { accrued, withdrawn, balance }
+function getRevenue(state, payee, token) {
+  if (!state.revenue[payee]) {
+    state.revenue[payee] = {};
+  }
+  if (!state.revenue[payee][token]) {
+    state.revenue[payee][token] = { accrued: '0', withdrawn: '0', balance: '0' };
+  }
+  return state.revenue[payee][token];
+}
+
+function deactivate(state, sponsor) {
+  sponsor.active = false;
+  const campaign = getCampaign(state, sponsor.campaign);
+  campaign.activeSponsors = campaign.activeSponsors.filter(id => id !== sponsor.id);
+}
+
+// Assigns the next leaf of the list's Merkle tree to a new element, like ListRegistry
+function assignLeaf(state, list, index) {
+  if (!state.listLeaves[list]) {
+    state.listLeaves[list] = { leafCount: 0, positions: {} };
+  }
+  const leaves = state.listLeaves[list];
+  leaves.positions[index] = leaves.leafCount;
+  leaves.leafCount += 1;
+}
+
+// A zero `previous` index places the element at the front of the list
+function insertAfter(state, list, element, previous) {
+  if (!state.lists[list]) {
+    state.lists[list] = [];
+  }
+  const position = state.lists[list].findIndex(_element => _element.index === previous) + 1;
+  state.lists[list].splice(position, 0, element);
+}
+
+const listReducers = {
+  ListCreated(state, { list, creator, name, description, valueType }, event) {
+    state.listMetadata[list] = {
+      id: list,
+      creator,
+      name,
+      description,
+      valueType: decodeValueType(valueType),
+      createdAt: event.timestamp,
+    };
+  },
+
+  ListMetadataUpdated(state, { list, name, description, valueType }) {
+    // Lists created before the indexed block range are unknown
+    if (!state.listMetadata[list]) {
+      return;
+    }
+    Object.assign(state.listMetadata[list], { name, description, valueType: decodeValueType(valueType) });
+  },
+
+  ElementAdded(state, { list, index, value }) {
+    if (!state.lists[list]) {
+      state.lists[list] = [];
+    }
+    state.lists[list].push({ index, value });
+    assignLeaf(state, list, index);
+  },
+
+  ElementRemoved(state, { list, index }) {
+    state.lists[list] = (state.lists[list] || []).filter(element => element.index !== index);
+    // Elements added before the indexed block range have no leaf
+    if (state.listLeaves[list]) {
+      delete state.listLeaves[list].positions[index];
+    }
+  },
+
+  ElementInserted(state, { list, index, previous, value }) {
+    insertAfter(state, list, { index, value }, previous);
+    assignLeaf(state, list, index);
+  },
+
+  ElementMoved(state, { list, index, previous }) {
+    const element = (state.lists[list] || []).find(_element => _element.index === index);
+    // Elements added before the indexed block range are unknown
+    if (!element) {
+      return;
+    }
+    state.lists[list] = state.lists[list].filter(_element => _element.index !== index);
+    insertAfter(state, list, element, previous);
+  },
+};
+
+const auctionReducers = {
+  NewSponsor(state, { sponsor, campaign, owner, token, paymentPerSecond, metadata }, event) {
+    state.sponsors[sponsor] = {
+      id: sponsor,
+      campaign,
+      owner,
+      token,
+      paymentPerSecond,
+      metadata,
+      approved: false,
+      reviewStatus: 'pending',
+      review: null,
+      active: false,
+      balance: '0',
+      totalPaid: '0',
+      maxSpend: '0',
+      endTime: 0,
+      operators: [],
+      createdAt: event.timestamp,
+    };
+  },
+
+  Deposit(state, { sponsor, amount }) {
+    const _sponsor = state.sponsors[sponsor];
+    _sponsor.balance = BigNumber.from(_sponsor.balance).add(amount).toString();
+  },
+
+  Withdrawal(state, { sponsor, amount }) {
+    const _sponsor = state.sponsors[sponsor];
+    _sponsor.balance = BigNumber.from(_sponsor.balance).sub(amount).toString();
+  },
+
+  PaymentProcessed(state, { campaign, sponsor, paymentToken, paymentAmount }, event) {
+    const _sponsor = state.sponsors[sponsor];
+    _sponsor.balance = BigNumber.from(_sponsor.balance).sub(paymentAmount).toString();
+    _sponsor.totalPaid = BigNumber.from(_sponsor.totalPaid).add(paymentAmount).toString();
+
+    state.payments.push({
+      campaign,
+      sponsor,
+      token: paymentToken,
+      amount: paymentAmount,
+      blockNumber: event.blockNumber,
+      timestamp: event.timestamp,
+      transactionHash: event.transactionHash,
+    });
+  },
+
+  SponsorActivated(state, { campaign, sponsor }) {
+    state.sponsors[sponsor].active = true;
+    getCampaign(state, campaign).activeSponsors.push(sponsor);
+  },
+
+  SponsorDeactivated(state, { sponsor }) {
+    deactivate(state, state.sponsors[sponsor]);
+  },
+
+  // Updating metadata resubmits the sponsor for review
+  MetadataUpdated(state, { sponsor, metadata }) {
+    state.sponsors[sponsor].metadata = metadata;
+    state.sponsors[sponsor].reviewStatus = 'pending';
+  },
+
+  // Operators are authorized by an owner, so a transfer revokes them
+  SponsorOwnerTransferred(state, { sponsor, newOwner }) {
+    state.sponsors[sponsor].owner = newOwner;
+    state.sponsors[sponsor].operators = [];
+  },
+
+  OperatorSet(state, { sponsor, operator, enabled }) {
+    const _sponsor = state.sponsors[sponsor];
+    _sponsor.operators = _sponsor.operators.filter(_operator => _operator !== operator);
+    if (enabled) {
+      _sponsor.operators.push(operator);
+    }
+  },
+
+  BidUpdated(state, { sponsor, token, paymentPerSecond }) {
+    state.sponsors[sponsor].token = token;
+    state.sponsors[sponsor].paymentPerSecond = paymentPerSecond;
+  },
+
+  ApprovalSet(state, { sponsor, approved }, event) {
+    const _sponsor = state.sponsors[sponsor];
+    _sponsor.approved = approved;
+    _sponsor.reviewStatus = approved ? 'approved' : 'rejected';
+    _sponsor.review = { approved, reasonCode: 0, reason: '', timestamp: event.timestamp };
+  },
+
+  // Emitted right after the ApprovalSet event of a moderation decision
+  ModerationReason(state, { sponsor, reasonCode, reason }) {
+    Object.assign(state.sponsors[sponsor].review, { reasonCode, reason });
+  },
+
+  NumberOfSlotsChanged(state, { campaign, newNumSlots }) {
+    getCampaign(state, campaign).slots = newNumSlots;
+  },
+
+  ReservePriceSet(state, { campaign, reservePrice }) {
+    getCampaign(state, campaign).reservePrice = reservePrice;
+  },
+
+  MinBidIncrementSet(state, { campaign, minBidIncrement }) {
+    getCampaign(state, campaign).minBidIncrement = minBidIncrement;
+  },
+
+  TokenAllowlistEnabled(state, { campaign, enabled }) {
+    getCampaign(state, campaign).tokenAllowlistEnabled = enabled;
+  },
+
+  TokenAllowed(state, { campaign, token, allowed }) {
+    const _campaign = getCampaign(state, campaign);
+    _campaign.allowedTokens = _campaign.allowedTokens.filter(allowedToken => allowedToken !== token);
+    if (allowed) {
+      _campaign.allowedTokens.push(token);
+    }
+  },
+
+  CampaignTimesSet(state, { campaign, startTime, endTime }) {
+    const _campaign = getCampaign(state, campaign);
+    _campaign.startTime = startTime;
+    _campaign.endTime = endTime;
+  },
+
+  SpendLimitsSet(state, { sponsor, maxSpend, endTime }) {
+    state.sponsors[sponsor].maxSpend = maxSpend;
+    state.sponsors[sponsor].endTime = endTime;
+  },
+
+  RevenueSplitsSet(state, { campaign, payees, shares }) {
+    getCampaign(state, campaign).revenueSplits = payees.map((payee, i) => ({ payee, share: shares[i] }));
+  },
+
+  RevenueCredited(state, { payee, token, amount }) {
+    const revenue = getRevenue(state, payee, token);
+    revenue.accrued = BigNumber.from(revenue.accrued).add(amount).toString();
+    revenue.balance = BigNumber.from(revenue.balance).add(amount).toString();
+  },
+
+  RevenueWithdrawal(state, { payee, token, amount }) {
+    const revenue = getRevenue(state, payee, token);
+    revenue.withdrawn = BigNumber.from(revenue.withdrawn).add(amount).toString();
+    revenue.balance = BigNumber.from(revenue.balance).sub(amount).toString();
+  },
+};
+
+const reducers = {
+  ListRegistry: listReducers,
+  SponsorAuction: auctionReducers,
+};
+
+function applyEvent(state, event) {
+  const reducer = reducers[event.contract][event.name];
+
+  // Sponsors created before the indexed block range are unknown, so their events are skipped
+  const { sponsor } = event.args;
+  if (sponsor && event.name !== 'NewSponsor' && !state.sponsors[sponsor]) {
+    return state;
+  }
+
+  if (reducer) {
+    reducer(state, event.args, event);
+  }
+  return state;
+}
+
+function buildState(events) {
+  return events.reduce(applyEvent, createState());
+}
+
+module.exports = { createState, applyEvent, buildState };
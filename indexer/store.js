@@ -0,0 +1,186 @@
+const fs = require('fs');
+const { applyEvent, buildState } = require('./state');
+const { hashLeaf, computeCommitment, buildProof } = require('../client/list-proofs');
+
+const STORE_VERSION = 1;
+
+// Local store of indexed events. State is derived by replaying events, so rolling back
+// a reorg is just dropping the affected events and replaying the remainder.
+class Store {
+  constructor({ file } = {}) {
+    this.file = file;
+    this.events = [];
+    this.blockHashes = {};
+    this.checkpoint = null;
+
+    if (file && fs.existsSync(file)) {
+      this.load(JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+
+    this.state = buildState(this.events);
+  }
+
+  load(data) {
+    if (data.version !== STORE_VERSION) {
+      throw new Error(`Unsupported store version ${data.version}`);
+    }
+    this.events = data.events;
+    this.blockHashes = data.blockHashes;
+    this.checkpoint = data.checkpoint;
+  }
+
+  save() {
+    if (!this.file) {
+      return;
+    }
+    const data = {
+      version: STORE_VERSION,
+      checkpoint: this.checkpoint,
+      blockHashes: this.blockHashes,
+      events: this.events,
+    };
+    fs.writeFileSync(this.file, JSON.stringify(data));
+  }
+
+  /**
+   * Adds the events of a processed block range and moves the checkpoint to the end of the range
+   * @param {Object[]} events Events ordered by block number & log index
+   * @param {{ blockNumber: number, blockHash: string }} checkpoint The last block processed
+   */
+  commit(events, checkpoint) {
+    for (const event of events) {
+      this.events.push(event);
+      this.blockHashes[event.blockNumber] = event.blockHash;
+      applyEvent(this.state, event);
+    }
+    this.blockHashes[checkpoint.blockNumber] = checkpoint.blockHash;
+    this.checkpoint = checkpoint;
+    this.save();
+  }
+
+  /** Drops all events after blockNumber, making it the new checkpoint */
+  rollback(blockNumber) {
+    this.events = this.events.filter(event => event.blockNumber <= blockNumber);
+
+    for (const storedBlock of Object.keys(this.blockHashes)) {
+      if (Number(storedBlock) > blockNumber) {
+        delete this.blockHashes[storedBlock];
+      }
+    }
+
+    this.checkpoint = this.blockHashes[blockNumber]
+      ? { blockNumber, blockHash: this.blockHashes[blockNumber] }
+      : null;
+
+    this.state = buildState(this.events);
+    this.save();
+  }
+
+  /** Known block numbers & hashes, newest first */
+  recentBlocks() {
+    return Object.keys(this.blockHashes)
+      .map(Number)
+      .sort((a, b) => b - a)
+      .map(blockNumber => ({ blockNumber, blockHash: this.blockHashes[blockNumber] }));
+  }
+
+  // Queries
+
+  getList(list) {
+    return (this.state.lists[list] || []).map(element => ({ ...element }));
+  }
+
+  getListNames() {
+    return Object.keys(this.state.lists);
+  }
+
+  // Leaf hashes of a list's Merkle tree, by position
+  getListLeaves(list) {
+    const { leafCount, positions } = this.state.listLeaves[list] || { leafCount: 0, positions: {} };
+    const leaves = new Array(leafCount).fill(null);
+    for (const { index, value } of this.state.lists[list] || []) {
+      leaves[positions[index]] = hashLeaf(index, value);
+    }
+    return leaves;
+  }
+
+  /**
+   * The list's commitment as of the checkpoint. If it differs from ListRegistry.getCommitment,
+   * the store is behind the chain
+   * @returns {{root: string, leafCount: number}}
+   */
+  getListCommitment(list) {
+    return computeCommitment(this.getListLeaves(list));
+  }
+
+  /** A membership proof of an element, checked against getListCommitment with verifyProof */
+  getListProof(list, index) {
+    const element = (this.state.lists[list] || []).find(_element => _element.index === index);
+    if (!element) {
+      return null;
+    }
+    const position = this.state.listLeaves[list].positions[index];
+    return { index, value: element.value, position, siblings: buildProof(this.getListLeaves(list), position) };
+  }
+
+  getListMetadata(list) {
+    const metadata = this.state.listMetadata[list];
+    return metadata ? { ...metadata } : null;
+  }
+
+  /** Metadata of every list created with createList, in order of creation */
+  getCreatedLists() {
+    return Object.values(this.state.listMetadata).map(metadata => ({ ...metadata }));
+  }
+
+  getSponsor(sponsorId) {
+    const sponsor = this.state.sponsors[sponsorId];
+    return sponsor ? { ...sponsor, operators: [...sponsor.operators] } : null;
+  }
+
+  getSponsors({ campaign, owner, active, approved, reviewStatus } = {}) {
+    return Object.values(this.state.sponsors)
+      .filter(sponsor => campaign === undefined || sponsor.campaign === campaign)
+      .filter(sponsor => owner === undefined || sponsor.owner === owner)
+      .filter(sponsor => active === undefined || sponsor.active === active)
+      .filter(sponsor => approved === undefined || sponsor.approved === approved)
+      .filter(sponsor => reviewStatus === undefined || sponsor.reviewStatus === reviewStatus)
+      .map(sponsor => ({ ...sponsor, operators: [...sponsor.operators] }));
+  }
+
+  getCampaign(campaign) {
+    const _campaign = this.state.campaigns[campaign];
+    return _campaign
+      ? {
+        ..._campaign,
+        activeSponsors: [..._campaign.activeSponsors],
+        allowedTokens: [..._campaign.allowedTokens],
+        revenueSplits: _campaign.revenueSplits.map(split => ({ ...split })),
+      }
+      : null;
+  }
+
+  /** Revenue credited to a payee, keyed by token */
+  getRevenue(payee) {
+    const revenue = this.state.revenue[payee] || {};
+    return Object.fromEntries(Object.entries(revenue).map(([token, amounts]) => [token, { ...amounts }]));
+  }
+
+  getPayments({ campaign, sponsor, token, fromTimestamp, toTimestamp } = {}) {
+    return this.state.payments
+      .filter(payment => campaign === undefined || payment.campaign === campaign)
+      .filter(payment => sponsor === undefined || payment.sponsor === sponsor)
+      .filter(payment => token === undefined || payment.token === token)
+      .filter(payment => fromTimestamp === undefined || payment.timestamp >= fromTimestamp)
+      .filter(payment => toTimestamp === undefined || payment.timestamp < toTimestamp)
+      .map(payment => ({ ...payment }));
+  }
+
+  getEvents({ contract, name } = {}) {
+    return this.events
+      .filter(event => contract === undefined || event.contract === contract)
+      .filter(event => name === undefined || event.name === name);
+  }
+}
+
+module.exports = Store;
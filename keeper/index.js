@@ -0,0 +1,4 @@
+const Keeper = require('./keeper');
+const { planCampaign } = require('./planner');
+
+module.exports = { Keeper, planCampaign };
@@ -0,0 +1,205 @@
+const { BigNumber } = require('ethers');
+const { decodeError } = require('../client/errors');
+const { encodeCampaignName } = require('../client/encoding');
+const { planCampaign } = require('./planner');
+
+class Keeper {
+  /**
+   * @param {Object} options
+   * @param {import('../client').SponsorAuctionClient} options.auction A client connected to a signer
+   * @param {string[]} options.campaigns Names or IDs of the campaigns to keep
+   * @param {number} [options.fromBlock] Block to start searching for sponsors from
+   * @param {number} [options.gasBudget] Maximum gas to spend on each run (unlimited when 0)
+   * @param {number} [options.settleInterval] Process payments of sponsors not updated for this many seconds
+   * @param {boolean} [options.rebalance] Converge each campaign with a single rebalance call
+   * @param {boolean} [options.dryRun] Plan & estimate calls without sending them
+   * @param {function(string):void} [options.log]
+   */
+  constructor({
+    auction,
+    campaigns,
+    fromBlock = 0,
+    gasBudget = 0,
+    settleInterval = 0,
+    rebalance = false,
+    dryRun = false,
+    log = () => {},
+  }) {
+    if (!campaigns || campaigns.length === 0) {
+      throw new Error('Keeper requires at least one campaign');
+    }
+
+    this.auction = auction;
+    this.campaigns = campaigns;
+    this.fromBlock = fromBlock;
+    this.gasBudget = gasBudget;
+    this.settleInterval = settleInterval;
+    this.rebalance = rebalance;
+    this.dryRun = dryRun;
+    this.log = log;
+    this.timer = null;
+  }
+
+  /**
+   * Reads the current state of a campaign, in the form expected by planCampaign
+   * @param {string} campaign
+   * @param {number} now The latest block timestamp
+   */
+  async getCampaignState(campaign, now) {
+    const {
+      slots,
+      reservePrice,
+      minBidIncrement,
+      startTime,
+      endTime: campaignEndTime,
+    } = await this.auction.getCampaign(campaign);
+    const campaignEnded = campaignEndTime !== 0 && now >= campaignEndTime;
+    const ids = await this.auction.getSponsorIds(campaign, { fromBlock: this.fromBlock });
+
+    const allowedTokens = {};
+    const sponsors = [];
+    for (const id of ids) {
+      const sponsor = await this.auction.getSponsor(id);
+      const { balance, pendingPayment } = await this.auction.sponsorBalance(id);
+      const { paymentPerSecondInETH } = await this.auction.paymentRate(id);
+      const { maxSpend, spent, endTime } = await this.auction.getSpendLimits(id);
+
+      if (allowedTokens[sponsor.token] === undefined) {
+        allowedTokens[sponsor.token] = await this.auction.isTokenAllowed(campaign, sponsor.token);
+      }
+
+      sponsors.push({
+        id,
+        active: sponsor.active,
+        approved: sponsor.approved,
+        eligible: allowedTokens[sponsor.token] && paymentPerSecondInETH.gte(reservePrice),
+        ended: campaignEnded
+          || (endTime !== 0 && now >= endTime)
+          || (!maxSpend.isZero() && spent.add(pendingPayment).gte(maxSpend)),
+        balance,
+        bid: paymentPerSecondInETH,
+        lastUpdated: sponsor.lastUpdated,
+      });
+    }
+
+    return {
+      id: encodeCampaignName(campaign),
+      slots,
+      minBidIncrement,
+      open: now >= startTime && !campaignEnded,
+      sponsors,
+    };
+  }
+
+  /**
+   * Plans the calls for every campaign, without sending anything
+   * @returns {Promise<Object[]>} Actions, each tagged with its campaign
+   */
+  async plan() {
+    const { timestamp } = await this.auction.contract.provider.getBlock('latest');
+
+    const actions = [];
+    for (const campaign of this.campaigns) {
+      const state = await this.getCampaignState(campaign, timestamp);
+      const campaignActions = planCampaign(state, {
+        now: timestamp,
+        settleInterval: this.settleInterval,
+        rebalance: this.rebalance,
+      });
+      actions.push(...campaignActions.map(action => ({ campaign, ...action })));
+    }
+    return actions;
+  }
+
+  /**
+   * Plans and sends the calls for every campaign, skipping calls once the gas budget is spent.
+   * In a dry run, `sent` holds the calls that would have been sent, with estimated gas. Gas is estimated
+   * against the current state, so calls that follow a drop or swap in the same campaign aren't estimated.
+   * @returns {Promise<{sent: Object[], skipped: Object[], failed: Object[], gasUsed: BigNumber}>}
+   */
+  async run() {
+    const actions = await this.plan();
+    const result = { sent: [], skipped: [], failed: [] };
+    let gasUsed = BigNumber.from(0);
+    // Campaigns with a drop or swap in this dry run, whose later calls depend on it
+    const changedCampaigns = new Set();
+
+    for (const action of actions) {
+      const description = `${action.type} ${action.args.join(' ')} on ${action.campaign} (${action.reason})`;
+
+      if (this.dryRun && changedCampaigns.has(action.campaign) && action.type !== 'settle') {
+        result.sent.push(action);
+        this.log(`Would send ${description}, not estimated since it depends on earlier calls`);
+        continue;
+      }
+
+      let gasEstimate;
+      try {
+        gasEstimate = await this.auction.contract.estimateGas[action.method](...action.args);
+      } catch (err) {
+        action.error = decodeError(this.auction.interface, err) || err;
+        result.failed.push(action);
+        this.log(`Failed to estimate ${description}: ${action.error.message}`);
+        continue;
+      }
+
+      if (this.gasBudget > 0 && gasUsed.add(gasEstimate).gt(this.gasBudget)) {
+        result.skipped.push(action);
+        this.log(`Skipped ${description}: gas budget of ${this.gasBudget} reached`);
+        continue;
+      }
+
+      if (this.dryRun) {
+        gasUsed = gasUsed.add(gasEstimate);
+        action.gasUsed = gasEstimate;
+        result.sent.push(action);
+        this.log(`Would send ${description}, estimated gas ${gasEstimate}`);
+        if (action.type === 'drop' || action.type === 'swap') {
+          changedCampaigns.add(action.campaign);
+        }
+        continue;
+      }
+
+      try {
+        const receipt = await this.auction[action.method](...action.args);
+        gasUsed = gasUsed.add(receipt.gasUsed);
+        action.gasUsed = receipt.gasUsed;
+        action.transactionHash = receipt.transactionHash;
+        result.sent.push(action);
+        this.log(`Sent ${description} in ${receipt.transactionHash}`);
+      } catch (err) {
+        action.error = err;
+        result.failed.push(action);
+        this.log(`Failed to send ${description}: ${err.message}`);
+      }
+    }
+
+    result.gasUsed = gasUsed;
+    return result;
+  }
+
+  /**
+   * Runs the keeper every `interval` milliseconds until stop() is called
+   */
+  start(interval = 60000) {
+    const tick = async () => {
+      try {
+        await this.run();
+      } catch (err) {
+        this.log(`Keeper run failed: ${err.message}`);
+      }
+      if (this.timer) {
+        this.timer = setTimeout(tick, interval);
+      }
+    };
+
+    this.timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = Keeper;
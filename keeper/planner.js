@@ -0,0 +1,116 @@
+const { BigNumber } = require('ethers');
+
+function byBidDescending(a, b) {
+  const diff = BigNumber.from(b.bid).sub(a.bid);
+  return diff.isZero() ? 0 : (diff.isNegative() ? -1 : 1);
+}
+
+// Sponsors that can't pay any further
+function isExhausted(sponsor) {
+  return sponsor.ended === true || BigNumber.from(sponsor.balance).isZero();
+}
+
+// Inactive sponsors that could be activated
+function isCandidate(sponsor) {
+  return !sponsor.active
+    && sponsor.approved
+    && sponsor.eligible !== false
+    && !isExhausted(sponsor);
+}
+
+// Mirrors the contract: a bid must exceed this to swap out an active bid
+function minimumSwapBid(activeBid, minBidIncrement) {
+  const bid = BigNumber.from(activeBid);
+  return bid.add(bid.mul(minBidIncrement).div(10000));
+}
+
+/**
+ * Computes the calls that move a campaign towards the best slot assignment, given a snapshot of
+ * its sponsors. Each sponsor appears in at most one action, so the actions can be sent in order
+ * without re-reading state between them.
+ *
+ * @param {Object} campaign
+ * @param {string} campaign.id The bytes16 campaign ID
+ * @param {number} campaign.slots
+ * @param {number} [campaign.minBidIncrement] Basis points a bid must exceed an active bid by to swap it out
+ * @param {boolean} [campaign.open] False if the campaign hasn't started or has ended
+ * @param {Object[]} campaign.sponsors Sponsors with {id, active, approved, eligible, ended, balance, bid, lastUpdated},
+ *   where balance includes pending payments, bid is the payment-per-second in ETH, eligible is false
+ *   if the bid doesn't meet the campaign's reserve price or token allowlist and ended is true if the
+ *   sponsorship (or campaign) has passed its end time or spend limit
+ * @param {Object} [options]
+ * @param {number} [options.now] Current unix timestamp, used for settling
+ * @param {number} [options.settleInterval] Process payments of active sponsors not updated for this
+ *   many seconds (disabled when 0)
+ * @param {boolean} [options.rebalance] Replace all lifts, drops & swaps with a single rebalance call
+ * @returns {Object[]} Actions of the form {type, method, args, reason}
+ */
+function planCampaign({ id, slots, minBidIncrement = 0, open = true, sponsors }, { now = 0, settleInterval = 0, rebalance = false } = {}) {
+  const actions = [];
+
+  const active = sponsors.filter(sponsor => sponsor.active);
+  const candidates = open ? sponsors.filter(isCandidate).sort(byBidDescending) : [];
+
+  const empty = active.filter(isExhausted);
+  const funded = active.filter(sponsor => !isExhausted(sponsor)).sort(byBidDescending);
+
+  // Sponsors that ran out of funds (or ended) are replaced by the best candidate, or dropped
+  let activeCount = active.length;
+  for (const sponsor of empty) {
+    if (candidates.length > 0 && activeCount <= slots) {
+      const candidate = candidates.shift();
+      actions.push({ type: 'swap', method: 'swap', args: [candidate.id, sponsor.id], reason: 'active sponsor is exhausted' });
+    } else {
+      actions.push({ type: 'drop', method: 'drop', args: [sponsor.id], reason: 'active sponsor is exhausted' });
+      activeCount -= 1;
+    }
+  }
+
+  // If the number of slots was reduced, the lowest bids are dropped
+  while (activeCount > slots && funded.length > 0) {
+    const sponsor = funded.pop();
+    actions.push({ type: 'drop', method: 'drop', args: [sponsor.id], reason: 'campaign has more active sponsors than slots' });
+    activeCount -= 1;
+  }
+
+  // Open slots are filled with the highest bids
+  while (activeCount < slots && candidates.length > 0) {
+    const candidate = candidates.shift();
+    actions.push({ type: 'lift', method: 'lift', args: [candidate.id], reason: 'campaign has an open slot' });
+    activeCount += 1;
+  }
+
+  // Higher bids replace the lowest active bids
+  while (candidates.length > 0 && funded.length > 0) {
+    const candidate = candidates[0];
+    const lowest = funded[funded.length - 1];
+    if (BigNumber.from(candidate.bid).lte(minimumSwapBid(lowest.bid, minBidIncrement))) {
+      break;
+    }
+
+    candidates.shift();
+    funded.pop();
+    actions.push({ type: 'swap', method: 'swap', args: [candidate.id, lowest.id], reason: 'inactive sponsor has a higher bid' });
+  }
+
+  if (rebalance && actions.length > 0) {
+    // rebalance settles every active sponsor, so no other calls are needed
+    const candidateIds = (open ? sponsors.filter(isCandidate) : [])
+      .sort(byBidDescending)
+      .slice(0, slots)
+      .map(sponsor => sponsor.id);
+    return [{ type: 'rebalance', method: 'rebalance', args: [id, candidateIds], reason: `${actions.length} calls needed` }];
+  }
+
+  if (settleInterval > 0) {
+    for (const sponsor of funded) {
+      if (now - sponsor.lastUpdated >= settleInterval) {
+        actions.push({ type: 'settle', method: 'processPayment', args: [sponsor.id], reason: 'payment not processed recently' });
+      }
+    }
+  }
+
+  return actions;
+}
+
+module.exports = { planCampaign };
@@ -0,0 +1,13 @@
+const { schema, validateMetadata, checkCampaignFields } = require('./validate');
+const { LocalDirectoryResolver, resolveMetadata } = require('./resolvers');
+const { REASON_CODES, getPendingReviews } = require('./review');
+
+module.exports = {
+  schema,
+  validateMetadata,
+  checkCampaignFields,
+  LocalDirectoryResolver,
+  resolveMetadata,
+  REASON_CODES,
+  getPendingReviews,
+};
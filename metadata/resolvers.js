@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+
+// A content resolver is any object with `resolve(uri) => Promise<string>`, returning the content a
+// metadata URI points to. Resolvers can be swapped for an IPFS gateway or node without other changes.
+
+/**
+ * Resolves IPFS CIDs (`ipfs://<cid>/<path>` or a bare `<cid>`) to files in a local directory,
+ * standing in for IPFS. A CID resolves to `<directory>/<cid>`, or `<directory>/<cid>.json`.
+ */
+class LocalDirectoryResolver {
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+  }
+
+  async resolve(uri) {
+    const contentPath = uri.replace(/^ipfs:\/\//, '');
+    const file = path.resolve(this.directory, contentPath);
+    if (!file.startsWith(this.directory + path.sep)) {
+      throw new Error(`${uri} is outside of ${this.directory}`);
+    }
+
+    for (const candidate of [file, `${file}.json`]) {
+      if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+        return fs.readFileSync(candidate, 'utf8');
+      }
+    }
+    throw new Error(`No content found for ${uri}`);
+  }
+}
+
+/**
+ * Parses the metadata of a sponsorship, which is either inline JSON or a URI to resolve
+ * @param {string} value The metadata stored on chain
+ * @param {{resolve: function(string): Promise<string>}} [resolver]
+ * @returns {Promise<*>} The parsed metadata
+ */
+async function resolveMetadata(value, resolver) {
+  let content = value;
+  if (!value.trim().startsWith('{')) {
+    if (!resolver) {
+      throw new Error(`No resolver to fetch ${value}`);
+    }
+    content = await resolver.resolve(value);
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (e) {
+    throw new Error(`Metadata is not valid JSON: ${e.message}`);
+  }
+}
+
+module.exports = { LocalDirectoryResolver, resolveMetadata };
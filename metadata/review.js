@@ -0,0 +1,63 @@
+const { Indexer } = require('../indexer');
+const { decodeCampaignName } = require('../client/encoding');
+const { resolveMetadata } = require('./resolvers');
+const { validateMetadata } = require('./validate');
+
+// Reason codes used when rejecting sponsors automatically
+const REASON_CODES = {
+  INVALID_METADATA: 1,
+  UNRESOLVED_METADATA: 2,
+};
+
+/**
+ * Finds sponsors that are awaiting review (created or updated since their last decision), using
+ * the auction's NewSponsor, MetadataUpdated & ApprovalSet events, then resolves & validates their metadata
+ * @param {Object} options
+ * @param {import('../client').SponsorAuctionClient} options.auction
+ * @param {number} [options.fromBlock] Block to search for events from
+ * @param {{resolve: function(string): Promise<string>}} [options.resolver] Resolves metadata URIs
+ * @param {Object} [options.campaignFields] Campaign-specific field definitions keyed by campaign name
+ * @returns {Promise<Object[]>} Reviews of the form {id, campaign, owner, metadata, content, valid, errors, reasonCode},
+ *   where reasonCode is the code to reject the sponsor with (0 if it is valid)
+ */
+async function getPendingReviews({ auction, fromBlock = 0, resolver, campaignFields = {} }) {
+  const indexer = new Indexer({
+    provider: auction.contract.provider,
+    sponsorAuction: auction.address,
+    startBlock: fromBlock,
+  });
+  await indexer.sync();
+
+  const reviews = [];
+  for (const sponsor of indexer.store.getSponsors({ reviewStatus: 'pending' })) {
+    const campaign = decodeCampaignName(sponsor.campaign);
+    const review = {
+      id: sponsor.id,
+      campaign,
+      owner: sponsor.owner,
+      metadata: sponsor.metadata,
+      content: null,
+      valid: false,
+      errors: [],
+      reasonCode: 0,
+    };
+
+    try {
+      review.content = await resolveMetadata(sponsor.metadata, resolver);
+    } catch (err) {
+      review.errors.push(err.message);
+      review.reasonCode = REASON_CODES.UNRESOLVED_METADATA;
+      reviews.push(review);
+      continue;
+    }
+
+    const { valid, errors } = validateMetadata(review.content, { campaign, campaignFields });
+    review.valid = valid;
+    review.errors = errors;
+    review.reasonCode = valid ? 0 : REASON_CODES.INVALID_METADATA;
+    reviews.push(review);
+  }
+  return reviews;
+}
+
+module.exports = { REASON_CODES, getPendingReviews };
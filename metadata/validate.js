@@ -0,0 +1,112 @@
+const schema = require('./schema.json');
+
+const MAX_NAME_LENGTH = schema.properties.name.maxLength;
+const MAX_DESCRIPTION_LENGTH = schema.properties.description.maxLength;
+const FIELD_TYPES = ['string', 'url', 'number', 'boolean'];
+
+function isURL(value, protocols) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  try {
+    return protocols.includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+function validateField(name, value, definition, errors) {
+  if (value === undefined) {
+    if (definition.required) {
+      errors.push(`fields.${name} is required`);
+    }
+    return;
+  }
+
+  const valid = definition.type === 'url'
+    ? isURL(value, ['https:'])
+    : typeof value === definition.type;
+  if (!valid) {
+    errors.push(`fields.${name} must be a ${definition.type === 'url' ? 'https URL' : definition.type}`);
+  } else if (definition.maxLength !== undefined && value.length > definition.maxLength) {
+    errors.push(`fields.${name} must be at most ${definition.maxLength} characters`);
+  }
+}
+
+/**
+ * Checks that campaign field definitions are well formed, so mistakes aren't reported as invalid metadata
+ * @param {Object<string, Object<string, {type: string, required?: boolean, maxLength?: number}>>} campaignFields
+ *   Field definitions keyed by campaign name
+ */
+function checkCampaignFields(campaignFields) {
+  for (const [campaign, fields] of Object.entries(campaignFields)) {
+    for (const [name, definition] of Object.entries(fields)) {
+      if (!FIELD_TYPES.includes(definition.type)) {
+        throw new Error(`Field ${name} of campaign ${campaign} has unknown type ${definition.type}`);
+      }
+    }
+  }
+}
+
+/**
+ * Validates sponsor metadata against the schema in schema.json, and the fields defined by its campaign
+ * @param {*} metadata Parsed metadata
+ * @param {Object} [options]
+ * @param {string} [options.campaign] The name of the sponsorship's campaign
+ * @param {Object} [options.campaignFields] Field definitions keyed by campaign name
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateMetadata(metadata, { campaign, campaignFields = {} } = {}) {
+  if (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    return { valid: false, errors: ['metadata must be a JSON object'] };
+  }
+
+  const errors = [];
+
+  for (const key of Object.keys(metadata)) {
+    if (!schema.properties[key]) {
+      errors.push(`${key} is not a metadata property`);
+    }
+  }
+  for (const key of schema.required) {
+    if (metadata[key] === undefined) {
+      errors.push(`${key} is required`);
+    }
+  }
+
+  const { name, logo, link, description } = metadata;
+  if (name !== undefined && (typeof name !== 'string' || name.length === 0 || name.length > MAX_NAME_LENGTH)) {
+    errors.push(`name must be a string of 1 to ${MAX_NAME_LENGTH} characters`);
+  }
+  if (logo !== undefined && !isURL(logo, ['https:', 'ipfs:'])) {
+    errors.push('logo must be an https or ipfs URL');
+  }
+  if (link !== undefined && !isURL(link, ['https:'])) {
+    errors.push('link must be an https URL');
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    errors.push(`description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+  if (metadata.campaign !== undefined && campaign !== undefined && metadata.campaign !== campaign) {
+    errors.push(`campaign must be ${campaign}`);
+  }
+
+  const fields = metadata.fields === undefined ? {} : metadata.fields;
+  if (fields === null || typeof fields !== 'object' || Array.isArray(fields)) {
+    errors.push('fields must be an object');
+  } else {
+    const definitions = (campaign !== undefined && campaignFields[campaign]) || {};
+    for (const key of Object.keys(fields)) {
+      if (!definitions[key]) {
+        errors.push(`fields.${key} is not a field of campaign ${campaign}`);
+      }
+    }
+    for (const [key, definition] of Object.entries(definitions)) {
+      validateField(key, fields[key], definition, errors);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = { schema, validateMetadata, checkCampaignFields };
@@ -0,0 +1,76 @@
+const { decodeCampaignName } = require('../client/encoding');
+
+const COLUMNS = {
+  campaign: ['campaign', 'token', 'sponsors', 'paid', 'deposited', 'withdrawn', 'activeSeconds'],
+  sponsor: [
+    'sponsor', 'campaign', 'token', 'paid', 'deposited', 'withdrawn', 'activeSeconds',
+    'balance', 'paymentPerSecond', 'runwaySeconds', 'runsOutAt', 'limitedBy',
+  ],
+};
+
+function formatValue(column, value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (column === 'campaign') {
+    return decodeCampaignName(value);
+  }
+  if (column === 'runsOutAt') {
+    const date = new Date(value * 1000);
+    // Timestamps outside the range of a Date are left as numbers
+    return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+  }
+  return String(value);
+}
+
+function toCells(rows, columns) {
+  return rows.map(row => columns.map(column => formatValue(column, row[column])));
+}
+
+function formatTable(rows, columns) {
+  const cells = [columns, ...toCells(rows, columns)];
+  const widths = columns.map((column, i) => Math.max(...cells.map(line => line[i].length)));
+  return cells
+    .map(line => line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd())
+    .join('\n');
+}
+
+function escapeCSV(cell) {
+  return /[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+function formatCSV(rows, columns) {
+  return [columns, ...toCells(rows, columns)]
+    .map(line => line.map(escapeCSV).join(','))
+    .join('\n');
+}
+
+/**
+ * Formats a revenue report as a table, CSV or JSON
+ * @param {Object} report From buildRevenueReport, with sponsor rows merged with their runways
+ * @param {Object} [options]
+ * @param {string} [options.format] table, csv or json
+ * @param {string} [options.by] Report rows per campaign or per sponsor (ignored for JSON, which includes both)
+ * @returns {string}
+ */
+function formatReport(report, { format = 'table', by = 'campaign' } = {}) {
+  if (format === 'json') {
+    return JSON.stringify(report, null, 2);
+  }
+
+  const columns = COLUMNS[by];
+  if (!columns) {
+    throw new Error(`Unknown report grouping ${by}, expected campaign or sponsor`);
+  }
+  const rows = by === 'campaign' ? report.campaigns : report.sponsors;
+
+  if (format === 'csv') {
+    return formatCSV(rows, columns);
+  }
+  if (format === 'table') {
+    return formatTable(rows, columns);
+  }
+  throw new Error(`Unknown report format ${format}, expected table, csv or json`);
+}
+
+module.exports = { formatReport };
@@ -0,0 +1,15 @@
+const {
+  buildRevenueReport,
+  projectRunway,
+  getRunways,
+  addRunways,
+} = require('./revenue');
+const { formatReport } = require('./format');
+
+module.exports = {
+  buildRevenueReport,
+  projectRunway,
+  getRunways,
+  addRunways,
+  formatReport,
+};
@@ -0,0 +1,257 @@
+const { BigNumber } = require('ethers');
+
+// Runways longer than this are effectively unlimited, and reported as never running out
+const MAX_RUNWAY_SECONDS = 100 * 365 * 24 * 60 * 60;
+
+// Seconds of [start, end) that fall within [fromTimestamp, toTimestamp)
+function overlap(start, end, fromTimestamp, toTimestamp) {
+  return Math.max(0, Math.min(end, toTimestamp) - Math.max(start, fromTimestamp));
+}
+
+function inPeriod(timestamp, fromTimestamp, toTimestamp) {
+  return timestamp >= fromTimestamp && timestamp < toTimestamp;
+}
+
+/**
+ * Aggregates PaymentProcessed, Deposit & Withdrawal events per sponsor & token, along with the time each
+ * sponsor was active (from SponsorActivated/SponsorDeactivated pairs), and sums them per campaign & token.
+ * Payments are counted when they're processed, so a period only includes payments settled within it.
+ *
+ * @param {Object[]} events Indexed SponsorAuction events, ordered by block & log index
+ * @param {Object} options
+ * @param {number} options.now Current unix timestamp, which sponsors that are still active are counted up to
+ * @param {number} [options.fromTimestamp] Start of the reporting period (inclusive)
+ * @param {number} [options.toTimestamp] End of the reporting period (exclusive)
+ * @returns {{campaigns: Object[], sponsors: Object[]}} Rows with amounts as decimal strings of token units
+ */
+function buildRevenueReport(events, { now, fromTimestamp = 0, toTimestamp = Infinity }) {
+  const sponsors = {};
+  const rows = {};
+
+  function getRow(sponsorId, token) {
+    const key = `${sponsorId}:${token}`;
+    if (!rows[key]) {
+      rows[key] = {
+        sponsor: sponsorId,
+        campaign: sponsors[sponsorId].campaign,
+        token,
+        paid: BigNumber.from(0),
+        deposited: BigNumber.from(0),
+        withdrawn: BigNumber.from(0),
+        activeSeconds: 0,
+      };
+    }
+    return rows[key];
+  }
+
+  function addActiveTime(sponsor, until) {
+    const seconds = overlap(sponsor.activeSince, until, fromTimestamp, toTimestamp);
+    if (seconds > 0) {
+      getRow(sponsor.id, sponsor.activeToken).activeSeconds += seconds;
+    }
+    sponsor.activeSince = null;
+  }
+
+  for (const { name, args, timestamp } of events) {
+    // Sponsors created before the indexed range are unknown, so their events are skipped
+    if (name !== 'NewSponsor' && args.sponsor && !sponsors[args.sponsor]) {
+      continue;
+    }
+
+    switch (name) {
+      case 'NewSponsor':
+        sponsors[args.sponsor] = { id: args.sponsor, campaign: args.campaign, token: args.token, activeSince: null };
+        break;
+      case 'BidUpdated':
+        sponsors[args.sponsor].token = args.token;
+        break;
+      case 'SponsorActivated':
+        sponsors[args.sponsor].activeSince = timestamp;
+        sponsors[args.sponsor].activeToken = sponsors[args.sponsor].token;
+        break;
+      case 'SponsorDeactivated':
+        addActiveTime(sponsors[args.sponsor], timestamp);
+        break;
+      case 'PaymentProcessed':
+        if (inPeriod(timestamp, fromTimestamp, toTimestamp)) {
+          const row = getRow(args.sponsor, args.paymentToken);
+          row.paid = row.paid.add(args.paymentAmount);
+        }
+        break;
+      case 'Deposit':
+        if (inPeriod(timestamp, fromTimestamp, toTimestamp)) {
+          const row = getRow(args.sponsor, args.token);
+          row.deposited = row.deposited.add(args.amount);
+        }
+        break;
+      case 'Withdrawal':
+        if (inPeriod(timestamp, fromTimestamp, toTimestamp)) {
+          const row = getRow(args.sponsor, args.token);
+          row.withdrawn = row.withdrawn.add(args.amount);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  for (const sponsor of Object.values(sponsors)) {
+    if (sponsor.activeSince !== null) {
+      addActiveTime(sponsor, now);
+    }
+  }
+
+  const campaigns = {};
+  for (const row of Object.values(rows)) {
+    const key = `${row.campaign}:${row.token}`;
+    if (!campaigns[key]) {
+      campaigns[key] = {
+        campaign: row.campaign,
+        token: row.token,
+        sponsors: 0,
+        paid: BigNumber.from(0),
+        deposited: BigNumber.from(0),
+        withdrawn: BigNumber.from(0),
+        activeSeconds: 0,
+      };
+    }
+    const campaign = campaigns[key];
+    campaign.sponsors += 1;
+    campaign.paid = campaign.paid.add(row.paid);
+    campaign.deposited = campaign.deposited.add(row.deposited);
+    campaign.withdrawn = campaign.withdrawn.add(row.withdrawn);
+    campaign.activeSeconds += row.activeSeconds;
+  }
+
+  const toStrings = row => ({
+    ...row,
+    paid: row.paid.toString(),
+    deposited: row.deposited.toString(),
+    withdrawn: row.withdrawn.toString(),
+  });
+  return {
+    campaigns: Object.values(campaigns).map(toStrings),
+    sponsors: Object.values(rows).map(toStrings),
+  };
+}
+
+/**
+ * Projects when an active sponsor stops paying, mirroring the contract's payment math: payment stops when
+ * the balance or spend limit runs out, or at the sponsor's or campaign's end time
+ * @param {Object} sponsor
+ * @param {number} sponsor.now Current unix timestamp
+ * @param {BigNumberish} sponsor.balance Balance after any pending payment (sponsorBalance().balance)
+ * @param {BigNumberish} sponsor.paymentPerSecond
+ * @param {BigNumberish} [sponsor.maxSpend] Lifetime spend limit (0 for none)
+ * @param {BigNumberish} [sponsor.spent] Payments made so far, including any pending payment
+ * @param {number} [sponsor.endTime] The sponsor's end time (0 for none)
+ * @param {number} [sponsor.campaignStartTime] The campaign's start time (0 for none)
+ * @param {number} [sponsor.campaignEndTime] The campaign's end time (0 for none)
+ * @returns {{runwaySeconds: number|null, runsOutAt: number|null, limitedBy: string|null}} Nulls if it never runs
+ *   out, or not within MAX_RUNWAY_SECONDS
+ */
+function projectRunway({
+  now,
+  balance,
+  paymentPerSecond,
+  maxSpend = 0,
+  spent = 0,
+  endTime = 0,
+  campaignStartTime = 0,
+  campaignEndTime = 0,
+}) {
+  let limit = BigNumber.from(balance);
+  let limitedBy = 'balance';
+
+  if (!BigNumber.from(maxSpend).isZero()) {
+    const remainingSpend = BigNumber.from(maxSpend).gt(spent) ? BigNumber.from(maxSpend).sub(spent) : BigNumber.from(0);
+    if (remainingSpend.lt(limit)) {
+      limit = remainingSpend;
+      limitedBy = 'spendLimit';
+    }
+  }
+
+  let runsOutAt = null;
+  if (!BigNumber.from(paymentPerSecond).isZero()) {
+    // Payment doesn't accrue before the campaign starts. The last second's payment may be partial
+    const seconds = limit.add(paymentPerSecond).sub(1).div(paymentPerSecond);
+    if (seconds.lte(MAX_RUNWAY_SECONDS)) {
+      runsOutAt = Math.max(now, campaignStartTime) + seconds.toNumber();
+    }
+  }
+
+  for (const [end, reason] of [[endTime, 'sponsorEnd'], [campaignEndTime, 'campaignEnd']]) {
+    if (end !== 0 && (runsOutAt === null || end < runsOutAt)) {
+      runsOutAt = end;
+      limitedBy = reason;
+    }
+  }
+
+  if (runsOutAt === null) {
+    return { runwaySeconds: null, runsOutAt: null, limitedBy: null };
+  }
+  return { runwaySeconds: Math.max(0, runsOutAt - now), runsOutAt: Math.max(now, runsOutAt), limitedBy };
+}
+
+/**
+ * Reads the state of active sponsors from the auction and projects their runway
+ * @param {import('../client').SponsorAuctionClient} auction
+ * @param {string[]} sponsorIds
+ * @param {number} now The latest block timestamp
+ * @returns {Promise<Object<string, Object>>} Runways keyed by sponsor ID, including the balance & payment rate
+ */
+async function getRunways(auction, sponsorIds, now) {
+  const runways = {};
+  const campaigns = {};
+
+  for (const id of sponsorIds) {
+    const sponsor = await auction.getSponsor(id);
+    if (!sponsor.active) {
+      continue;
+    }
+
+    const { balance, pendingPayment } = await auction.sponsorBalance(id);
+    const { maxSpend, spent, endTime } = await auction.getSpendLimits(id);
+    if (!campaigns[sponsor.campaign]) {
+      campaigns[sponsor.campaign] = await auction.getCampaign(sponsor.campaign);
+    }
+    const { startTime: campaignStartTime, endTime: campaignEndTime } = campaigns[sponsor.campaign];
+
+    runways[id] = {
+      campaign: sponsor.campaign,
+      token: sponsor.token,
+      balance: balance.toString(),
+      paymentPerSecond: sponsor.paymentPerSecond.toString(),
+      ...projectRunway({
+        now,
+        balance,
+        paymentPerSecond: sponsor.paymentPerSecond,
+        maxSpend,
+        spent: spent.add(pendingPayment),
+        endTime,
+        campaignStartTime,
+        campaignEndTime,
+      }),
+    };
+  }
+  return runways;
+}
+
+/**
+ * Adds the runways of active sponsors to their rows of a report, in the token they currently pay in
+ * @param {Object} report From buildRevenueReport
+ * @param {Object<string, Object>} runways From getRunways
+ */
+function addRunways(report, runways) {
+  for (const [id, { campaign, token, ...runway }] of Object.entries(runways)) {
+    let row = report.sponsors.find(_row => _row.sponsor === id && _row.token === token);
+    if (!row) {
+      row = { sponsor: id, campaign, token, paid: '0', deposited: '0', withdrawn: '0', activeSeconds: 0 };
+      report.sponsors.push(row);
+    }
+    Object.assign(row, runway);
+  }
+  return report;
+}
+
+module.exports = { buildRevenueReport, projectRunway, getRunways, addRunways };
@@ -0,0 +1,98 @@
+const { ZERO_INDEX, decodeListName, decodeValueType, isZeroIndex } = require('../client/encoding');
+
+const SNAPSHOT_VERSION = 1;
+
+// Every ListRegistry event is indexed by list, so lists are discovered from the logs of the registry
+async function findLists(registry, fromBlock, toBlock) {
+  const logs = await registry.contract.provider.getLogs({ address: registry.address, fromBlock, toBlock });
+
+  const lists = {};
+  for (const log of logs) {
+    const { name, args } = registry.interface.parseLog(log);
+    if (!args.list) {
+      // Ownership events
+      continue;
+    }
+    if (!lists[args.list]) {
+      lists[args.list] = { admins: new Set(), editors: new Set() };
+    }
+    if (name === 'ListAdminSet') {
+      lists[args.list].admins.add(args.account);
+    } else if (name === 'ListEditorSet') {
+      lists[args.list].editors.add(args.account);
+    }
+  }
+  return lists;
+}
+
+async function readElements(registry, list, blockTag, pageSize) {
+  const elements = [];
+  let cursor = ZERO_INDEX;
+  do {
+    const page = await registry.contract.getListPage(list, cursor, pageSize, { blockTag });
+    page.indexes.forEach((index, i) => elements.push({ index, value: page.listValues[i] }));
+    cursor = isZeroIndex(page.nextCursor) ? null : page.nextCursor;
+  } while (cursor);
+  return elements;
+}
+
+// Accounts that were ever granted a role, filtered to those that still hold it
+async function filterAccounts(accounts, hasRole) {
+  const result = [];
+  for (const account of accounts) {
+    if (await hasRole(account)) {
+      result.push(account);
+    }
+  }
+  return result;
+}
+
+function decodeName(list) {
+  try {
+    return decodeListName(list);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Exports every list that has emitted an event to a JSON-serializable snapshot. All state is read
+ * at the same block, so the snapshot is consistent even if the registry is edited during the export.
+ * @param {import('../client').ListRegistryClient} registry
+ * @param {Object} [options]
+ * @param {number} [options.fromBlock] Block to search for lists from, usually the deployment block
+ * @param {number} [options.blockNumber] Block to export at (defaults to the latest block)
+ * @param {number} [options.pageSize] Elements to read per call
+ */
+async function exportSnapshot(registry, { fromBlock = 0, blockNumber, pageSize = 100 } = {}) {
+  const { provider } = registry.contract;
+  const blockTag = blockNumber === undefined ? await provider.getBlockNumber() : blockNumber;
+  const { chainId } = await provider.getNetwork();
+  const knownLists = await findLists(registry, fromBlock, blockTag);
+
+  const lists = [];
+  for (const [list, { admins, editors }] of Object.entries(knownLists)) {
+    const { contract } = registry;
+    const { name, description, valueType, created } = await contract.getListMetadata(list, { blockTag });
+    lists.push({
+      list,
+      name: decodeName(list),
+      created,
+      metadata: created ? { name, description, valueType: decodeValueType(valueType) } : null,
+      uniqueValues: await contract.uniqueValues(list, { blockTag }),
+      admins: await filterAccounts(admins, account => contract.isListAdmin(list, account, { blockTag })),
+      editors: await filterAccounts(editors, account => contract.isListEditor(list, account, { blockTag })),
+      elements: await readElements(registry, list, blockTag, pageSize),
+    });
+  }
+
+  return {
+    version: SNAPSHOT_VERSION,
+    chainId,
+    registry: registry.address,
+    blockNumber: blockTag,
+    lists,
+  };
+}
+
+module.exports = { SNAPSHOT_VERSION, exportSnapshot };
@@ -0,0 +1,87 @@
+const { SNAPSHOT_VERSION } = require('./export');
+const { ListAlreadyExists } = require('../client/errors');
+
+function checkVersion(snapshot) {
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version ${snapshot.version}, expected ${SNAPSHOT_VERSION}`);
+  }
+}
+
+async function readElements(registry, list) {
+  const elements = [];
+  for await (const element of registry.elements(list)) {
+    elements.push(element);
+  }
+  return elements;
+}
+
+// The elements of the snapshot that still need importing. A list can only be resumed if its
+// current elements are the start of the snapshot's list
+function remainingElements(list, current, elements) {
+  current.forEach((element, i) => {
+    const expected = elements[i];
+    if (!expected || expected.index !== element.index || expected.value !== element.value) {
+      throw new Error(`List ${list} already has elements that aren't in the snapshot, from ${element.index}`);
+    }
+  });
+  return elements.slice(current.length);
+}
+
+/**
+ * Replays a snapshot into a registry owned by the registry's signer, preserving element indexes.
+ * Lists that were partially imported are resumed, so a failed import can be re-run.
+ * @param {import('../client').ListRegistryClient} registry
+ * @param {Object} snapshot A snapshot returned by exportSnapshot
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] Elements to import per transaction
+ * @param {function(string):void} [options.log]
+ * @returns {Promise<{lists: number, elements: number}>} The number of lists & elements imported
+ */
+async function importSnapshot(registry, snapshot, { batchSize = 50, log = () => {} } = {}) {
+  checkVersion(snapshot);
+
+  const result = { lists: 0, elements: 0 };
+  for (const { list, name, created, metadata, uniqueValues, admins, editors, elements } of snapshot.lists) {
+    const label = name || list;
+    const current = await readElements(registry, list);
+    const remaining = remainingElements(label, current, elements);
+
+    if (created && current.length === 0) {
+      try {
+        await registry.createList(list, { assignAdmin: false, ...metadata });
+      } catch (err) {
+        if (!(err instanceof ListAlreadyExists)) {
+          throw err;
+        }
+      }
+    }
+
+    // Can only be enabled while the list is empty
+    if (uniqueValues && current.length === 0 && !await registry.uniqueValues(list)) {
+      await registry.setUniqueValues(list, true);
+    }
+
+    for (let i = 0; i < remaining.length; i += batchSize) {
+      const batch = remaining.slice(i, i + batchSize);
+      await registry.importElements(list, batch);
+      log(`Imported ${current.length + i + batch.length}/${elements.length} elements of ${label}`);
+    }
+
+    for (const account of admins) {
+      if (!await registry.isListAdmin(list, account)) {
+        await registry.setListAdmin(list, account, true);
+      }
+    }
+    for (const account of editors) {
+      if (!await registry.isListEditor(list, account)) {
+        await registry.setListEditor(list, account, true);
+      }
+    }
+
+    result.lists += 1;
+    result.elements += remaining.length;
+  }
+  return result;
+}
+
+module.exports = { checkVersion, readElements, importSnapshot };
@@ -0,0 +1,10 @@
+const { SNAPSHOT_VERSION, exportSnapshot } = require('./export');
+const { importSnapshot } = require('./import');
+const { verifySnapshot } = require('./verify');
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  exportSnapshot,
+  importSnapshot,
+  verifySnapshot,
+};
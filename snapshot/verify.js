@@ -0,0 +1,51 @@
+const { checkVersion, readElements } = require('./import');
+
+/**
+ * Compares the lists of a registry with a snapshot
+ * @param {import('../client').ListRegistryClient} registry
+ * @param {Object} snapshot
+ * @returns {Promise<Object[]>} Mismatches of the form {list, property, expected, actual}, empty if all match
+ */
+async function verifySnapshot(registry, snapshot) {
+  checkVersion(snapshot);
+
+  const mismatches = [];
+  for (const { list, name, created, metadata, uniqueValues, admins, editors, elements } of snapshot.lists) {
+    const label = name || list;
+    const expect = (property, expected, actual) => {
+      if (expected !== actual) {
+        mismatches.push({ list: label, property, expected, actual });
+      }
+    };
+
+    const actualMetadata = await registry.getListMetadata(list);
+    expect('created', created, actualMetadata.created);
+    if (metadata) {
+      for (const property of ['name', 'description', 'valueType']) {
+        expect(`metadata.${property}`, metadata[property], actualMetadata[property]);
+      }
+    }
+    expect('uniqueValues', uniqueValues, await registry.uniqueValues(list));
+
+    const current = await readElements(registry, list);
+    expect('length', elements.length, current.length);
+    // Only the first difference is reported, as an insertion shifts every following element
+    const position = elements.findIndex((element, i) => !current[i]
+      || current[i].index !== element.index
+      || current[i].value !== element.value);
+    if (position !== -1 && position < current.length) {
+      const actual = current[position];
+      expect(`elements[${position}]`, `${elements[position].index} ${elements[position].value}`, `${actual.index} ${actual.value}`);
+    }
+
+    for (const account of admins) {
+      expect(`admins.${account}`, true, await registry.isListAdmin(list, account));
+    }
+    for (const account of editors) {
+      expect(`editors.${account}`, true, await registry.isListEditor(list, account));
+    }
+  }
+  return mismatches;
+}
+
+module.exports = { verifySnapshot };
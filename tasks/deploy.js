@@ -0,0 +1,15 @@
+const { task } = require('hardhat/config');
+const { loadDeployConfig, checkDeployment, formatMismatches } = require('../deployment');
+
+task('deploy:check', 'Compares the deployed contracts with the network\'s deploy config')
+  .setAction(async (args, hre) => {
+    const config = loadDeployConfig(hre.network.name);
+    const mismatches = await checkDeployment(hre, config);
+
+    if (mismatches.length === 0) {
+      console.log(`Deployment matches the ${hre.network.name} config`);
+    } else {
+      console.log(formatMismatches(mismatches));
+    }
+    return mismatches;
+  });
@@ -0,0 +1,52 @@
+const { task, types } = require('hardhat/config');
+const { Keeper } = require('../keeper');
+const { getAuction } = require('./utils');
+
+task('keeper:run', 'Lifts, drops, swaps & settles sponsors so campaigns hold the highest funded bids')
+  .addOptionalParam('auction', 'SponsorAuction address (defaults to the hardhat-deploy deployment)')
+  .addOptionalParam('fromBlock', 'Block to search for sponsors from', 0, types.int)
+  .addOptionalParam('gasBudget', 'Maximum gas to spend per run (0 for unlimited)', 0, types.int)
+  .addOptionalParam('settleInterval', 'Process payments of sponsors not updated for this many seconds (0 to disable)', 0, types.int)
+  .addOptionalParam('interval', 'Seconds between runs when watching', 60, types.int)
+  .addFlag('rebalance', 'Send a single rebalance call per campaign instead of individual calls')
+  .addFlag('dryRun', 'Print the planned calls without sending transactions')
+  .addFlag('watch', 'Keep running until interrupted')
+  .addVariadicPositionalParam('campaigns', 'Campaigns to keep')
+  .setAction(async ({
+    auction: auctionAddress,
+    fromBlock,
+    gasBudget,
+    settleInterval,
+    interval,
+    rebalance,
+    dryRun,
+    watch,
+    campaigns,
+  }, hre) => {
+    const auction = await getAuction(hre, auctionAddress);
+    const keeper = new Keeper({
+      auction,
+      campaigns,
+      fromBlock,
+      gasBudget,
+      settleInterval,
+      rebalance,
+      dryRun,
+      log: message => console.log(message),
+    });
+
+    if (watch) {
+      keeper.start(interval * 1000);
+      await new Promise(resolve => process.once('SIGINT', resolve));
+      keeper.stop();
+      return null;
+    }
+
+    const result = await keeper.run();
+    if (result.sent.length === 0 && result.skipped.length === 0 && result.failed.length === 0) {
+      console.log('Nothing to do');
+    } else {
+      console.log(`${dryRun ? 'Planned' : 'Sent'} ${result.sent.length} calls using ${result.gasUsed} gas, skipped ${result.skipped.length}, ${result.failed.length} failed`);
+    }
+    return result;
+  });
@@ -0,0 +1,260 @@
+const fs = require('fs');
+const { task, types } = require('hardhat/config');
+const { ListRegistryClient, ZERO_INDEX, LIST_VALUE_TYPES } = require('../client');
+const { exportSnapshot, importSnapshot, verifySnapshot } = require('../snapshot');
+
+async function getRegistry(hre, registryAddress) {
+  let address = registryAddress;
+  if (!address) {
+    const deployment = await hre.deployments.getOrNull('ListRegistry');
+    if (!deployment) {
+      throw new Error(`No ListRegistry deployment found on ${hre.network.name}, pass --registry`);
+    }
+    address = deployment.address;
+  }
+
+  const { deployer } = await hre.getNamedAccounts();
+  const signer = await hre.ethers.getSigner(deployer);
+  return new ListRegistryClient(address, signer);
+}
+
+async function getElements(registry, list) {
+  const elements = [];
+  for await (const element of registry.elements(list)) {
+    elements.push(element);
+  }
+  return elements;
+}
+
+function readDesiredValues(file) {
+  const values = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(values) || values.some(value => typeof value !== 'string' || value.length === 0)) {
+    throw new Error(`${file} must contain a JSON array of non-empty strings`);
+  }
+  return values;
+}
+
+// Keeps existing elements that are still wanted (respecting duplicates), removes the rest and
+// appends any missing values in the order they appear in the desired list
+function planListSync(currentElements, desiredValues) {
+  // A Map, since values like `constructor` would collide with the keys of a plain object
+  const wanted = new Map();
+  for (const value of desiredValues) {
+    wanted.set(value, (wanted.get(value) || 0) + 1);
+  }
+
+  const remove = [];
+  for (const element of currentElements) {
+    if (wanted.get(element.value) > 0) {
+      wanted.set(element.value, wanted.get(element.value) - 1);
+    } else {
+      remove.push(element);
+    }
+  }
+
+  const add = [];
+  for (const value of desiredValues) {
+    if (wanted.get(value) > 0) {
+      wanted.set(value, wanted.get(value) - 1);
+      add.push(value);
+    }
+  }
+
+  return { remove, add };
+}
+
+// Given elements containing the same values as desiredValues, returns the moves needed to put
+// them in the desired order. Each move places an element after `previous` (null for the front).
+function planListOrder(elements, desiredValues) {
+  const order = [...elements];
+  const moves = [];
+
+  desiredValues.forEach((value, i) => {
+    if (order[i].value === value) {
+      return;
+    }
+
+    const from = order.findIndex((element, j) => j > i && element.value === value);
+    const [element] = order.splice(from, 1);
+    order.splice(i, 0, element);
+    moves.push({ element, previous: i === 0 ? null : order[i - 1] });
+  });
+
+  return moves;
+}
+
+function formatMismatches(mismatches) {
+  return mismatches
+    .map(({ list, property, expected, actual }) => `${list} ${property}: expected ${expected}, found ${actual}`)
+    .join('\n');
+}
+
+task('list:show', 'Prints the elements of a list')
+  .addParam('list', 'The list name')
+  .addOptionalParam('registry', 'ListRegistry address (defaults to the hardhat-deploy deployment)')
+  .setAction(async ({ list, registry: registryAddress }, hre) => {
+    const registry = await getRegistry(hre, registryAddress);
+    const elements = await getElements(registry, list);
+
+    if (elements.length === 0) {
+      console.log(`List ${list} is empty`);
+    }
+    for (const element of elements) {
+      console.log(`${element.index}  ${element.value}`);
+    }
+    return elements;
+  });
+
+task('list:create', 'Creates a list with metadata, making the signer its admin')
+  .addParam('list', 'The list name')
+  .addOptionalParam('name', 'A human-readable name (defaults to the list name)')
+  .addOptionalParam('description', 'What the list contains', '')
+  .addOptionalParam('valueType', `How values should be parsed: ${LIST_VALUE_TYPES.join(', ')}`, 'string')
+  .addOptionalParam('registry', 'ListRegistry address (defaults to the hardhat-deploy deployment)')
+  .setAction(async ({ list, name = list, description, valueType, registry: registryAddress }, hre) => {
+    const registry = await getRegistry(hre, registryAddress);
+
+    await registry.createList(list, { name, description, valueType });
+    console.log(`Created list ${list}`);
+  });
+
+task('list:lists', 'Prints every list created in the registry')
+  .addOptionalParam('registry', 'ListRegistry address (defaults to the hardhat-deploy deployment)')
+  .setAction(async ({ registry: registryAddress }, hre) => {
+    const registry = await getRegistry(hre, registryAddress);
+
+    const lists = [];
+    for await (const list of registry.lists()) {
+      lists.push(list);
+      console.log(`${list.list}  ${list.name} (${list.valueType})${list.description ? `: ${list.description}` : ''}`);
+    }
+    return lists;
+  });
+
+task('list:add', 'Appends values to a list')
+  .addParam('list', 'The list name')
+  .addOptionalParam('registry', 'ListRegistry address (defaults to the hardhat-deploy deployment)')
+  .addVariadicPositionalParam('values', 'Values to add')
+  .setAction(async ({ list, registry: registryAddress, values }, hre) => {
+    const registry = await getRegistry(hre, registryAddress);
+
+    const indexes = await registry.addElements(list, values);
+    values.forEach((value, i) => console.log(`Added ${value} to ${list} at ${indexes[i]}`));
+    return indexes;
+  });
+
+task('list:remove', 'Removes elements from a list by index')
+  .addParam('list', 'The list name')
+  .addOptionalParam('registry', 'ListRegistry address (defaults to the hardhat-deploy deployment)')
+  .addVariadicPositionalParam('indexes', 'Indexes of the elements to remove')
+  .setAction(async ({ list, registry: registryAddress, indexes }, hre) => {
+    const registry = await getRegistry(hre, registryAddress);
+
+    await registry.removeElements(list, indexes);
+    indexes.forEach(index => console.log(`Removed ${index} from ${list}`));
+  });
+
+task('list:sync', 'Adds, removes & reorders elements so a list matches a JSON file of values')
+  .addParam('list', 'The list name')
+  .addParam('file', 'JSON file containing an array of the desired values')
+  .addOptionalParam('registry', 'ListRegistry address (defaults to the hardhat-deploy deployment)')
+  .addFlag('dryRun', 'Print the plan without sending transactions')
+  .setAction(async ({ list, file, registry: registryAddress, dryRun }, hre) => {
+    const registry = await getRegistry(hre, registryAddress);
+    const desiredValues = readDesiredValues(file);
+    const currentElements = await getElements(registry, list);
+
+    const plan = planListSync(currentElements, desiredValues);
+
+    // Simulate the list after additions & removals, to plan any reordering
+    const removed = new Set(plan.remove);
+    const simulatedElements = currentElements
+      .filter(element => !removed.has(element))
+      .concat(plan.add.map(value => ({ index: null, value })));
+    plan.moves = planListOrder(simulatedElements, desiredValues);
+
+    if (plan.remove.length === 0 && plan.add.length === 0 && plan.moves.length === 0) {
+      console.log(`List ${list} is already in sync`);
+      return plan;
+    }
+
+    for (const element of plan.remove) {
+      console.log(`- ${element.value} (${element.index})`);
+    }
+    for (const value of plan.add) {
+      console.log(`+ ${value}`);
+    }
+    for (const { element, previous } of plan.moves) {
+      console.log(`~ ${element.value} ${previous ? `after ${previous.value}` : 'to the front'}`);
+    }
+
+    if (dryRun) {
+      console.log(`Dry run: ${plan.remove.length} removals, ${plan.add.length} additions and ${plan.moves.length} moves not sent`);
+      return plan;
+    }
+
+    if (plan.remove.length > 0) {
+      await registry.removeElements(list, plan.remove.map(element => element.index));
+    }
+    if (plan.add.length > 0) {
+      await registry.addElements(list, plan.add);
+    }
+
+    // Added elements now have indexes, so the moves are planned again against the chain
+    const moves = planListOrder(await getElements(registry, list), desiredValues);
+    for (const { element, previous } of moves) {
+      await registry.moveElement(list, element.index, previous ? previous.index : ZERO_INDEX);
+    }
+
+    return plan;
+  });
+
+task('list:export', 'Exports every list of a registry to a JSON snapshot')
+  .addParam('output', 'File to write the snapshot to')
+  .addOptionalParam('registry', 'ListRegistry address (defaults to the hardhat-deploy deployment)')
+  .addOptionalParam('fromBlock', 'Block to search for lists from', 0, types.int)
+  .setAction(async ({ output, registry: registryAddress, fromBlock }, hre) => {
+    const registry = await getRegistry(hre, registryAddress);
+    const snapshot = await exportSnapshot(registry, { fromBlock });
+
+    fs.writeFileSync(output, `${JSON.stringify(snapshot, null, 2)}\n`);
+    const elementCount = snapshot.lists.reduce((count, list) => count + list.elements.length, 0);
+    console.log(`Exported ${snapshot.lists.length} lists with ${elementCount} elements at block ${snapshot.blockNumber}`);
+    return snapshot;
+  });
+
+task('list:import', 'Replays a snapshot into a registry, keeping element indexes (registry owner only)')
+  .addParam('file', 'Snapshot file written by list:export')
+  .addOptionalParam('registry', 'ListRegistry address (defaults to the hardhat-deploy deployment)')
+  .addOptionalParam('batchSize', 'Elements to import per transaction', 50, types.int)
+  .setAction(async ({ file, registry: registryAddress, batchSize }, hre) => {
+    const registry = await getRegistry(hre, registryAddress);
+    const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    const result = await importSnapshot(registry, snapshot, { batchSize, log: console.log });
+    console.log(`Imported ${result.elements} elements into ${result.lists} lists`);
+
+    const mismatches = await verifySnapshot(registry, snapshot);
+    if (mismatches.length > 0) {
+      throw new Error(`Registry doesn't match the snapshot after importing:\n${formatMismatches(mismatches)}`);
+    }
+    return result;
+  });
+
+task('list:verify', 'Checks that the lists of a registry match a snapshot')
+  .addParam('file', 'Snapshot file written by list:export')
+  .addOptionalParam('registry', 'ListRegistry address (defaults to the hardhat-deploy deployment)')
+  .setAction(async ({ file, registry: registryAddress }, hre) => {
+    const registry = await getRegistry(hre, registryAddress);
+    const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    const mismatches = await verifySnapshot(registry, snapshot);
+    if (mismatches.length === 0) {
+      console.log(`All ${snapshot.lists.length} lists match the snapshot`);
+    } else {
+      console.log(formatMismatches(mismatches));
+    }
+    return mismatches;
+  });
+
+module.exports = { planListSync, planListOrder };
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const { task, types } = require('hardhat/config');
+const { Indexer } = require('../indexer');
+const { encodeCampaignName } = require('../client/encoding');
+const { buildRevenueReport, getRunways, addRunways, formatReport } = require('../report');
+const { getAuction } = require('./utils');
+
+// Accepts unix timestamps or dates such as 2021-10-01
+function parseTime(value) {
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`${value} is not a unix timestamp or date`);
+  }
+  return Math.floor(time / 1000);
+}
+
+task('auction:report', 'Reports revenue per campaign & token, and the active time & runway of each sponsor')
+  .addOptionalParam('auction', 'SponsorAuction address (defaults to the hardhat-deploy deployment)')
+  .addOptionalParam('fromBlock', 'Block to search for events from', 0, types.int)
+  .addOptionalParam('from', 'Start of the reporting period, as a unix timestamp or date')
+  .addOptionalParam('to', 'End of the reporting period (exclusive), as a unix timestamp or date')
+  .addOptionalParam('campaign', 'Only report a single campaign')
+  .addOptionalParam('by', 'Group rows by campaign or sponsor', 'campaign')
+  .addOptionalParam('format', 'Output as a table, csv or json', 'table')
+  .addOptionalParam('output', 'File to write the report to, instead of printing it')
+  .setAction(async ({
+    auction: auctionAddress,
+    fromBlock,
+    from,
+    to,
+    campaign,
+    by,
+    format,
+    output,
+  }, hre) => {
+    const auction = await getAuction(hre, auctionAddress);
+    const indexer = new Indexer({
+      provider: auction.contract.provider,
+      sponsorAuction: auction.address,
+      startBlock: fromBlock,
+    });
+    await indexer.sync();
+
+    const { timestamp: now } = await auction.contract.provider.getBlock('latest');
+    const report = buildRevenueReport(indexer.store.getEvents({ contract: 'SponsorAuction' }), {
+      now,
+      fromTimestamp: from ? parseTime(from) : 0,
+      toTimestamp: to ? parseTime(to) : Infinity,
+    });
+
+    const activeIds = indexer.store.getSponsors({ active: true }).map(sponsor => sponsor.id);
+    addRunways(report, await getRunways(auction, activeIds, now));
+
+    if (campaign) {
+      const campaignId = encodeCampaignName(campaign);
+      report.campaigns = report.campaigns.filter(row => row.campaign === campaignId);
+      report.sponsors = report.sponsors.filter(row => row.campaign === campaignId);
+    }
+
+    const formatted = formatReport(report, { format, by });
+    if (output) {
+      fs.writeFileSync(output, `${formatted}\n`);
+    } else {
+      console.log(formatted);
+    }
+    return report;
+  });
+
+module.exports = { parseTime };
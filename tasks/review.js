@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const { task, types } = require('hardhat/config');
+const { LocalDirectoryResolver, checkCampaignFields, getPendingReviews } = require('../metadata');
+const { getAuction } = require('./utils');
+
+function getResolver({ resolver, contentDir }) {
+  if (resolver) {
+    const customResolver = require(path.resolve(resolver));
+    if (typeof customResolver.resolve !== 'function') {
+      throw new Error(`${resolver} must export a resolver with a resolve(uri) function`);
+    }
+    return customResolver;
+  }
+  return contentDir ? new LocalDirectoryResolver(contentDir) : null;
+}
+
+function parseIds(ids) {
+  return ids ? ids.split(',').map(id => id.trim()).filter(id => id.length > 0) : [];
+}
+
+function printReview(review) {
+  console.log(`${review.id} (${review.campaign}, owner ${review.owner})`);
+  console.log(`  metadata: ${review.metadata}`);
+  if (review.valid) {
+    console.log('  valid');
+  }
+  for (const error of review.errors) {
+    console.log(`  invalid: ${error}`);
+  }
+}
+
+task('auction:review', 'Lists sponsors awaiting review with their validated metadata, and approves or rejects them')
+  .addOptionalParam('auction', 'SponsorAuction address (defaults to the hardhat-deploy deployment)')
+  .addOptionalParam('fromBlock', 'Block to search for sponsors from', 0, types.int)
+  .addOptionalParam('contentDir', 'Directory to resolve metadata CIDs from, standing in for IPFS')
+  .addOptionalParam('resolver', 'Module exporting a content resolver, used instead of --content-dir')
+  .addOptionalParam('campaignFields', 'JSON file of campaign-specific field definitions, keyed by campaign name')
+  .addOptionalParam('approve', 'Comma-separated IDs of sponsors to approve')
+  .addOptionalParam('reject', 'Comma-separated IDs of sponsors to reject')
+  .addOptionalParam('reason', 'Reason given to sponsors rejected with --reject', '')
+  .addOptionalParam('reasonCode', 'Reason code given to sponsors rejected with --reject', 0, types.int)
+  .addFlag('auto', 'Approve pending sponsors with valid metadata, and reject the rest with the validation errors')
+  .addFlag('dryRun', 'Print the decisions without sending transactions')
+  .setAction(async ({
+    auction: auctionAddress,
+    fromBlock,
+    contentDir,
+    resolver: resolverModule,
+    campaignFields: campaignFieldsFile,
+    approve,
+    reject,
+    reason,
+    reasonCode,
+    auto,
+    dryRun,
+  }, hre) => {
+    const auction = await getAuction(hre, auctionAddress);
+    const resolver = getResolver({ resolver: resolverModule, contentDir });
+
+    const campaignFields = campaignFieldsFile ? JSON.parse(fs.readFileSync(campaignFieldsFile, 'utf8')) : {};
+    checkCampaignFields(campaignFields);
+
+    const reviews = await getPendingReviews({ auction, fromBlock, resolver, campaignFields });
+    if (reviews.length === 0) {
+      console.log('No sponsors awaiting review');
+    }
+    reviews.forEach(printReview);
+
+    const approved = parseIds(approve);
+    const rejected = parseIds(reject).map(id => ({ id, reasonCode, reason }));
+    if (rejected.some(({ id }) => approved.includes(id))) {
+      throw new Error('A sponsor can\'t be both approved and rejected');
+    }
+
+    if (auto) {
+      const decided = new Set([...approved, ...rejected.map(({ id }) => id)]);
+      for (const review of reviews.filter(_review => !decided.has(_review.id))) {
+        if (review.valid) {
+          approved.push(review.id);
+        } else {
+          rejected.push({ id: review.id, reasonCode: review.reasonCode, reason: review.errors.join('; ') });
+        }
+      }
+    }
+
+    for (const id of approved) {
+      const review = reviews.find(_review => _review.id === id);
+      console.log(`Approve ${id}${review && !review.valid ? ' (despite invalid metadata)' : ''}`);
+    }
+    for (const rejection of rejected) {
+      console.log(`Reject ${rejection.id}${rejection.reason ? `: ${rejection.reason}` : ''}`);
+    }
+
+    if (dryRun || (approved.length === 0 && rejected.length === 0)) {
+      return { reviews, approved, rejected };
+    }
+
+    if (approved.length > 0) {
+      await auction.moderateBatch(approved, true);
+    }
+
+    // Rejections with the same reason are sent together
+    const batches = {};
+    for (const rejection of rejected) {
+      const key = `${rejection.reasonCode}:${rejection.reason}`;
+      batches[key] = batches[key] || { ...rejection, ids: [] };
+      batches[key].ids.push(rejection.id);
+    }
+    for (const batch of Object.values(batches)) {
+      await auction.moderateBatch(batch.ids, false, { reasonCode: batch.reasonCode, reason: batch.reason });
+    }
+
+    console.log(`Approved ${approved.length} and rejected ${rejected.length} sponsors`);
+    return { reviews, approved, rejected };
+  });
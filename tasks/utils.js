@@ -0,0 +1,18 @@
+const { SponsorAuctionClient } = require('../client');
+
+async function getAuction(hre, auctionAddress) {
+  let address = auctionAddress;
+  if (!address) {
+    const deployment = await hre.deployments.getOrNull('SponsorAuction');
+    if (!deployment) {
+      throw new Error(`No SponsorAuction deployment found on ${hre.network.name}, pass --auction`);
+    }
+    address = deployment.address;
+  }
+
+  const { deployer } = await hre.getNamedAccounts();
+  const signer = await hre.ethers.getSigner(deployer);
+  return new SponsorAuctionClient(address, signer);
+}
+
+module.exports = { getAuction };
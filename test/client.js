@@ -0,0 +1,254 @@
+const { expect } = require("chai");
+const {
+  ListRegistryClient,
+  SponsorAuctionClient,
+  encodeListName,
+  encodeCampaignName,
+  decodeCampaignName,
+  ContractError,
+  ElementNotFound,
+  DuplicateValue,
+  MustBeCalledByListEditor,
+  SponsorListFull,
+  InsufficentBidToSwap,
+} = require('../client');
+
+describe("Client", function() {
+  let owner;
+  let sponsor1;
+  let user;
+
+  before(async () => {
+    ([owner, sponsor1, user] = await ethers.getSigners());
+  });
+
+  it('should encode list and campaign names', () => {
+    expect(encodeListName('fees')).to.equal(ethers.utils.formatBytes32String('fees'));
+    expect(encodeCampaignName('fees')).to.equal(ethers.utils.formatBytes32String('fees').substr(0, 34));
+    expect(encodeCampaignName('0x6c6973636f6e00000000000000000000')).to.equal('0x6c6973636f6e00000000000000000000');
+    expect(decodeCampaignName('0x6c6973636f6e00000000000000000000')).to.equal('liscon');
+    expect(() => encodeCampaignName('a-campaign-name-that-is-too-long')).to.throw();
+  });
+
+  describe('ListRegistryClient', function() {
+    let client;
+
+    beforeEach(async () => {
+      const ListRegistry = await ethers.getContractFactory("ListRegistry");
+      const listRegistry = await ListRegistry.deploy();
+      client = new ListRegistryClient(listRegistry.address, owner);
+    });
+
+    it('should add elements and iterate over a list', async () => {
+      const index1 = await client.addElement('fees', 'Element1');
+      const index2 = await client.addElement('fees', 'Element2');
+
+      const elements = [];
+      for await (const element of client.elements('fees')) {
+        elements.push(element);
+      }
+
+      expect(elements.map(element => element.index)).to.deep.equal([index1, index2]);
+      expect(elements.map(element => element.value)).to.deep.equal(['Element1', 'Element2']);
+      expect(await client.getFullList('fees')).to.deep.equal(['Element1', 'Element2']);
+      expect(await client.getListLength('fees')).to.equal(2);
+    });
+
+    it('should iterate over a list one page at a time', async () => {
+      await client.addElement('fees', 'Element1');
+      await client.addElement('fees', 'Element2');
+      await client.addElement('fees', 'Element3');
+
+      const firstPage = await client.getListPage('fees', undefined, 2);
+      expect(firstPage.elements.map(element => element.value)).to.deep.equal(['Element1', 'Element2']);
+      expect(firstPage.nextCursor).to.not.equal(null);
+
+      const values = [];
+      for await (const element of client.elements('fees', { pageSize: 1 })) {
+        values.push(element.value);
+      }
+      expect(values).to.deep.equal(['Element1', 'Element2', 'Element3']);
+    });
+
+    it('should add, remove and replace batches of elements', async () => {
+      const indexes = await client.addElements('fees', ['Element1', 'Element2', 'Element3']);
+      expect(indexes.length).to.equal(3);
+
+      await client.removeElements('fees', [indexes[0], indexes[2]]);
+      expect(await client.getFullList('fees')).to.deep.equal(['Element2']);
+
+      const newIndexes = await client.replaceList('fees', ['Element4', 'Element5']);
+      const elements = [];
+      for await (const element of client.elements('fees')) {
+        elements.push(element);
+      }
+      expect(elements.map(element => element.index)).to.deep.equal(newIndexes);
+      expect(elements.map(element => element.value)).to.deep.equal(['Element4', 'Element5']);
+    });
+
+    it('should iterate over an empty list', async () => {
+      const elements = [];
+      for await (const element of client.elements('fees')) {
+        elements.push(element);
+      }
+      expect(elements).to.deep.equal([]);
+    });
+
+    it('should decode custom errors', async () => {
+      const error = await client.getElement('fees', '0x00000000000000000000000000000001').catch(e => e);
+      expect(error).to.be.instanceOf(ElementNotFound);
+      expect(error).to.be.instanceOf(ContractError);
+
+      const ownerError = await client.connect(user).addElement('fees', 'Element').catch(e => e);
+      expect(ownerError).to.be.instanceOf(MustBeCalledByListEditor);
+      expect(ownerError.list).to.equal(encodeListName('fees'));
+    });
+
+    it('should look up values in unique lists', async () => {
+      await client.setUniqueValues('fees', true);
+      const index = await client.addElement('fees', 'Element1');
+
+      expect(await client.indexOf('fees', 'Element1')).to.equal(index);
+      expect(await client.indexOf('fees', 'Missing')).to.equal(null);
+
+      const error = await client.addElement('fees', 'Element1').catch(e => e);
+      expect(error).to.be.instanceOf(DuplicateValue);
+      expect(error.existingIndex).to.equal(index);
+    });
+
+    it('should create lists with metadata and enumerate them', async () => {
+      await client.createList('fees', { description: 'Fee adapters', valueType: 'url' });
+      await client.createList('tokens', { name: 'Tokens', valueType: 'address' });
+      await client.setListMetadata('tokens', { name: 'Token addresses', valueType: 'address' });
+
+      expect(await client.getListMetadata('fees')).to.deep.equal({
+        name: 'fees',
+        description: 'Fee adapters',
+        valueType: 'url',
+        created: true,
+      });
+      expect(await client.getListCount()).to.equal(2);
+
+      const lists = [];
+      for await (const list of client.lists({ pageSize: 1 })) {
+        lists.push(list);
+      }
+      expect(lists).to.deep.equal([
+        { list: encodeListName('fees'), name: 'fees', description: 'Fee adapters', valueType: 'url' },
+        { list: encodeListName('tokens'), name: 'Token addresses', description: '', valueType: 'address' },
+      ]);
+
+      expect(() => client.createList('other', { valueType: 'xml' })).to.throw('Unknown list value type xml');
+    });
+  });
+
+  describe('SponsorAuctionClient', function() {
+    let client;
+    let token;
+
+    beforeEach(async () => {
+      const TestOracle = await ethers.getContractFactory("TestOracle");
+      const testOracle = await TestOracle.deploy();
+
+      const SponsorAuction = await ethers.getContractFactory("SponsorAuction");
+      const auction = await SponsorAuction.deploy(testOracle.address);
+      client = new SponsorAuctionClient(auction.address, owner);
+
+      const TestToken = await ethers.getContractFactory("TestToken");
+      token = await TestToken.connect(sponsor1).deploy();
+      await token.approve(auction.address, ethers.constants.MaxUint256);
+
+      await client.setNumSlots('fees', 1);
+    });
+
+    it('should return typed sponsor objects', async () => {
+      const id = await client.connect(sponsor1).createSponsor({
+        token: token.address,
+        campaign: 'fees',
+        initialDeposit: 1000,
+        paymentPerSecond: 100,
+        metadata: 'Test',
+      });
+
+      const sponsor = await client.getSponsor(id);
+      expect(sponsor.id).to.equal(id);
+      expect(sponsor.owner).to.equal(sponsor1.address);
+      expect(sponsor.approved).to.equal(false);
+      expect(sponsor.token).to.equal(token.address);
+      expect(sponsor.paymentPerSecond).to.equal(100);
+      expect(sponsor.campaign).to.equal(encodeCampaignName('fees'));
+      expect(sponsor.campaignName).to.equal('fees');
+      expect(sponsor.metadata).to.equal('Test');
+
+      const balance = await client.sponsorBalance(id);
+      expect(balance.balance).to.equal(1000);
+      expect(balance.storedBalance).to.equal(1000);
+      expect(balance.pendingPayment).to.equal(0);
+
+      const rate = await client.paymentRate(id);
+      expect(rate.paymentPerSecond).to.equal(100);
+      expect(rate.paymentPerSecondInETH).to.equal(100);
+
+      const campaign = await client.getCampaign('fees');
+      expect(campaign.slots).to.equal(1);
+      expect(campaign.activeSlots).to.equal(0);
+      expect(campaign.reservePrice).to.equal(0);
+      expect(campaign.minBidIncrement).to.equal(0);
+      expect(campaign.tokenAllowlistEnabled).to.equal(false);
+    });
+
+    it('should decode custom errors with arguments', async () => {
+      const sponsorClient = client.connect(sponsor1);
+      const params = { token: token.address, campaign: 'fees', initialDeposit: 1000, metadata: 'Test' };
+      const id1 = await sponsorClient.createSponsor({ ...params, paymentPerSecond: 100 });
+      const id2 = await sponsorClient.createSponsor({ ...params, paymentPerSecond: 50 });
+      await client.setApproved(id1, true);
+      await client.setApproved(id2, true);
+
+      await client.lift(id1);
+      expect(await client.getActiveSponsors('fees')).to.deep.equal([id1]);
+
+      const fullError = await client.lift(id2).catch(e => e);
+      expect(fullError).to.be.instanceOf(SponsorListFull);
+      expect(fullError.campaign).to.equal(encodeCampaignName('fees'));
+
+      const swapError = await client.swap(id2, id1).catch(e => e);
+      expect(swapError).to.be.instanceOf(InsufficentBidToSwap);
+      expect(swapError.currentBid).to.equal(100);
+      expect(swapError.attemptedSwapBid).to.equal(50);
+    });
+
+    it('should find the sponsors of a campaign', async () => {
+      const sponsorClient = client.connect(sponsor1);
+      const params = { token: token.address, initialDeposit: 0, paymentPerSecond: 100 };
+      const id1 = await sponsorClient.createSponsor({ ...params, campaign: 'fees' });
+      await sponsorClient.createSponsor({ ...params, campaign: 'other' });
+      const id2 = await sponsorClient.createSponsor({ ...params, campaign: 'fees' });
+
+      expect(await client.getSponsorIds('fees')).to.deep.equal([id1, id2]);
+      expect(await client.getSponsorIds('missing')).to.deep.equal([]);
+    });
+
+    it('should set revenue splits and read payee revenue', async () => {
+      await client.setRevenueSplits('fees', [{ payee: user.address, share: 5000 }]);
+      expect(await client.getRevenueSplits('fees')).to.deep.equal([{ payee: user.address, share: 5000 }]);
+
+      const id = await client.connect(sponsor1).createSponsor({
+        token: token.address,
+        campaign: 'fees',
+        initialDeposit: 1000,
+        paymentPerSecond: 100,
+      });
+      await client.setApproved(id, true);
+      await client.lift(id);
+      await client.processPayment(id);
+
+      expect(await client.revenueBalance(user.address, token.address)).to.equal(50);
+      expect(await client.revenueAccrued(user.address, token.address)).to.equal(50);
+      expect(await client.paymentCollected(token.address)).to.equal(50);
+
+      await client.connect(user).withdrawRevenue(token.address, user.address);
+      expect(await client.revenueBalance(user.address, token.address)).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SponsorAuctionClient, ListRegistryClient } = require('../client');
+const { loadDeployConfig, validateDeployConfig, checkDeployment } = require('../deployment');
+
+describe("Deployment", function() {
+  let deployer;
+  let newOwner;
+  let auction;
+  let registry;
+
+  before(async () => {
+    ([deployer, newOwner] = await ethers.getSigners());
+  });
+
+  beforeEach(async () => {
+    await deployments.fixture();
+    auction = new SponsorAuctionClient((await deployments.get('SponsorAuction')).address, deployer);
+    registry = new ListRegistryClient((await deployments.get('ListRegistry')).address, deployer);
+  });
+
+  // Runs every deploy script again against the existing deployments
+  async function redeploy() {
+    await deployments.run(undefined, { resetMemory: false });
+  }
+
+  it('should deploy & configure the contracts from the network config', async () => {
+    const config = loadDeployConfig('hardhat');
+
+    expect(await auction.oracle()).to.equal((await deployments.get('SingleTokenOracle')).address);
+    expect((await auction.getCampaign('liscon')).slots).to.equal(1);
+    expect(await registry.getFullList('test-list')).to.deep.equal(config.lists['test-list']);
+
+    const adapter = await ethers.getContractAt('WETHAdapter', (await deployments.get('WETHAdapter')).address);
+    expect(await adapter.auction()).to.equal(auction.address);
+    expect(await adapter.weth()).to.equal((await deployments.get('WETH')).address);
+
+    expect(await checkDeployment(hre, config)).to.deep.equal([]);
+  });
+
+  it('should skip steps that are already done', async () => {
+    const blockNumber = await ethers.provider.getBlockNumber();
+    await redeploy();
+
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    expect(await registry.getListLength('test-list')).to.equal(2);
+  });
+
+  it('should report & fix differences from the config', async () => {
+    await auction.setNumSlots('liscon', 3);
+    await registry.addElement('test-list', 'dogecoin');
+
+    expect(await checkDeployment(hre, loadDeployConfig('hardhat'))).to.deep.equal([
+      { contract: 'SponsorAuction', property: 'campaigns.liscon.slots', expected: 1, actual: 3 },
+      {
+        contract: 'ListRegistry',
+        property: 'lists.test-list',
+        expected: '["ethereum","bitcoin"]',
+        actual: '["ethereum","bitcoin","dogecoin"]',
+        warning: true,
+      },
+    ]);
+
+    // Lists that were edited are left alone, and only reported as a warning
+    await redeploy();
+    expect((await auction.getCampaign('liscon')).slots).to.equal(1);
+    expect(await registry.getFullList('test-list')).to.deep.equal(['ethereum', 'bitcoin', 'dogecoin']);
+  });
+
+  describe('with an owner', function() {
+    let file;
+
+    beforeEach(() => {
+      const config = JSON.parse(fs.readFileSync(path.join(__dirname, '../deployment/config/hardhat.json'), 'utf8'));
+      file = path.join(os.tmpdir(), `deploy-config-${Date.now()}.json`);
+      fs.writeFileSync(file, JSON.stringify({ ...config, owner: newOwner.address }));
+      process.env.DEPLOY_CONFIG = file;
+    });
+
+    afterEach(() => {
+      delete process.env.DEPLOY_CONFIG;
+      fs.unlinkSync(file);
+    });
+
+    it('should propose the owner once', async () => {
+      const config = loadDeployConfig('hardhat');
+      expect(await checkDeployment(hre, config)).to.deep.equal([
+        { contract: 'SponsorAuction', property: 'owner', expected: newOwner.address, actual: ethers.constants.AddressZero },
+        { contract: 'ListRegistry', property: 'owner', expected: newOwner.address, actual: ethers.constants.AddressZero },
+      ]);
+
+      await redeploy();
+      expect(await auction.pendingOwner()).to.equal(newOwner.address);
+      expect(await registry.pendingOwner()).to.equal(newOwner.address);
+      expect(await checkDeployment(hre, config)).to.deep.equal([]);
+
+      const blockNumber = await ethers.provider.getBlockNumber();
+      await redeploy();
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    });
+
+    it('should skip owner-only steps once ownership is transferred', async () => {
+      await redeploy();
+      await auction.connect(newOwner).acceptOwnership();
+      await auction.connect(newOwner).setNumSlots('liscon', 2);
+
+      const err = await redeploy().catch(e => e);
+      expect(err.message).to.include('SponsorAuction.campaigns.liscon.slots: expected 1, found 2');
+      expect((await auction.getCampaign('liscon')).slots).to.equal(2);
+    });
+  });
+
+  it('should reject invalid configs', () => {
+    const config = { oracle: { type: 'SingleTokenOracle' }, campaigns: {}, lists: {} };
+    expect(() => validateDeployConfig(config)).to.not.throw();
+
+    expect(() => validateDeployConfig({ ...config, owner: '0x1234' })).to.throw('owner must be an address');
+    expect(() => validateDeployConfig({ ...config, oracle: { type: 'Unknown' } })).to.throw('oracle.type must be one of');
+    expect(() => validateDeployConfig({ ...config, oracle: { type: 'UniswapV3TWAPOracle' } }))
+      .to.throw('oracle.twapWindow is required');
+    expect(() => validateDeployConfig({ ...config, campaigns: { fees: { slots: 256 } } }))
+      .to.throw('campaigns.fees.slots must be an integer');
+    expect(() => validateDeployConfig({ ...config, lists: { tokens: ['eth', ''] } }))
+      .to.throw('lists.tokens must be an array of non-empty strings');
+    expect(() => loadDeployConfig('unknown-network')).to.throw('No deploy config for unknown-network');
+  });
+});
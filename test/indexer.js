@@ -0,0 +1,274 @@
+const { expect } = require("chai");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Indexer, Store } = require('../indexer');
+const { ListRegistryClient, verifyProof } = require('../client');
+
+describe("Indexer", function() {
+  let listRegistry;
+  let auction;
+  let token;
+  let owner;
+  let sponsor1;
+  let startBlock;
+  const feesId = ethers.utils.formatBytes32String('fees');
+  const feeCampaignId = ethers.utils.formatBytes32String('fees').substr(0, 34);
+
+  before(async () => {
+    ([owner, sponsor1] = await ethers.getSigners());
+  });
+
+  beforeEach(async () => {
+    startBlock = await ethers.provider.getBlockNumber();
+
+    const ListRegistry = await ethers.getContractFactory("ListRegistry");
+    listRegistry = await ListRegistry.deploy();
+
+    const TestOracle = await ethers.getContractFactory("TestOracle");
+    const testOracle = await TestOracle.deploy();
+
+    const SponsorAuction = await ethers.getContractFactory("SponsorAuction");
+    auction = await SponsorAuction.deploy(testOracle.address);
+
+    const TestToken = await ethers.getContractFactory("TestToken");
+    token = await TestToken.connect(sponsor1).deploy();
+    await token.approve(auction.address, ethers.constants.MaxUint256);
+  });
+
+  function createIndexer(store) {
+    return new Indexer({
+      provider: ethers.provider,
+      listRegistry: listRegistry.address,
+      sponsorAuction: auction.address,
+      store,
+      startBlock,
+    });
+  }
+
+  it('should index list contents', async () => {
+    await listRegistry.addElement(feesId, 'Element1');
+    await listRegistry.addElement(feesId, 'Element2');
+    const { first: index1 } = await listRegistry.getList(feesId);
+    await listRegistry.removeElement(feesId, index1);
+    await listRegistry.addElement(feesId, 'Element3');
+
+    const indexer = createIndexer();
+    const checkpoint = await indexer.sync();
+    expect(checkpoint).to.equal(await ethers.provider.getBlockNumber());
+
+    const list = indexer.store.getList(feesId);
+    expect(list.map(element => element.value)).to.deep.equal(['Element2', 'Element3']);
+    expect(indexer.store.getListNames()).to.deep.equal([feesId]);
+  });
+
+  it('should index created lists and their metadata', async () => {
+    const tx = await listRegistry.createList(feesId, true, 'Fees', 'Fee adapters', 2);
+    const { blockNumber } = await tx.wait();
+    await listRegistry.setListMetadata(feesId, 'Fee adapters', '', 3);
+
+    const indexer = createIndexer();
+    await indexer.sync();
+
+    const { timestamp } = await ethers.provider.getBlock(blockNumber);
+    expect(indexer.store.getListMetadata(feesId)).to.deep.equal({
+      id: feesId,
+      creator: owner.address,
+      name: 'Fee adapters',
+      description: '',
+      valueType: 'json',
+      createdAt: timestamp,
+    });
+    expect(indexer.store.getCreatedLists().map(list => list.id)).to.deep.equal([feesId]);
+    expect(indexer.store.getListMetadata(ethers.utils.formatBytes32String('other'))).to.equal(null);
+  });
+
+  it('should compute list commitments & proofs that match the chain', async () => {
+    const client = new ListRegistryClient(listRegistry.address, owner);
+    const [index1, index2] = await client.addElements(feesId, ['Element1', 'Element2', 'Element3']);
+    await client.insertAfter(feesId, index1, 'Inserted');
+    await client.removeElement(feesId, index1);
+
+    const indexer = createIndexer();
+    await indexer.sync();
+
+    const commitment = await client.getCommitment(feesId);
+    expect(indexer.store.getListCommitment(feesId)).to.deep.equal(commitment);
+    expect(indexer.store.getListProof(feesId, index2)).to.deep.equal(await client.getProof(feesId, index2));
+    expect(verifyProof(commitment, indexer.store.getListProof(feesId, index2))).to.equal(true);
+    expect(indexer.store.getListProof(feesId, index1)).to.equal(null);
+
+    // A stale store no longer matches
+    await client.addElement(feesId, 'Element4');
+    expect(indexer.store.getListCommitment(feesId)).to.not.deep.equal(await client.getCommitment(feesId));
+  });
+
+  it('should index inserted and moved elements', async () => {
+    await listRegistry.addElement(feesId, 'Element1');
+    await listRegistry.addElement(feesId, 'Element2');
+    const { first: index1, last: index2 } = await listRegistry.getList(feesId);
+    await listRegistry.insertAfter(feesId, index1, 'Inserted');
+    await listRegistry.moveElement(feesId, index2, '0x00000000000000000000000000000000');
+
+    const indexer = createIndexer();
+    await indexer.sync();
+
+    const list = indexer.store.getList(feesId);
+    expect(list.map(element => element.value)).to.deep.equal(['Element2', 'Element1', 'Inserted']);
+    expect(list.map(element => element.value)).to.deep.equal(await listRegistry.getFullList(feesId));
+  });
+
+  it('should skip lists & elements added before the indexed block range', async () => {
+    await listRegistry.createList(feesId, true, 'Fees', 'Fee adapters', 2);
+    await listRegistry.addElement(feesId, 'Element1');
+    await listRegistry.addElement(feesId, 'Element2');
+    const { first: index1, last: index2 } = await listRegistry.getList(feesId);
+    startBlock = await ethers.provider.getBlockNumber() + 1;
+
+    await listRegistry.removeElement(feesId, index1);
+    await listRegistry.moveElement(feesId, index2, '0x00000000000000000000000000000000');
+    await listRegistry.addElement(feesId, 'Element3');
+    await listRegistry.setListMetadata(feesId, 'Fee adapters', '', 3);
+
+    const indexer = createIndexer();
+    await indexer.sync();
+
+    expect(indexer.store.getList(feesId).map(element => element.value)).to.deep.equal(['Element3']);
+    expect(indexer.store.getListMetadata(feesId)).to.equal(null);
+  });
+
+  it('should index sponsor state and payment history', async () => {
+    await auction.setNumSlots(feeCampaignId, 1);
+    const tx = await auction.connect(sponsor1).createSponsor(token.address, feeCampaignId, 1000, 100, 'Test');
+    const { events } = await tx.wait();
+    const sponsorId = events[3].args.sponsor;
+    await auction.setApproved(sponsorId, true);
+    await auction.lift(sponsorId);
+    await auction.processPayment(sponsorId);
+
+    const indexer = createIndexer();
+    await indexer.sync();
+
+    const sponsor = indexer.store.getSponsor(sponsorId);
+    expect(sponsor.owner).to.equal(sponsor1.address);
+    expect(sponsor.approved).to.equal(true);
+    expect(sponsor.active).to.equal(true);
+    expect(sponsor.balance).to.equal('900');
+    expect(sponsor.totalPaid).to.equal('100');
+
+    const campaign = indexer.store.getCampaign(feeCampaignId);
+    expect(campaign.slots).to.equal(1);
+    expect(campaign.activeSponsors).to.deep.equal([sponsorId]);
+
+    const payments = indexer.store.getPayments({ sponsor: sponsorId });
+    expect(payments.length).to.equal(1);
+    expect(payments[0].amount).to.equal('100');
+    expect(payments[0].token).to.equal(token.address);
+    expect(payments[0].timestamp).to.be.a('number');
+  });
+
+  it('should track sponsor reviews', async () => {
+    await auction.setNumSlots(feeCampaignId, 1);
+    const tx = await auction.connect(sponsor1).createSponsor(token.address, feeCampaignId, 1000, 100, 'Test');
+    const { events } = await tx.wait();
+    const sponsorId = events[3].args.sponsor;
+
+    const indexer = createIndexer();
+    await indexer.sync();
+    expect(indexer.store.getSponsors({ reviewStatus: 'pending' }).map(sponsor => sponsor.id)).to.deep.equal([sponsorId]);
+
+    await auction.moderate(sponsorId, false, 4, 'Broken link');
+    await indexer.sync();
+    let sponsor = indexer.store.getSponsor(sponsorId);
+    expect(sponsor.reviewStatus).to.equal('rejected');
+    expect(sponsor.review.reasonCode).to.equal(4);
+    expect(sponsor.review.reason).to.equal('Broken link');
+
+    await auction.connect(sponsor1).updateMetadata(sponsorId, 'Fixed');
+    await indexer.sync();
+    sponsor = indexer.store.getSponsor(sponsorId);
+    expect(sponsor.reviewStatus).to.equal('pending');
+    expect(sponsor.metadata).to.equal('Fixed');
+  });
+
+  it('should track sponsor operators', async () => {
+    const tx = await auction.connect(sponsor1).createSponsor(token.address, feeCampaignId, 0, 100, 'Test');
+    const { events } = await tx.wait();
+    const sponsorId = events[0].args.sponsor;
+    await auction.connect(sponsor1).setOperator(sponsorId, owner.address, true);
+
+    const indexer = createIndexer();
+    await indexer.sync();
+    expect(indexer.store.getSponsor(sponsorId).operators).to.deep.equal([owner.address]);
+
+    await auction.connect(sponsor1).transferSponsorOwnership(sponsorId, owner.address);
+    await indexer.sync();
+    const sponsor = indexer.store.getSponsor(sponsorId);
+    expect(sponsor.owner).to.equal(owner.address);
+    expect(sponsor.operators).to.deep.equal([]);
+  });
+
+  it('should track revenue splits and payee revenue', async () => {
+    await auction.setNumSlots(feeCampaignId, 1);
+    await auction.setRevenueSplits(feeCampaignId, [sponsor1.address], [2000]);
+    const tx = await auction.connect(sponsor1).createSponsor(token.address, feeCampaignId, 1000, 100, 'Test');
+    const { events } = await tx.wait();
+    const sponsorId = events[3].args.sponsor;
+    await auction.setApproved(sponsorId, true);
+    await auction.lift(sponsorId);
+    await auction.processPayment(sponsorId);
+    await auction.connect(sponsor1).withdrawRevenue(token.address, sponsor1.address);
+
+    const indexer = createIndexer();
+    await indexer.sync();
+
+    const campaign = indexer.store.getCampaign(feeCampaignId);
+    expect(campaign.revenueSplits).to.deep.equal([{ payee: sponsor1.address, share: 2000 }]);
+
+    const revenue = indexer.store.getRevenue(sponsor1.address);
+    expect(revenue[token.address]).to.deep.equal({ accrued: '20', withdrawn: '20', balance: '0' });
+    expect(indexer.store.getRevenue(owner.address)).to.deep.equal({});
+  });
+
+  it('should resume from a checkpoint file', async () => {
+    const file = path.join(os.tmpdir(), `indexer-${Date.now()}.json`);
+
+    try {
+      await listRegistry.addElement(feesId, 'Element1');
+      const firstCheckpoint = await createIndexer(new Store({ file })).sync();
+
+      await listRegistry.addElement(feesId, 'Element2');
+
+      const resumedStore = new Store({ file });
+      expect(resumedStore.checkpoint.blockNumber).to.equal(firstCheckpoint);
+      expect(resumedStore.getList(feesId).map(element => element.value)).to.deep.equal(['Element1']);
+
+      await createIndexer(resumedStore).sync();
+      expect(resumedStore.getList(feesId).map(element => element.value)).to.deep.equal(['Element1', 'Element2']);
+    } finally {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    }
+  });
+
+  it('should roll back blocks that were reorged out', async () => {
+    await listRegistry.addElement(feesId, 'Element1');
+
+    const indexer = createIndexer();
+    await indexer.sync();
+
+    const snapshot = await ethers.provider.send('evm_snapshot', []);
+    await listRegistry.addElement(feesId, 'Orphaned');
+    await indexer.sync();
+    expect(indexer.store.getList(feesId).map(element => element.value)).to.deep.equal(['Element1', 'Orphaned']);
+
+    await ethers.provider.send('evm_revert', [snapshot]);
+    await ethers.provider.send('evm_mine', []);
+    await listRegistry.addElement(feesId, 'Element2');
+
+    await indexer.sync();
+    expect(indexer.store.getList(feesId).map(element => element.value)).to.deep.equal(['Element1', 'Element2']);
+    expect(indexer.store.getEvents({ name: 'ElementAdded' }).length).to.equal(2);
+  });
+});
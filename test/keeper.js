@@ -0,0 +1,277 @@
+const { expect } = require("chai");
+const { SponsorAuctionClient } = require('../client');
+const { Keeper, planCampaign } = require('../keeper');
+
+async function increaseTime(seconds) {
+  await ethers.provider.send("evm_increaseTime", [seconds]);
+  await ethers.provider.send("evm_mine");
+}
+
+describe("Keeper", function() {
+  let auction;
+  let client;
+  let token;
+  let owner;
+  let sponsor1;
+  let keeper;
+  const feeCampaignId = ethers.utils.formatBytes32String('fees').substr(0, 34);
+
+  before(async () => {
+    ([owner, sponsor1] = await ethers.getSigners());
+  });
+
+  beforeEach(async () => {
+    const TestOracle = await ethers.getContractFactory("TestOracle");
+    const testOracle = await TestOracle.deploy();
+
+    const SponsorAuction = await ethers.getContractFactory("SponsorAuction");
+    auction = await SponsorAuction.deploy(testOracle.address);
+
+    const TestToken = await ethers.getContractFactory("TestToken");
+    token = await TestToken.connect(sponsor1).deploy();
+    await token.approve(auction.address, ethers.constants.MaxUint256);
+
+    await auction.setNumSlots(feeCampaignId, 2);
+
+    client = new SponsorAuctionClient(auction.address, owner);
+    keeper = new Keeper({ auction: client, campaigns: ['fees'] });
+  });
+
+  async function createSponsor(initialDeposit, paymentPerSecond) {
+    const id = await client.connect(sponsor1).createSponsor({
+      token: token.address,
+      campaign: 'fees',
+      initialDeposit,
+      paymentPerSecond,
+      metadata: 'Test',
+    });
+    await client.setApproved(id, true);
+    return id;
+  }
+
+  async function activeSponsors() {
+    return [...await auction.getActiveSponsors(feeCampaignId)].sort();
+  }
+
+  describe('planCampaign', function() {
+    const sponsor = (id, active, balance, bid, extra = {}) => ({
+      id, active, approved: true, balance, bid, lastUpdated: 0, ...extra,
+    });
+
+    it('should lift the highest bids into open slots', () => {
+      const actions = planCampaign({
+        slots: 2,
+        sponsors: [sponsor('a', false, 10, 1), sponsor('b', false, 10, 3), sponsor('c', false, 10, 2)],
+      });
+      expect(actions.map(action => [action.method, ...action.args])).to.deep.equal([
+        ['lift', 'b'],
+        ['lift', 'c'],
+      ]);
+    });
+
+    it('should not lift unapproved or empty sponsors', () => {
+      const actions = planCampaign({
+        slots: 2,
+        sponsors: [sponsor('a', false, 0, 5), sponsor('b', false, 10, 5, { approved: false })],
+      });
+      expect(actions).to.deep.equal([]);
+    });
+
+    it('should replace empty sponsors, or drop them when there are no candidates', () => {
+      let actions = planCampaign({
+        slots: 1,
+        sponsors: [sponsor('a', true, 0, 5), sponsor('b', false, 10, 1)],
+      });
+      expect(actions.map(action => [action.method, ...action.args])).to.deep.equal([['swap', 'b', 'a']]);
+
+      actions = planCampaign({ slots: 1, sponsors: [sponsor('a', true, 0, 5)] });
+      expect(actions.map(action => [action.method, ...action.args])).to.deep.equal([['drop', 'a']]);
+    });
+
+    it('should drop the lowest bids when the campaign is oversized', () => {
+      const actions = planCampaign({
+        slots: 1,
+        sponsors: [sponsor('a', true, 10, 1), sponsor('b', true, 10, 3), sponsor('c', true, 10, 2)],
+      });
+      expect(actions.map(action => [action.method, ...action.args])).to.deep.equal([
+        ['drop', 'a'],
+        ['drop', 'c'],
+      ]);
+    });
+
+    it('should swap higher bids for the lowest active bids', () => {
+      const actions = planCampaign({
+        slots: 2,
+        sponsors: [
+          sponsor('a', true, 10, 1),
+          sponsor('b', true, 10, 4),
+          sponsor('c', false, 10, 2),
+          sponsor('d', false, 10, 4),
+        ],
+      });
+      expect(actions.map(action => [action.method, ...action.args])).to.deep.equal([['swap', 'd', 'a']]);
+    });
+
+    it('should respect the campaign terms', () => {
+      const actions = planCampaign({
+        slots: 1,
+        minBidIncrement: 1000,
+        sponsors: [sponsor('a', true, 10, 100), sponsor('b', false, 10, 110), sponsor('c', false, 10, 200, { eligible: false })],
+      });
+      expect(actions).to.deep.equal([]);
+
+      expect(planCampaign({
+        slots: 1,
+        minBidIncrement: 1000,
+        sponsors: [sponsor('a', true, 10, 100), sponsor('b', false, 10, 111)],
+      }).map(action => [action.method, ...action.args])).to.deep.equal([['swap', 'b', 'a']]);
+    });
+
+    it('should drop ended sponsors and not lift them', () => {
+      let actions = planCampaign({
+        slots: 1,
+        sponsors: [sponsor('a', true, 10, 5, { ended: true }), sponsor('b', false, 10, 1, { ended: true })],
+      });
+      expect(actions.map(action => [action.method, ...action.args])).to.deep.equal([['drop', 'a']]);
+
+      actions = planCampaign({ slots: 1, open: false, sponsors: [sponsor('b', false, 10, 1)] });
+      expect(actions).to.deep.equal([]);
+    });
+
+    it('should plan a single rebalance call', () => {
+      const actions = planCampaign({
+        id: '0x01',
+        slots: 1,
+        sponsors: [sponsor('a', true, 0, 5), sponsor('b', false, 10, 1), sponsor('c', false, 10, 2)],
+      }, { rebalance: true });
+      expect(actions.map(action => [action.method, ...action.args])).to.deep.equal([['rebalance', '0x01', ['c']]]);
+
+      expect(planCampaign({ id: '0x01', slots: 1, sponsors: [sponsor('a', true, 10, 5)] }, { rebalance: true }))
+        .to.deep.equal([]);
+    });
+
+    it('should settle sponsors that have not been updated recently', () => {
+      const actions = planCampaign({
+        slots: 2,
+        sponsors: [sponsor('a', true, 10, 1, { lastUpdated: 100 }), sponsor('b', true, 10, 1, { lastUpdated: 150 })],
+      }, { now: 200, settleInterval: 100 });
+      expect(actions.map(action => [action.method, ...action.args])).to.deep.equal([['processPayment', 'a']]);
+    });
+  });
+
+  it('should keep a campaign filled with the highest funded bids', async () => {
+    const low = await createSponsor(1000, 10);
+    const mid = await createSponsor(2000, 20);
+    const high = await createSponsor(300, 30);
+
+    let result = await keeper.run();
+    expect(result.sent.map(action => action.type)).to.deep.equal(['lift', 'lift']);
+    expect(await activeSponsors()).to.deep.equal([high, mid].sort());
+
+    // The highest bidder runs out of funds after 10 seconds
+    await increaseTime(20);
+    result = await keeper.run();
+    expect(result.sent.map(action => [action.method, ...action.args])).to.deep.equal([['swap', low, high]]);
+    expect(await activeSponsors()).to.deep.equal([low, mid].sort());
+
+    // A new higher bid replaces the lowest active bid
+    const newHigh = await createSponsor(5000, 50);
+    result = await keeper.run();
+    expect(result.sent.map(action => [action.method, ...action.args])).to.deep.equal([['swap', newHigh, low]]);
+    expect(await activeSponsors()).to.deep.equal([mid, newHigh].sort());
+
+    // Reducing the slots drops the lowest bid
+    await auction.setNumSlots(feeCampaignId, 1);
+    result = await keeper.run();
+    expect(result.sent.map(action => [action.method, ...action.args])).to.deep.equal([['drop', mid]]);
+    expect(await activeSponsors()).to.deep.equal([newHigh]);
+
+    result = await keeper.run();
+    expect(result.sent).to.deep.equal([]);
+  });
+
+  it('should not send transactions in a dry run', async () => {
+    await createSponsor(1000, 10);
+    keeper = new Keeper({ auction: client, campaigns: ['fees'], dryRun: true });
+
+    const result = await keeper.run();
+    expect(result.sent.map(action => action.type)).to.deep.equal(['lift']);
+    expect(result.gasUsed.gt(0)).to.be.true;
+    expect(await activeSponsors()).to.deep.equal([]);
+  });
+
+  it('should not estimate calls that depend on earlier calls in a dry run', async () => {
+    const empty = await createSponsor(100, 10);
+    await keeper.run();
+    await increaseTime(100);
+    const high = await createSponsor(1000, 30);
+    const mid = await createSponsor(1000, 20);
+    keeper = new Keeper({ auction: client, campaigns: ['fees'], dryRun: true });
+
+    const { sent: [swap, lift], failed } = await keeper.run();
+    expect([swap.method, ...swap.args]).to.deep.equal(['swap', high, empty]);
+    expect(swap.gasUsed.gt(0)).to.be.true;
+    expect([lift.method, ...lift.args]).to.deep.equal(['lift', mid]);
+    expect(lift.gasUsed).to.equal(undefined);
+    expect(failed).to.deep.equal([]);
+    expect(await activeSponsors()).to.deep.equal([empty]);
+  });
+
+  it('should skip calls that exceed the gas budget', async () => {
+    await createSponsor(1000, 10);
+    await createSponsor(1000, 20);
+
+    const { sent: [firstLift] } = await new Keeper({ auction: client, campaigns: ['fees'], dryRun: true }).run();
+    keeper = new Keeper({ auction: client, campaigns: ['fees'], gasBudget: firstLift.gasUsed.toNumber() });
+
+    const result = await keeper.run();
+    expect(result.sent.length).to.equal(1);
+    expect(result.skipped.length).to.equal(1);
+    expect((await activeSponsors()).length).to.equal(1);
+
+    keeper.gasBudget = 0;
+    await keeper.run();
+    expect((await activeSponsors()).length).to.equal(2);
+  });
+
+  it('should process payments of active sponsors', async () => {
+    const id = await createSponsor(1000, 10);
+    await keeper.run();
+
+    keeper = new Keeper({ auction: client, campaigns: ['fees'], settleInterval: 10 });
+    await increaseTime(10);
+
+    const result = await keeper.run();
+    expect(result.sent.map(action => [action.method, ...action.args])).to.deep.equal([['processPayment', id]]);
+    expect(await auction.paymentCollected(token.address)).to.be.gt(0);
+  });
+
+  it('should converge a campaign with a single rebalance call', async () => {
+    const low = await createSponsor(1000, 10);
+    const mid = await createSponsor(2000, 20);
+    await keeper.run();
+    expect(await activeSponsors()).to.deep.equal([low, mid].sort());
+
+    const high = await createSponsor(2000, 30);
+    const higher = await createSponsor(2000, 40);
+    keeper = new Keeper({ auction: client, campaigns: ['fees'], rebalance: true });
+
+    const result = await keeper.run();
+    expect(result.sent.map(action => action.type)).to.deep.equal(['rebalance']);
+    expect(await activeSponsors()).to.deep.equal([high, higher].sort());
+
+    expect((await keeper.run()).sent).to.deep.equal([]);
+  });
+
+  it('should run from the hardhat task', async () => {
+    const id = await createSponsor(1000, 10);
+
+    let result = await hre.run('keeper:run', { auction: auction.address, campaigns: ['fees'], dryRun: true });
+    expect(result.sent.length).to.equal(1);
+    expect(await activeSponsors()).to.deep.equal([]);
+
+    result = await hre.run('keeper:run', { auction: auction.address, campaigns: ['fees'] });
+    expect(result.sent.length).to.equal(1);
+    expect(await activeSponsors()).to.deep.equal([id]);
+  });
+});
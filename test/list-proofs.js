@@ -0,0 +1,112 @@
+const { expect } = require("chai");
+const {
+  ListRegistryClient,
+  hashLeaf,
+  hashPair,
+  treeDepth,
+  computeCommitment,
+  buildProof,
+  verifyProof,
+} = require('../client');
+
+describe("List proofs", function() {
+  const index1 = '0x00000000000000000000000000000001';
+  const index2 = '0x00000000000000000000000000000002';
+  const index3 = '0x00000000000000000000000000000003';
+  const leaf1 = hashLeaf(index1, 'a');
+  const leaf2 = hashLeaf(index2, 'b');
+  const leaf3 = hashLeaf(index3, 'c');
+
+  it('should compute the root of a tree as deep as needed', () => {
+    expect(treeDepth(0)).to.equal(0);
+    expect(treeDepth(1)).to.equal(0);
+    expect(treeDepth(2)).to.equal(1);
+    expect(treeDepth(5)).to.equal(3);
+
+    expect(computeCommitment([])).to.deep.equal({ root: ethers.constants.HashZero, leafCount: 0 });
+    expect(computeCommitment([leaf1]).root).to.equal(leaf1);
+    expect(computeCommitment([leaf1, leaf2, leaf3]).root)
+      .to.equal(hashPair(hashPair(leaf1, leaf2), hashPair(leaf3, ethers.constants.HashZero)));
+
+    // Empty subtrees are zero
+    expect(computeCommitment([null, null, leaf3]).root)
+      .to.equal(hashPair(ethers.constants.HashZero, hashPair(leaf3, ethers.constants.HashZero)));
+    expect(computeCommitment([null, null]).root).to.equal(ethers.constants.HashZero);
+  });
+
+  it('should build & verify membership proofs', () => {
+    const leaves = [leaf1, null, leaf3];
+    const commitment = computeCommitment(leaves);
+
+    const proof = { index: index3, value: 'c', position: 2, siblings: buildProof(leaves, 2) };
+    expect(verifyProof(commitment, proof)).to.equal(true);
+
+    expect(verifyProof(commitment, { ...proof, value: 'd' })).to.equal(false);
+    expect(verifyProof(commitment, { ...proof, position: 0 })).to.equal(false);
+    expect(verifyProof(commitment, { ...proof, siblings: proof.siblings.slice(1) })).to.equal(false);
+    expect(verifyProof(computeCommitment([leaf1, leaf2, leaf3]), proof)).to.equal(false);
+
+    expect(() => buildProof(leaves, 1)).to.throw('No element at leaf 1');
+  });
+
+  describe('against ListRegistry', function() {
+    let registry;
+
+    beforeEach(async () => {
+      const [owner] = await ethers.getSigners();
+      const ListRegistry = await ethers.getContractFactory("ListRegistry");
+      registry = new ListRegistryClient((await ListRegistry.deploy()).address, owner);
+    });
+
+    async function expectCommitment(leaves) {
+      const commitment = await registry.getCommitment('fees');
+      expect(commitment).to.deep.equal(computeCommitment(leaves));
+
+      for await (const element of registry.elements('fees')) {
+        const proof = await registry.getProof('fees', element.index);
+        expect(proof.siblings).to.deep.equal(buildProof(leaves, proof.position));
+        expect(verifyProof(commitment, proof)).to.equal(true);
+      }
+      return commitment;
+    }
+
+    it('should update the commitment on every add & remove', async () => {
+      expect(await registry.getCommitment('fees')).to.deep.equal({ root: ethers.constants.HashZero, leafCount: 0 });
+
+      const [a] = await registry.addElements('fees', ['a']);
+      await expectCommitment([hashLeaf(a, 'a')]);
+
+      const [b, c, d] = await registry.addElements('fees', ['b', 'c', 'd']);
+      const e = await registry.insertAfter('fees', a, 'e');
+      const leaves = [hashLeaf(a, 'a'), hashLeaf(b, 'b'), hashLeaf(c, 'c'), hashLeaf(d, 'd'), hashLeaf(e, 'e')];
+      const before = await expectCommitment(leaves);
+
+      const staleProof = await registry.getProof('fees', c);
+      await registry.removeElement('fees', c);
+      leaves[2] = null;
+      const after = await expectCommitment(leaves);
+      expect(after.root).to.not.equal(before.root);
+      expect(verifyProof(after, staleProof)).to.equal(false);
+
+      const err = await registry.getProof('fees', c).catch(e => e);
+      expect(err.errorName).to.equal('ElementNotFound');
+    });
+
+    it("shouldn't change the commitment when elements are moved", async () => {
+      const [a, b] = await registry.addElements('fees', ['a', 'b']);
+      const before = await registry.getCommitment('fees');
+
+      await registry.moveElement('fees', b);
+      expect(await registry.getFullList('fees')).to.deep.equal(['b', 'a']);
+      expect(await expectCommitment([hashLeaf(a, 'a'), hashLeaf(b, 'b')])).to.deep.equal(before);
+    });
+
+    it('should commit to replaced & imported elements', async () => {
+      await registry.addElements('fees', ['a', 'b']);
+      const [c] = await registry.replaceList('fees', ['c']);
+      await registry.importElements('fees', [{ index: index1, value: 'x' }]);
+
+      await expectCommitment([null, null, hashLeaf(c, 'c'), hashLeaf(index1, 'x')]);
+    });
+  });
+});
@@ -2,6 +2,7 @@ const { expect } = require("chai");
 
 describe("ListRegistry", function() {
   let listRegistry;
+  const ValueType = { String: 0, Address: 1, URL: 2, JSON: 3 };
   const feesId = ethers.utils.formatBytes32String('fees');
 
   beforeEach(async () => {
@@ -15,6 +16,9 @@ describe("ListRegistry", function() {
     expect(listData.last).to.equal('0x00000000000000000000000000000000');
     let listElements = await listRegistry.getFullList(feesId);
     expect(listElements).to.deep.equal([]);
+    const emptyPage = await listRegistry.getListPage(feesId, '0x00000000000000000000000000000000', 10);
+    expect(emptyPage.listValues).to.deep.equal([]);
+    expect(emptyPage.nextCursor).to.equal('0x00000000000000000000000000000000');
 
     const addTxPromise = listRegistry.addElement(feesId, 'Element1');
     await expect(addTxPromise).to.emit(listRegistry, 'ElementAdded');
@@ -53,11 +57,334 @@ describe("ListRegistry", function() {
     expect(listElements).to.deep.equal(['Element1', 'Element2', 'Element3']);
   });
 
-  it("shouldn't let a non-owner add elements", async () => {
+  it("shouldn't let a non-editor add elements", async () => {
     const [user1, user2] = await ethers.getSigners();
 
     await expect(listRegistry.connect(user2).addElement(feesId, 'Element'))
-      .to.be.revertedWith('MustBeCalledByOwner');
+      .to.be.revertedWith('MustBeCalledByListEditor');
+  });
+
+  it('should add a batch of elements', async () => {
+    const tx = await listRegistry.addElements(feesId, ['Element1', 'Element2', 'Element3']);
+    const { events } = await tx.wait();
+
+    const addedEvents = events.filter(event => event.event === 'ElementAdded');
+    expect(addedEvents.map(event => event.args.value)).to.deep.equal(['Element1', 'Element2', 'Element3']);
+    const summary = events.find(event => event.event === 'ElementsAdded');
+    expect(summary.args.list).to.equal(feesId);
+    expect(summary.args.count).to.equal(3);
+
+    const page = await listRegistry.getListPage(feesId, '0x00000000000000000000000000000000', 10);
+    expect(page.indexes).to.deep.equal(addedEvents.map(event => event.args.index));
+    expect(await listRegistry.getFullList(feesId)).to.deep.equal(['Element1', 'Element2', 'Element3']);
+    expect(await listRegistry.getListLength(feesId)).to.equal(3);
+  });
+
+  it('should roll back a batch if any element is invalid', async () => {
+    await listRegistry.addElement(feesId, 'Element1');
+
+    await expect(listRegistry.addElements(feesId, ['Element2', '', 'Element3']))
+      .to.be.revertedWith('InvalidValue');
+
+    expect(await listRegistry.getFullList(feesId)).to.deep.equal(['Element1']);
+    expect(await listRegistry.getListLength(feesId)).to.equal(1);
+  });
+
+  it("shouldn't let a non-editor add or replace batches", async () => {
+    const [user1, user2] = await ethers.getSigners();
+
+    await expect(listRegistry.connect(user2).addElements(feesId, ['Element']))
+      .to.be.revertedWith('MustBeCalledByListEditor');
+    await expect(listRegistry.connect(user2).replaceList(feesId, ['Element']))
+      .to.be.revertedWith('MustBeCalledByListEditor');
+  });
+
+  it('should give unique indexes to equal values added in the same block', async () => {
+    await ethers.provider.send('evm_setAutomine', [false]);
+    let tx1;
+    let tx2;
+    try {
+      tx1 = await listRegistry.addElement(feesId, 'Element');
+      tx2 = await listRegistry.addElement(feesId, 'Element');
+      await ethers.provider.send('evm_mine', []);
+    } finally {
+      await ethers.provider.send('evm_setAutomine', [true]);
+    }
+
+    const receipt1 = await tx1.wait();
+    const receipt2 = await tx2.wait();
+    expect(receipt1.blockNumber).to.equal(receipt2.blockNumber);
+
+    const index1 = receipt1.events[0].args.index;
+    const index2 = receipt2.events[0].args.index;
+    expect(index1).to.not.equal(index2);
+
+    expect(await listRegistry.getFullList(feesId)).to.deep.equal(['Element', 'Element']);
+    const element1 = await listRegistry.getElement(feesId, index1);
+    expect(element1.next).to.equal(index2);
+    const element2 = await listRegistry.getElement(feesId, index2);
+    expect(element2.previous).to.equal(index1);
+  });
+
+  describe('with unique values enabled', function() {
+    beforeEach(async () => {
+      await expect(listRegistry.setUniqueValues(feesId, true))
+        .to.emit(listRegistry, 'UniqueValuesSet')
+        .withArgs(feesId, true);
+    });
+
+    it('should reject duplicate values', async () => {
+      expect(await listRegistry.uniqueValues(feesId)).to.equal(true);
+
+      await listRegistry.addElement(feesId, 'Element1');
+      const { last: index1 } = await listRegistry.getList(feesId);
+
+      await expect(listRegistry.addElement(feesId, 'Element1'))
+        .to.be.revertedWith('DuplicateValue');
+      await expect(listRegistry.insertBefore(feesId, index1, 'Element1'))
+        .to.be.revertedWith('DuplicateValue');
+    });
+
+    it('should look up the index of a value', async () => {
+      await listRegistry.addElement(feesId, 'Element1');
+      const { last: index1 } = await listRegistry.getList(feesId);
+
+      expect(await listRegistry.indexOf(feesId, 'Element1')).to.equal(index1);
+      expect(await listRegistry.indexOf(feesId, 'Missing')).to.equal('0x00000000000000000000000000000000');
+
+      await listRegistry.removeElement(feesId, index1);
+      expect(await listRegistry.indexOf(feesId, 'Element1')).to.equal('0x00000000000000000000000000000000');
+
+      await listRegistry.addElement(feesId, 'Element1');
+      const { last: index2 } = await listRegistry.getList(feesId);
+      expect(await listRegistry.indexOf(feesId, 'Element1')).to.equal(index2);
+    });
+
+    it('should replace a unique list with overlapping values, rejecting duplicates in a batch', async () => {
+      await listRegistry.addElements(feesId, ['Element1', 'Element2']);
+
+      await expect(listRegistry.addElements(feesId, ['Element3', 'Element3']))
+        .to.be.revertedWith('DuplicateValue');
+
+      await listRegistry.replaceList(feesId, ['Element2', 'Element3']);
+      expect(await listRegistry.getFullList(feesId)).to.deep.equal(['Element2', 'Element3']);
+      expect(await listRegistry.indexOf(feesId, 'Element1')).to.equal('0x00000000000000000000000000000000');
+      const { first } = await listRegistry.getList(feesId);
+      expect(await listRegistry.indexOf(feesId, 'Element2')).to.equal(first);
+    });
+
+    it("shouldn't change uniqueness of a non-empty list", async () => {
+      await listRegistry.addElement(feesId, 'Element1');
+
+      await expect(listRegistry.setUniqueValues(feesId, false))
+        .to.be.revertedWith('ListNotEmpty');
+    });
+
+    it("shouldn't let a non-admin change uniqueness", async () => {
+      const [user1, user2] = await ethers.getSigners();
+
+      await expect(listRegistry.connect(user2).setUniqueValues(feesId, false))
+        .to.be.revertedWith('MustBeCalledByListAdmin');
+    });
+  });
+
+  it("shouldn't look up indexes for lists without unique values", async () => {
+    await expect(listRegistry.indexOf(feesId, 'Element1'))
+      .to.be.revertedWith('UniqueValuesNotEnabled');
+  });
+
+  describe('with list roles', function() {
+    let admin;
+    let editor;
+    let user;
+    const otherId = ethers.utils.formatBytes32String('other');
+
+    beforeEach(async () => {
+      ([, admin, editor, user] = await ethers.getSigners());
+    });
+
+    it('should let anyone create a list and become its admin', async () => {
+      await expect(listRegistry.connect(admin).createList(feesId, true, 'Fees', 'Fee sources', ValueType.String))
+        .to.emit(listRegistry, 'ListCreated')
+        .withArgs(feesId, admin.address, 'Fees', 'Fee sources', ValueType.String)
+        .to.emit(listRegistry, 'ListAdminSet')
+        .withArgs(feesId, admin.address, true);
+
+      expect(await listRegistry.isListAdmin(feesId, admin.address)).to.equal(true);
+      expect(await listRegistry.canEdit(feesId, admin.address)).to.equal(true);
+      expect(await listRegistry.canEdit(otherId, admin.address)).to.equal(false);
+
+      await listRegistry.connect(admin).addElement(feesId, 'Element1');
+      expect(await listRegistry.getFullList(feesId)).to.deep.equal(['Element1']);
+
+      await expect(listRegistry.connect(admin).addElement(otherId, 'Element1'))
+        .to.be.revertedWith('MustBeCalledByListEditor');
+    });
+
+    it('should create a list without assigning an admin', async () => {
+      const tx = await listRegistry.connect(user).createList(feesId, false, 'Fees', '', ValueType.String);
+      const { events } = await tx.wait();
+      expect(events.map(event => event.event)).to.deep.equal(['ListCreated']);
+
+      expect(await listRegistry.isListAdmin(feesId, user.address)).to.equal(false);
+    });
+
+    it("shouldn't create a list that already exists", async () => {
+      await listRegistry.connect(admin).createList(feesId, true, 'Fees', '', ValueType.String);
+      await expect(listRegistry.connect(user).createList(feesId, true, 'Fees', '', ValueType.String))
+        .to.be.revertedWith('ListAlreadyExists');
+
+      await listRegistry.addElement(otherId, 'Element1');
+      await expect(listRegistry.connect(user).createList(otherId, true, 'Other', '', ValueType.String))
+        .to.be.revertedWith('ListAlreadyExists');
+    });
+
+    it("shouldn't let anyone but the registry owner claim a list that was emptied", async () => {
+      await listRegistry.addElement(otherId, 'Element1');
+      await listRegistry.replaceList(otherId, []);
+      expect(await listRegistry.getListLength(otherId)).to.equal(0);
+
+      await expect(listRegistry.connect(user).createList(otherId, true, 'Other', '', ValueType.String))
+        .to.be.revertedWith('ListAlreadyExists');
+
+      // Imported elements don't use the nonce, but still mark the list as used
+      await listRegistry.importElements(feesId, ['0x00000000000000000000000000000001'], ['Element1']);
+      await listRegistry.removeElement(feesId, '0x00000000000000000000000000000001');
+      await expect(listRegistry.connect(user).createList(feesId, true, 'Fees', '', ValueType.String))
+        .to.be.revertedWith('ListAlreadyExists');
+
+      await listRegistry.createList(otherId, false, 'Other', '', ValueType.String);
+      expect((await listRegistry.getListMetadata(otherId)).created).to.equal(true);
+    });
+
+    it("shouldn't let anyone claim a list that has roles", async () => {
+      await listRegistry.setListEditor(otherId, editor.address, true);
+      await expect(listRegistry.connect(user).createList(otherId, true, 'Other', '', ValueType.String))
+        .to.be.revertedWith('ListAlreadyExists');
+
+      // Revoking the role doesn't free the list
+      await listRegistry.setListEditor(otherId, editor.address, false);
+      await expect(listRegistry.connect(user).createList(otherId, true, 'Other', '', ValueType.String))
+        .to.be.revertedWith('ListAlreadyExists');
+
+      await listRegistry.setListAdmin(otherId, user.address, true);
+      await listRegistry.connect(user).createList(otherId, false, 'Other', '', ValueType.String);
+      expect((await listRegistry.getListMetadata(otherId)).created).to.equal(true);
+    });
+
+    it('should let the registry owner create a list that already has elements', async () => {
+      await listRegistry.addElement(otherId, 'Element1');
+      await listRegistry.createList(otherId, false, 'Other', '', ValueType.String);
+
+      const metadata = await listRegistry.getListMetadata(otherId);
+      expect(metadata.created).to.equal(true);
+      expect(await listRegistry.getFullList(otherId)).to.deep.equal(['Element1']);
+    });
+
+    it('should require a list name', async () => {
+      await expect(listRegistry.createList(feesId, true, '', 'Fee sources', ValueType.String))
+        .to.be.revertedWith('InvalidValue');
+    });
+
+    it('should store list metadata', async () => {
+      let metadata = await listRegistry.getListMetadata(feesId);
+      expect(metadata.name).to.equal('');
+      expect(metadata.created).to.equal(false);
+
+      await listRegistry.connect(admin).createList(feesId, true, 'Fees', 'Fee sources', ValueType.URL);
+      metadata = await listRegistry.getListMetadata(feesId);
+      expect(metadata.name).to.equal('Fees');
+      expect(metadata.description).to.equal('Fee sources');
+      expect(metadata.valueType).to.equal(ValueType.URL);
+      expect(metadata.created).to.equal(true);
+
+      await expect(listRegistry.connect(admin).setListMetadata(feesId, 'Fee adapters', '', ValueType.JSON))
+        .to.emit(listRegistry, 'ListMetadataUpdated')
+        .withArgs(feesId, 'Fee adapters', '', ValueType.JSON);
+      metadata = await listRegistry.getListMetadata(feesId);
+      expect(metadata.name).to.equal('Fee adapters');
+      expect(metadata.valueType).to.equal(ValueType.JSON);
+    });
+
+    it('should only let list admins update the metadata of created lists', async () => {
+      await listRegistry.connect(admin).createList(feesId, true, 'Fees', '', ValueType.String);
+
+      await expect(listRegistry.connect(user).setListMetadata(feesId, 'Fees', '', ValueType.String))
+        .to.be.revertedWith('MustBeCalledByListAdmin');
+      await expect(listRegistry.connect(admin).setListMetadata(feesId, '', '', ValueType.String))
+        .to.be.revertedWith('InvalidValue');
+      await expect(listRegistry.setListMetadata(otherId, 'Other', '', ValueType.String))
+        .to.be.revertedWith('ListNotCreated');
+    });
+
+    it('should enumerate created lists in pages', async () => {
+      const ids = ['a', 'b', 'c'].map(name => ethers.utils.formatBytes32String(name));
+      for (const id of ids) {
+        await listRegistry.connect(user).createList(id, false, 'List', '', ValueType.String);
+      }
+      // Lists that were only used aren't enumerated
+      await listRegistry.addElement(otherId, 'Element1');
+
+      expect(await listRegistry.getListCount()).to.equal(3);
+      expect(await listRegistry.getLists(0, 2)).to.deep.equal(ids.slice(0, 2));
+      expect(await listRegistry.getLists(2, 2)).to.deep.equal(ids.slice(2));
+      expect(await listRegistry.getLists(3, 2)).to.deep.equal([]);
+      expect(await listRegistry.getLists(1, ethers.constants.MaxUint256)).to.deep.equal(ids.slice(1));
+      expect(await listRegistry.getLists(ethers.constants.MaxUint256, 2)).to.deep.equal([]);
+      await expect(listRegistry.getLists(0, 0)).to.be.revertedWith('InvalidValue');
+    });
+
+    describe('with a list admin', function() {
+      beforeEach(async () => {
+        await listRegistry.connect(admin).createList(feesId, true, 'Fees', '', ValueType.String);
+      });
+
+      it('should let the list admin grant and revoke editors', async () => {
+        await expect(listRegistry.connect(admin).setListEditor(feesId, editor.address, true))
+          .to.emit(listRegistry, 'ListEditorSet')
+          .withArgs(feesId, editor.address, true);
+        expect(await listRegistry.isListEditor(feesId, editor.address)).to.equal(true);
+
+        await listRegistry.connect(editor).addElement(feesId, 'Element1');
+        const { first: index1 } = await listRegistry.getList(feesId);
+        await listRegistry.connect(editor).removeElement(feesId, index1);
+
+        await expect(listRegistry.connect(admin).setListEditor(feesId, editor.address, false))
+          .to.emit(listRegistry, 'ListEditorSet')
+          .withArgs(feesId, editor.address, false);
+
+        await expect(listRegistry.connect(editor).addElement(feesId, 'Element1'))
+          .to.be.revertedWith('MustBeCalledByListEditor');
+      });
+
+      it("shouldn't let editors manage roles or list settings", async () => {
+        await listRegistry.connect(admin).setListEditor(feesId, editor.address, true);
+
+        await expect(listRegistry.connect(editor).setListEditor(feesId, user.address, true))
+          .to.be.revertedWith('MustBeCalledByListAdmin');
+        await expect(listRegistry.connect(editor).setUniqueValues(feesId, true))
+          .to.be.revertedWith('MustBeCalledByListAdmin');
+      });
+
+      it("shouldn't let list admins grant the admin role", async () => {
+        await expect(listRegistry.connect(admin).setListAdmin(feesId, user.address, true))
+          .to.be.revertedWith('MustBeCalledByOwner');
+      });
+
+      it('should let the registry owner override list roles', async () => {
+        await listRegistry.addElement(feesId, 'Element1');
+        await listRegistry.setListEditor(feesId, editor.address, true);
+
+        await expect(listRegistry.setListAdmin(feesId, admin.address, false))
+          .to.emit(listRegistry, 'ListAdminSet')
+          .withArgs(feesId, admin.address, false);
+
+        await expect(listRegistry.connect(admin).addElement(feesId, 'Element2'))
+          .to.be.revertedWith('MustBeCalledByListEditor');
+        await expect(listRegistry.connect(admin).setListEditor(feesId, editor.address, false))
+          .to.be.revertedWith('MustBeCalledByListAdmin');
+      });
+    });
   });
 
   describe('with a full list', function() {
@@ -110,10 +437,264 @@ describe("ListRegistry", function() {
       expect(listElements).to.deep.equal(['Element1', 'Element2']);
     });
 
-    it("shouldn't let a non-owner remove elements", async () => {
+    it('should track the list length', async () => {
+      expect(await listRegistry.getListLength(feesId)).to.equal(3);
+
+      await listRegistry.removeElement(feesId, index2);
+      expect(await listRegistry.getListLength(feesId)).to.equal(2);
+
+      await listRegistry.insertBefore(feesId, index1, 'Inserted');
+      expect(await listRegistry.getListLength(feesId)).to.equal(3);
+
+      await listRegistry.moveElement(feesId, index1, index3);
+      expect(await listRegistry.getListLength(feesId)).to.equal(3);
+
+      const otherList = await listRegistry.getListLength(ethers.utils.formatBytes32String('other'));
+      expect(otherList).to.equal(0);
+    });
+
+    it('should return a list in pages', async () => {
+      const page1 = await listRegistry.getListPage(feesId, '0x00000000000000000000000000000000', 2);
+      expect(page1.listValues).to.deep.equal(['Element1', 'Element2']);
+      expect(page1.indexes).to.deep.equal([index1, index2]);
+      expect(page1.nextCursor).to.equal(index3);
+
+      const page2 = await listRegistry.getListPage(feesId, page1.nextCursor, 2);
+      expect(page2.listValues).to.deep.equal(['Element3']);
+      expect(page2.indexes).to.deep.equal([index3]);
+      expect(page2.nextCursor).to.equal('0x00000000000000000000000000000000');
+
+      const fullPage = await listRegistry.getListPage(feesId, '0x00000000000000000000000000000000', 3);
+      expect(fullPage.listValues).to.deep.equal(['Element1', 'Element2', 'Element3']);
+      expect(fullPage.nextCursor).to.equal('0x00000000000000000000000000000000');
+    });
+
+    it("shouldn't return pages with an invalid cursor or limit", async () => {
+      await expect(listRegistry.getListPage(feesId, '0x00000000000000000000000000000001', 2))
+        .to.be.revertedWith('ElementNotFound');
+      await expect(listRegistry.getListPage(feesId, index1, 0))
+        .to.be.revertedWith('InvalidValue');
+    });
+
+    it('should insert an element after another element', async () => {
+      const tx = await listRegistry.insertAfter(feesId, index1, 'Inserted');
+      const { events } = await tx.wait();
+      expect(events[0].event).to.equal('ElementInserted');
+      const { index, previous, next, value } = events[0].args;
+      expect(previous).to.equal(index1);
+      expect(next).to.equal(index2);
+      expect(value).to.equal('Inserted');
+
+      const element = await listRegistry.getElement(feesId, index);
+      expect(element.previous).to.equal(index1);
+      expect(element.next).to.equal(index2);
+
+      const listElements = await listRegistry.getFullList(feesId);
+      expect(listElements).to.deep.equal(['Element1', 'Inserted', 'Element2', 'Element3']);
+    });
+
+    it('should insert an element after the last element', async () => {
+      const tx = await listRegistry.insertAfter(feesId, index3, 'Inserted');
+      const { events } = await tx.wait();
+      const { index } = events[0].args;
+
+      const listData = await listRegistry.getList(feesId);
+      expect(listData.last).to.equal(index);
+      const listElements = await listRegistry.getFullList(feesId);
+      expect(listElements).to.deep.equal(['Element1', 'Element2', 'Element3', 'Inserted']);
+    });
+
+    it('should insert an element before the first element', async () => {
+      const tx = await listRegistry.insertBefore(feesId, index1, 'Inserted');
+      const { events } = await tx.wait();
+      const { index, previous, next } = events[0].args;
+      expect(previous).to.equal('0x00000000000000000000000000000000');
+      expect(next).to.equal(index1);
+
+      const listData = await listRegistry.getList(feesId);
+      expect(listData.first).to.equal(index);
+      const listElements = await listRegistry.getFullList(feesId);
+      expect(listElements).to.deep.equal(['Inserted', 'Element1', 'Element2', 'Element3']);
+    });
+
+    it("shouldn't insert relative to a missing element", async () => {
+      await expect(listRegistry.insertAfter(feesId, '0x00000000000000000000000000000001', 'Inserted'))
+        .to.be.revertedWith('ElementNotFound');
+      await expect(listRegistry.insertBefore(feesId, '0x00000000000000000000000000000000', 'Inserted'))
+        .to.be.revertedWith('ElementNotFound');
+    });
+
+    it('should move an element to the front', async () => {
+      await expect(listRegistry.moveElement(feesId, index3, '0x00000000000000000000000000000000'))
+        .to.emit(listRegistry, 'ElementMoved')
+        .withArgs(feesId, index3, '0x00000000000000000000000000000000', index1);
+
+      const listData = await listRegistry.getList(feesId);
+      expect(listData.first).to.equal(index3);
+      expect(listData.last).to.equal(index2);
+      const listElements = await listRegistry.getFullList(feesId);
+      expect(listElements).to.deep.equal(['Element3', 'Element1', 'Element2']);
+    });
+
+    it('should move an element to the end', async () => {
+      await expect(listRegistry.moveElement(feesId, index1, index3))
+        .to.emit(listRegistry, 'ElementMoved')
+        .withArgs(feesId, index1, index3, '0x00000000000000000000000000000000');
+
+      const listData = await listRegistry.getList(feesId);
+      expect(listData.first).to.equal(index2);
+      expect(listData.last).to.equal(index1);
+      const listElements = await listRegistry.getFullList(feesId);
+      expect(listElements).to.deep.equal(['Element2', 'Element3', 'Element1']);
+
+      const element = await listRegistry.getElement(feesId, index1);
+      expect(element.previous).to.equal(index3);
+      expect(element.next).to.equal('0x00000000000000000000000000000000');
+    });
+
+    it('should move an element into the middle', async () => {
+      await expect(listRegistry.moveElement(feesId, index3, index1))
+        .to.emit(listRegistry, 'ElementMoved')
+        .withArgs(feesId, index3, index1, index2);
+
+      const listElements = await listRegistry.getFullList(feesId);
+      expect(listElements).to.deep.equal(['Element1', 'Element3', 'Element2']);
+    });
+
+    it("shouldn't move an element after itself or a missing element", async () => {
+      await expect(listRegistry.moveElement(feesId, index1, index1))
+        .to.be.revertedWith('InvalidValue');
+      await expect(listRegistry.moveElement(feesId, index1, '0x00000000000000000000000000000001'))
+        .to.be.revertedWith('ElementNotFound');
+    });
+
+    it("shouldn't let a non-editor insert or move elements", async () => {
+      const [user1, user2] = await ethers.getSigners();
+
+      await expect(listRegistry.connect(user2).insertAfter(feesId, index1, 'Element'))
+        .to.be.revertedWith('MustBeCalledByListEditor');
+      await expect(listRegistry.connect(user2).moveElement(feesId, index1, index2))
+        .to.be.revertedWith('MustBeCalledByListEditor');
+    });
+
+    it('should remove a batch of elements', async () => {
+      const tx = await listRegistry.removeElements(feesId, [index1, index3]);
+      const { events } = await tx.wait();
+
+      const removedEvents = events.filter(event => event.event === 'ElementRemoved');
+      expect(removedEvents.map(event => event.args.index)).to.deep.equal([index1, index3]);
+      const summary = events.find(event => event.event === 'ElementsRemoved');
+      expect(summary.args.count).to.equal(2);
+
+      expect(await listRegistry.getFullList(feesId)).to.deep.equal(['Element2']);
+      const listData = await listRegistry.getList(feesId);
+      expect(listData.first).to.equal(index2);
+      expect(listData.last).to.equal(index2);
+    });
+
+    it('should roll back a batch removal if any element is missing', async () => {
+      await expect(listRegistry.removeElements(feesId, [index1, '0x00000000000000000000000000000001']))
+        .to.be.revertedWith('ElementNotFound');
+      await expect(listRegistry.removeElements(feesId, [index2, index2]))
+        .to.be.revertedWith('ElementNotFound');
+
+      expect(await listRegistry.getFullList(feesId)).to.deep.equal(['Element1', 'Element2', 'Element3']);
+    });
+
+    it('should replace a list in one transaction', async () => {
+      const tx = await listRegistry.replaceList(feesId, ['Element3', 'Element4']);
+      const { events } = await tx.wait();
+
+      const removedEvents = events.filter(event => event.event === 'ElementRemoved');
+      expect(removedEvents.map(event => event.args.index)).to.deep.equal([index1, index2, index3]);
+      const addedEvents = events.filter(event => event.event === 'ElementAdded');
+      expect(addedEvents.map(event => event.args.value)).to.deep.equal(['Element3', 'Element4']);
+
+      const summary = events.find(event => event.event === 'ListReplaced');
+      expect(summary.args.removedCount).to.equal(3);
+      expect(summary.args.addedCount).to.equal(2);
+
+      expect(await listRegistry.getFullList(feesId)).to.deep.equal(['Element3', 'Element4']);
+      expect(await listRegistry.getListLength(feesId)).to.equal(2);
+    });
+
+    it('should replace a list with an empty list', async () => {
+      await listRegistry.replaceList(feesId, []);
+
+      expect(await listRegistry.getFullList(feesId)).to.deep.equal([]);
+      const listData = await listRegistry.getList(feesId);
+      expect(listData.first).to.equal('0x00000000000000000000000000000000');
+      expect(listData.last).to.equal('0x00000000000000000000000000000000');
+    });
+
+    it('should roll back a replacement if any value is invalid', async () => {
+      await expect(listRegistry.replaceList(feesId, ['Element4', '']))
+        .to.be.revertedWith('InvalidValue');
+
+      expect(await listRegistry.getFullList(feesId)).to.deep.equal(['Element1', 'Element2', 'Element3']);
+      expect(await listRegistry.getListLength(feesId)).to.equal(3);
+    });
+
+    it("shouldn't let a non-editor remove elements", async () => {
       const [user1, user2] = await ethers.getSigners();
 
       await expect(listRegistry.connect(user2).removeElement(feesId, index1))
+        .to.be.revertedWith('MustBeCalledByListEditor');
+    });
+  });
+
+  describe('importing elements', function() {
+    const index1 = '0x00000000000000000000000000000001';
+    const index2 = '0x00000000000000000000000000000002';
+    const index3 = '0x00000000000000000000000000000003';
+
+    it('should append elements with the given indexes', async () => {
+      await listRegistry.addElement(feesId, 'Element1');
+
+      await expect(listRegistry.importElements(feesId, [index2, index3], ['Element2', 'Element3']))
+        .to.emit(listRegistry, 'ElementsImported').withArgs(feesId, 2)
+        .and.to.emit(listRegistry, 'ElementAdded').withArgs(feesId, index2, 'Element2');
+
+      expect(await listRegistry.getFullList(feesId)).to.deep.equal(['Element1', 'Element2', 'Element3']);
+      expect(await listRegistry.getListLength(feesId)).to.equal(3);
+      const element = await listRegistry.getElement(feesId, index2);
+      expect(element.next).to.equal(index3);
+
+      const { last } = await listRegistry.getList(feesId);
+      expect(last).to.equal(index3);
+    });
+
+    it("shouldn't import used, zero or mismatched indexes", async () => {
+      await listRegistry.importElements(feesId, [index1], ['Element1']);
+
+      await expect(listRegistry.importElements(feesId, [index2, index1], ['Element2', 'Element3']))
+        .to.be.revertedWith('IndexAlreadyUsed');
+      await expect(listRegistry.importElements(feesId, [index2, index2], ['Element2', 'Element3']))
+        .to.be.revertedWith('IndexAlreadyUsed');
+      await expect(listRegistry.importElements(feesId, ['0x00000000000000000000000000000000'], ['Element2']))
+        .to.be.revertedWith('InvalidValue');
+      await expect(listRegistry.importElements(feesId, [index2], ['Element2', 'Element3']))
+        .to.be.revertedWith('InvalidValue');
+      await expect(listRegistry.importElements(feesId, [index2], ['']))
+        .to.be.revertedWith('InvalidValue');
+
+      expect(await listRegistry.getFullList(feesId)).to.deep.equal(['Element1']);
+    });
+
+    it('should reject duplicate values in lists with unique values', async () => {
+      await listRegistry.setUniqueValues(feesId, true);
+      await listRegistry.importElements(feesId, [index1], ['Element1']);
+
+      await expect(listRegistry.importElements(feesId, [index2], ['Element1']))
+        .to.be.revertedWith('DuplicateValue');
+      expect(await listRegistry.indexOf(feesId, 'Element1')).to.equal(index1);
+    });
+
+    it('should only let the registry owner import', async () => {
+      const [, user2] = await ethers.getSigners();
+      await listRegistry.setListAdmin(feesId, user2.address, true);
+
+      await expect(listRegistry.connect(user2).importElements(feesId, [index1], ['Element1']))
         .to.be.revertedWith('MustBeCalledByOwner');
     });
   });
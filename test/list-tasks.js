@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { planListSync, planListOrder } = require('../tasks/lists');
+
+describe("List tasks", function() {
+  let listRegistry;
+  let file;
+  const feesId = ethers.utils.formatBytes32String('fees');
+
+  beforeEach(async () => {
+    const ListRegistry = await ethers.getContractFactory("ListRegistry");
+    listRegistry = await ListRegistry.deploy();
+    file = path.join(os.tmpdir(), `list-sync-${Date.now()}.json`);
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('should plan additions and removals, respecting duplicates', () => {
+    const current = [
+      { index: '0x01', value: 'a' },
+      { index: '0x02', value: 'b' },
+      { index: '0x03', value: 'b' },
+      { index: '0x04', value: 'c' },
+    ];
+    const plan = planListSync(current, ['a', 'b', 'd', 'd']);
+
+    expect(plan.remove.map(element => element.index)).to.deep.equal(['0x03', '0x04']);
+    expect(plan.add).to.deep.equal(['d', 'd']);
+  });
+
+  it('should plan a sync of values named like object properties', () => {
+    const current = [
+      { index: '0x01', value: 'constructor' },
+      { index: '0x02', value: 'toString' },
+    ];
+    const plan = planListSync(current, ['__proto__', 'constructor', 'hasOwnProperty']);
+
+    expect(plan.remove.map(element => element.index)).to.deep.equal(['0x02']);
+    expect(plan.add).to.deep.equal(['__proto__', 'hasOwnProperty']);
+  });
+
+  it('should plan moves to reorder a list', () => {
+    const current = [
+      { index: '0x01', value: 'a' },
+      { index: '0x02', value: 'b' },
+      { index: '0x03', value: 'c' },
+    ];
+    const moves = planListOrder(current, ['c', 'a', 'b']);
+
+    expect(moves.length).to.equal(1);
+    expect(moves[0].element.index).to.equal('0x03');
+    expect(moves[0].previous).to.equal(null);
+
+    expect(planListOrder(current, ['a', 'b', 'c'])).to.deep.equal([]);
+  });
+
+  it('should add, show and remove elements', async () => {
+    const [index1] = await hre.run('list:add', {
+      list: 'fees',
+      registry: listRegistry.address,
+      values: ['Element1', 'Element2'],
+    });
+    expect(await listRegistry.getFullList(feesId)).to.deep.equal(['Element1', 'Element2']);
+
+    await hre.run('list:remove', { list: 'fees', registry: listRegistry.address, indexes: [index1] });
+
+    const elements = await hre.run('list:show', { list: 'fees', registry: listRegistry.address });
+    expect(elements.map(element => element.value)).to.deep.equal(['Element2']);
+  });
+
+  it('should sync a list to a JSON file', async () => {
+    await listRegistry.addElement(feesId, 'Element1');
+    await listRegistry.addElement(feesId, 'Element2');
+    fs.writeFileSync(file, JSON.stringify(['Element2', 'Element3']));
+
+    const dryRunPlan = await hre.run('list:sync', {
+      list: 'fees',
+      file,
+      registry: listRegistry.address,
+      dryRun: true,
+    });
+    expect(dryRunPlan.remove.map(element => element.value)).to.deep.equal(['Element1']);
+    expect(dryRunPlan.add).to.deep.equal(['Element3']);
+    expect(await listRegistry.getFullList(feesId)).to.deep.equal(['Element1', 'Element2']);
+
+    await hre.run('list:sync', { list: 'fees', file, registry: listRegistry.address });
+    expect(await listRegistry.getFullList(feesId)).to.deep.equal(['Element2', 'Element3']);
+
+    const secondPlan = await hre.run('list:sync', { list: 'fees', file, registry: listRegistry.address });
+    expect(secondPlan).to.deep.equal({ remove: [], add: [], moves: [] });
+  });
+
+  it('should reorder a list while syncing', async () => {
+    await listRegistry.addElement(feesId, 'Element1');
+    await listRegistry.addElement(feesId, 'Element2');
+    fs.writeFileSync(file, JSON.stringify(['Element3', 'Element2', 'Element1']));
+
+    const plan = await hre.run('list:sync', { list: 'fees', file, registry: listRegistry.address });
+    expect(plan.remove).to.deep.equal([]);
+    expect(plan.add).to.deep.equal(['Element3']);
+    expect(await listRegistry.getFullList(feesId)).to.deep.equal(['Element3', 'Element2', 'Element1']);
+  });
+});
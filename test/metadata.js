@@ -0,0 +1,219 @@
+const { expect } = require("chai");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SponsorAuctionClient } = require('../client');
+const {
+  validateMetadata,
+  checkCampaignFields,
+  LocalDirectoryResolver,
+  resolveMetadata,
+  REASON_CODES,
+  getPendingReviews,
+} = require('../metadata');
+
+const validMetadata = {
+  name: 'Test Sponsor',
+  logo: 'ipfs://QmLogo',
+  link: 'https://example.com',
+};
+
+describe("Sponsor metadata", function() {
+  describe('validateMetadata', function() {
+    it('should accept valid metadata', () => {
+      expect(validateMetadata(validMetadata)).to.deep.equal({ valid: true, errors: [] });
+      expect(validateMetadata({ ...validMetadata, description: 'A sponsor', campaign: 'fees' }, { campaign: 'fees' }).valid)
+        .to.equal(true);
+    });
+
+    it('should reject missing, unknown and malformed properties', () => {
+      expect(validateMetadata('Test').errors).to.deep.equal(['metadata must be a JSON object']);
+
+      const { errors } = validateMetadata({
+        name: '',
+        logo: 'http://example.com/logo.png',
+        color: 'red',
+      });
+      expect(errors).to.deep.equal([
+        'color is not a metadata property',
+        'link is required',
+        'name must be a string of 1 to 64 characters',
+        'logo must be an https or ipfs URL',
+      ]);
+
+      expect(validateMetadata({ ...validMetadata, campaign: 'other' }, { campaign: 'fees' }).errors)
+        .to.deep.equal(['campaign must be fees']);
+      expect(validateMetadata({ ...validMetadata, description: 'x'.repeat(281) }).errors)
+        .to.deep.equal(['description must be a string of at most 280 characters']);
+    });
+
+    it('should validate campaign-specific fields', () => {
+      const campaignFields = {
+        fees: {
+          twitter: { type: 'string', required: true, maxLength: 15 },
+          docs: { type: 'url' },
+        },
+      };
+
+      expect(validateMetadata({ ...validMetadata, fields: { twitter: 'cryptostats' } }, { campaign: 'fees', campaignFields }).valid)
+        .to.equal(true);
+
+      expect(validateMetadata(validMetadata, { campaign: 'fees', campaignFields }).errors)
+        .to.deep.equal(['fields.twitter is required']);
+
+      const fields = { twitter: 'x'.repeat(16), docs: 'ftp://example.com', other: true };
+      expect(validateMetadata({ ...validMetadata, fields }, { campaign: 'fees', campaignFields }).errors).to.deep.equal([
+        'fields.other is not a field of campaign fees',
+        'fields.twitter must be at most 15 characters',
+        'fields.docs must be a https URL',
+      ]);
+
+      // Campaigns without definitions have no fields
+      expect(validateMetadata({ ...validMetadata, fields: { twitter: 'a' } }, { campaign: 'other', campaignFields }).errors)
+        .to.deep.equal(['fields.twitter is not a field of campaign other']);
+    });
+
+    it('should reject unknown field types', () => {
+      expect(() => checkCampaignFields({ fees: { twitter: { type: 'handle' } } }))
+        .to.throw('Field twitter of campaign fees has unknown type handle');
+    });
+  });
+
+  describe('resolvers', function() {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-'));
+      fs.writeFileSync(path.join(directory, 'QmValid.json'), JSON.stringify(validMetadata));
+      fs.writeFileSync(path.join(directory, 'QmBroken'), '{ name:');
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true });
+    });
+
+    it('should resolve CIDs from a local directory', async () => {
+      const resolver = new LocalDirectoryResolver(directory);
+
+      expect(await resolveMetadata('ipfs://QmValid', resolver)).to.deep.equal(validMetadata);
+      expect(await resolveMetadata('QmValid', resolver)).to.deep.equal(validMetadata);
+      expect(await resolveMetadata(JSON.stringify(validMetadata))).to.deep.equal(validMetadata);
+
+      expect((await resolveMetadata('QmMissing', resolver).catch(e => e)).message).to.include('No content found for QmMissing');
+      expect((await resolveMetadata('QmBroken', resolver).catch(e => e)).message).to.include('Metadata is not valid JSON');
+      expect((await resolveMetadata('../secret', resolver).catch(e => e)).message).to.include('is outside of');
+      expect((await resolveMetadata('QmValid').catch(e => e)).message).to.include('No resolver to fetch QmValid');
+    });
+  });
+
+  describe('reviews', function() {
+    let auction;
+    let client;
+    let token;
+    let sponsor1;
+    let directory;
+    const feeCampaignId = ethers.utils.formatBytes32String('fees').substr(0, 34);
+
+    before(async () => {
+      ([, sponsor1] = await ethers.getSigners());
+    });
+
+    beforeEach(async () => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-'));
+      fs.writeFileSync(path.join(directory, 'QmValid'), JSON.stringify(validMetadata));
+      fs.writeFileSync(path.join(directory, 'QmInvalid'), JSON.stringify({ name: 'No links' }));
+
+      const TestOracle = await ethers.getContractFactory("TestOracle");
+      const testOracle = await TestOracle.deploy();
+
+      const SponsorAuction = await ethers.getContractFactory("SponsorAuction");
+      auction = await SponsorAuction.deploy(testOracle.address);
+      client = new SponsorAuctionClient(auction.address, sponsor1);
+
+      const TestToken = await ethers.getContractFactory("TestToken");
+      token = await TestToken.connect(sponsor1).deploy();
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true });
+    });
+
+    function createSponsor(metadata) {
+      return client.createSponsor({ token: token.address, campaign: 'fees', paymentPerSecond: 100, metadata });
+    }
+
+    it('should list pending sponsors with their validated metadata', async () => {
+      const validId = await createSponsor('ipfs://QmValid');
+      const invalidId = await createSponsor('QmInvalid');
+      const missingId = await createSponsor('QmMissing');
+      const approvedId = await createSponsor('QmValid');
+      await auction.setApproved(approvedId, true);
+
+      const reviews = await getPendingReviews({ auction: client, resolver: new LocalDirectoryResolver(directory) });
+      expect(reviews.map(review => review.id)).to.deep.equal([validId, invalidId, missingId]);
+
+      const [valid, invalid, missing] = reviews;
+      expect(valid.campaign).to.equal('fees');
+      expect(valid.owner).to.equal(sponsor1.address);
+      expect(valid.content).to.deep.equal(validMetadata);
+      expect(valid.valid).to.equal(true);
+
+      expect(invalid.valid).to.equal(false);
+      expect(invalid.errors).to.deep.equal(['logo is required', 'link is required']);
+      expect(invalid.reasonCode).to.equal(REASON_CODES.INVALID_METADATA);
+
+      expect(missing.errors).to.deep.equal(['No content found for QmMissing']);
+      expect(missing.reasonCode).to.equal(REASON_CODES.UNRESOLVED_METADATA);
+    });
+
+    it('should approve valid and reject invalid sponsors from the hardhat task', async () => {
+      const validId = await createSponsor('QmValid');
+      const invalidId = await createSponsor('QmInvalid');
+
+      let result = await hre.run('auction:review', { auction: auction.address, contentDir: directory, auto: true, dryRun: true });
+      expect(result.approved).to.deep.equal([validId]);
+      expect(result.rejected).to.deep.equal([{
+        id: invalidId,
+        reasonCode: REASON_CODES.INVALID_METADATA,
+        reason: 'logo is required; link is required',
+      }]);
+      expect((await client.getSponsor(validId)).approved).to.equal(false);
+
+      await hre.run('auction:review', { auction: auction.address, contentDir: directory, auto: true });
+      expect((await client.getSponsor(validId)).approved).to.equal(true);
+      expect((await client.getSponsor(invalidId)).approved).to.equal(false);
+      const [event] = await auction.queryFilter(auction.filters.ModerationReason(invalidId));
+      expect(event.args.reasonCode).to.equal(REASON_CODES.INVALID_METADATA);
+      expect(event.args.reason).to.equal('logo is required; link is required');
+
+      // Resubmitting the metadata makes the sponsor pending again
+      await client.updateMetadata(invalidId, 'QmValid');
+      result = await hre.run('auction:review', { auction: auction.address, contentDir: directory });
+      expect(result.reviews.map(review => review.id)).to.deep.equal([invalidId]);
+      expect(result.approved).to.deep.equal([]);
+    });
+
+    it('should approve and reject sponsors by ID from the hardhat task', async () => {
+      const id1 = await createSponsor('QmValid');
+      const id2 = await createSponsor('QmValid');
+
+      await hre.run('auction:review', {
+        auction: auction.address,
+        contentDir: directory,
+        approve: id1,
+        reject: id2,
+        reason: 'Not relevant',
+        reasonCode: 5,
+      });
+
+      expect((await client.getSponsor(id1)).approved).to.equal(true);
+      expect((await client.getSponsor(id2)).approved).to.equal(false);
+      const [event] = await auction.queryFilter(auction.filters.ModerationReason(id2));
+      expect(event.args.reasonCode).to.equal(5);
+      expect(event.args.reason).to.equal('Not relevant');
+
+      const error = await hre.run('auction:review', { auction: auction.address, approve: id1, reject: id1 }).catch(e => e);
+      expect(error.message).to.equal('A sponsor can\'t be both approved and rejected');
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+
+const SourceType = {
+  None: 0,
+  FixedRate: 1,
+  Aggregator: 2,
+  Oracle: 3,
+};
+
+const NO_SOURCE = { sourceType: SourceType.None, target: ethers.constants.AddressZero, rate: 0 };
+
+describe("OracleRouter", function() {
+  let router;
+  let token;
+  let aggregator;
+  let fallbackAggregator;
+  let user;
+  const ONE_TOKEN = ethers.utils.parseEther('1');
+
+  before(async () => {
+    ([, user] = await ethers.getSigners());
+  });
+
+  async function now() {
+    const block = await ethers.provider.getBlock('latest');
+    return block.timestamp;
+  }
+
+  beforeEach(async () => {
+    const OracleRouter = await ethers.getContractFactory("OracleRouter");
+    router = await OracleRouter.deploy();
+
+    const TestToken = await ethers.getContractFactory("TestToken");
+    token = await TestToken.deploy();
+
+    const TestAggregator = await ethers.getContractFactory("TestAggregator");
+    aggregator = await TestAggregator.deploy(18);
+    fallbackAggregator = await TestAggregator.deploy(8);
+  });
+
+  const aggregatorSource = (target) => ({ sourceType: SourceType.Aggregator, target: target.address, rate: 0 });
+
+  it('should return 0 for tokens without a feed', async () => {
+    expect(await router.getPrice(token.address, ONE_TOKEN)).to.equal(0);
+  });
+
+  it('should price a token at a fixed rate', async () => {
+    const rate = ethers.utils.parseEther('0.5');
+    await expect(router.setFeed(token.address, { sourceType: SourceType.FixedRate, target: ethers.constants.AddressZero, rate }, NO_SOURCE, 0, 0))
+      .to.emit(router, 'FeedSet')
+      .withArgs(token.address, SourceType.FixedRate, SourceType.None, 0, 0);
+
+    expect(await router.getPrice(token.address, ONE_TOKEN.mul(3))).to.equal(ethers.utils.parseEther('1.5'));
+  });
+
+  it('should price a token through another oracle', async () => {
+    const TestOracle = await ethers.getContractFactory("TestOracle");
+    const testOracle = await TestOracle.deploy();
+
+    await router.setFeed(token.address, { sourceType: SourceType.Oracle, target: testOracle.address, rate: 0 }, NO_SOURCE, 0, 0);
+
+    expect(await router.getPrice(token.address, 1234)).to.equal(1234);
+  });
+
+  it('should price a token with an aggregator', async () => {
+    await aggregator.setAnswer(ethers.utils.parseEther('0.25'), await now());
+    await router.setFeed(token.address, aggregatorSource(aggregator), NO_SOURCE, 3600, 0);
+
+    expect(await router.getPrice(token.address, ONE_TOKEN.mul(2))).to.equal(ethers.utils.parseEther('0.5'));
+  });
+
+  it('should revert when the only source is stale', async () => {
+    await aggregator.setAnswer(ethers.utils.parseEther('0.25'), (await now()) - 7200);
+    await router.setFeed(token.address, aggregatorSource(aggregator), NO_SOURCE, 3600, 0);
+
+    await expect(router.getPrice(token.address, ONE_TOKEN))
+      .to.be.revertedWith('PriceUnavailable');
+  });
+
+  it('should reject invalid sources', async () => {
+    await expect(router.setFeed(token.address, NO_SOURCE, NO_SOURCE, 0, 0))
+      .to.be.revertedWith('InvalidSource');
+    await expect(router.setFeed(token.address, { sourceType: SourceType.FixedRate, target: ethers.constants.AddressZero, rate: 0 }, NO_SOURCE, 0, 0))
+      .to.be.revertedWith('InvalidSource');
+    await expect(router.setFeed(token.address, { sourceType: SourceType.Aggregator, target: ethers.constants.AddressZero, rate: 0 }, NO_SOURCE, 0, 0))
+      .to.be.revertedWith('InvalidSource');
+  });
+
+  it('should not let other users configure feeds', async () => {
+    await expect(router.connect(user).setFeed(token.address, aggregatorSource(aggregator), NO_SOURCE, 0, 0))
+      .to.be.revertedWith('MustBeCalledByOwner');
+    await expect(router.connect(user).removeFeed(token.address))
+      .to.be.revertedWith('MustBeCalledByOwner');
+  });
+
+  describe('with a fallback source', function() {
+    beforeEach(async () => {
+      await router.setFeed(token.address, aggregatorSource(aggregator), aggregatorSource(fallbackAggregator), 3600, 500);
+    });
+
+    it('should use the primary source when both agree', async () => {
+      await aggregator.setAnswer(ethers.utils.parseEther('0.25'), await now());
+      await fallbackAggregator.setAnswer(ethers.utils.parseUnits('0.24', 8), await now());
+
+      expect(await router.getPrice(token.address, ONE_TOKEN)).to.equal(ethers.utils.parseEther('0.25'));
+    });
+
+    it('should use the fallback source when the primary is stale', async () => {
+      await aggregator.setAnswer(ethers.utils.parseEther('0.25'), (await now()) - 7200);
+      await fallbackAggregator.setAnswer(ethers.utils.parseUnits('0.2', 8), await now());
+
+      expect(await router.getPrice(token.address, ONE_TOKEN)).to.equal(ethers.utils.parseEther('0.2'));
+    });
+
+    it('should use the fallback source when the primary has no answer', async () => {
+      await fallbackAggregator.setAnswer(ethers.utils.parseUnits('0.2', 8), await now());
+
+      expect(await router.getPrice(token.address, ONE_TOKEN)).to.equal(ethers.utils.parseEther('0.2'));
+    });
+
+    it('should use the fallback source when the primary can\'t return its decimals', async () => {
+      await aggregator.setAnswer(ethers.utils.parseEther('0.25'), await now());
+      await aggregator.setBroken(true);
+      await fallbackAggregator.setAnswer(ethers.utils.parseUnits('0.2', 8), await now());
+
+      expect(await router.getPrice(token.address, ONE_TOKEN)).to.equal(ethers.utils.parseEther('0.2'));
+    });
+
+    it('should revert when both sources are stale', async () => {
+      await aggregator.setAnswer(ethers.utils.parseEther('0.25'), (await now()) - 7200);
+      await fallbackAggregator.setAnswer(ethers.utils.parseUnits('0.2', 8), (await now()) - 7200);
+
+      await expect(router.getPrice(token.address, ONE_TOKEN))
+        .to.be.revertedWith('PriceUnavailable');
+    });
+
+    it('should revert when the sources deviate too far', async () => {
+      await aggregator.setAnswer(ethers.utils.parseEther('0.25'), await now());
+      await fallbackAggregator.setAnswer(ethers.utils.parseUnits('0.2', 8), await now());
+
+      await expect(router.getPrice(token.address, ONE_TOKEN))
+        .to.be.revertedWith('PriceDeviationTooHigh');
+    });
+
+    it('should remove a feed', async () => {
+      await expect(router.removeFeed(token.address))
+        .to.emit(router, 'FeedRemoved')
+        .withArgs(token.address);
+
+      expect(await router.getPrice(token.address, ONE_TOKEN)).to.equal(0);
+      const feed = await router.getFeed(token.address);
+      expect(feed.primary.sourceType).to.equal(SourceType.None);
+    });
+  });
+
+  it('should be usable as the oracle of a SponsorAuction', async () => {
+    const TestOracle = await ethers.getContractFactory("TestOracle");
+    const testOracle = await TestOracle.deploy();
+
+    const SponsorAuction = await ethers.getContractFactory("SponsorAuction");
+    const auction = await SponsorAuction.deploy(testOracle.address);
+
+    await router.setFeed(token.address, { sourceType: SourceType.FixedRate, target: ethers.constants.AddressZero, rate: ethers.utils.parseEther('2') }, NO_SOURCE, 0, 0);
+    await auction.setOracle(router.address);
+
+    const feeCampaignId = ethers.utils.formatBytes32String('fees').substr(0, 34);
+    const tx = await auction.createSponsor(token.address, feeCampaignId, 0, 1000, 'Test');
+    const { events } = await tx.wait();
+    const rate = await auction.paymentRate(events[0].args.sponsor);
+    expect(rate.paymentPerSecondInETH).to.equal(2000);
+  });
+});
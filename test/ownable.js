@@ -0,0 +1,91 @@
+const { expect } = require("chai");
+
+describe("Ownable", function() {
+  let ownable;
+  let owner;
+  let newOwner;
+  let user;
+  const feesId = ethers.utils.formatBytes32String('fees');
+
+  before(async () => {
+    ([owner, newOwner, user] = await ethers.getSigners());
+  });
+
+  beforeEach(async () => {
+    const ListRegistry = await ethers.getContractFactory("ListRegistry");
+    ownable = await ListRegistry.deploy();
+  });
+
+  it('should transfer ownership in two steps', async () => {
+    await expect(ownable.transferOwnership(newOwner.address))
+      .to.emit(ownable, 'OwnershipTransferProposed')
+      .withArgs(newOwner.address);
+
+    expect(await ownable.owner()).to.equal(owner.address);
+    expect(await ownable.pendingOwner()).to.equal(newOwner.address);
+
+    await expect(ownable.connect(newOwner).acceptOwnership())
+      .to.emit(ownable, 'OwnershipTransferred')
+      .withArgs(newOwner.address);
+
+    expect(await ownable.owner()).to.equal(newOwner.address);
+    expect(await ownable.pendingOwner()).to.equal(ethers.constants.AddressZero);
+
+    await expect(ownable.setListAdmin(feesId, user.address, true))
+      .to.be.revertedWith('MustBeCalledByOwner');
+    await ownable.connect(newOwner).setListAdmin(feesId, user.address, true);
+  });
+
+  it('should only let the pending owner accept ownership', async () => {
+    await ownable.transferOwnership(newOwner.address);
+
+    await expect(ownable.connect(user).acceptOwnership())
+      .to.be.revertedWith('MustBeCalledByPendingOwner');
+    await expect(ownable.acceptOwnership())
+      .to.be.revertedWith('MustBeCalledByPendingOwner');
+  });
+
+  it('should not transfer ownership to the zero address', async () => {
+    await expect(ownable.transferOwnership(ethers.constants.AddressZero))
+      .to.be.revertedWith('InvalidOwner');
+  });
+
+  it('should let the owner cancel a transfer', async () => {
+    await ownable.transferOwnership(newOwner.address);
+
+    await expect(ownable.cancelOwnershipTransfer())
+      .to.emit(ownable, 'OwnershipTransferCancelled')
+      .withArgs(newOwner.address);
+
+    expect(await ownable.pendingOwner()).to.equal(ethers.constants.AddressZero);
+    await expect(ownable.connect(newOwner).acceptOwnership())
+      .to.be.revertedWith('MustBeCalledByPendingOwner');
+    await expect(ownable.cancelOwnershipTransfer())
+      .to.be.revertedWith('InvalidOwner');
+  });
+
+  it('should let the owner renounce ownership', async () => {
+    await ownable.transferOwnership(newOwner.address);
+
+    await expect(ownable.renounceOwnership())
+      .to.emit(ownable, 'OwnershipTransferred')
+      .withArgs(ethers.constants.AddressZero);
+
+    expect(await ownable.owner()).to.equal(ethers.constants.AddressZero);
+    expect(await ownable.pendingOwner()).to.equal(ethers.constants.AddressZero);
+
+    await expect(ownable.connect(newOwner).acceptOwnership())
+      .to.be.revertedWith('MustBeCalledByPendingOwner');
+    await expect(ownable.addElement(feesId, 'Element'))
+      .to.be.revertedWith('MustBeCalledByListEditor');
+  });
+
+  it('should not let other users change ownership', async () => {
+    await expect(ownable.connect(user).transferOwnership(user.address))
+      .to.be.revertedWith('MustBeCalledByOwner');
+    await expect(ownable.connect(user).cancelOwnershipTransfer())
+      .to.be.revertedWith('MustBeCalledByOwner');
+    await expect(ownable.connect(user).renounceOwnership())
+      .to.be.revertedWith('MustBeCalledByOwner');
+  });
+});
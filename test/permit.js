@@ -0,0 +1,122 @@
+const { expect } = require("chai");
+const { SponsorAuctionClient, signPermit, signDAIPermit } = require('../client');
+
+describe("Permits", function() {
+  let auction;
+  let client;
+  let sponsor1;
+  let user;
+  let deadline;
+
+  before(async () => {
+    ([, sponsor1, user] = await ethers.getSigners());
+  });
+
+  beforeEach(async () => {
+    const TestOracle = await ethers.getContractFactory("TestOracle");
+    const testOracle = await TestOracle.deploy();
+
+    const SponsorAuction = await ethers.getContractFactory("SponsorAuction");
+    auction = await SponsorAuction.deploy(testOracle.address);
+    client = new SponsorAuctionClient(auction.address, sponsor1);
+
+    // Other tests move the chain's time forward
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    deadline = timestamp + 3600;
+  });
+
+  describe('with an EIP-2612 token', function() {
+    let token;
+
+    beforeEach(async () => {
+      const TestPermitToken = await ethers.getContractFactory("TestPermitToken");
+      token = await TestPermitToken.connect(sponsor1).deploy();
+    });
+
+    it('should create a sponsor with a permit', async () => {
+      const permit = await signPermit(sponsor1, token.address, { spender: auction.address, value: 1000, deadline });
+
+      const id = await client.createSponsorWithPermit({
+        token: token.address,
+        campaign: 'fees',
+        initialDeposit: 1000,
+        paymentPerSecond: 100,
+        metadata: 'Test',
+        permit,
+      });
+
+      const sponsor = await client.getSponsor(id);
+      expect(sponsor.owner).to.equal(sponsor1.address);
+      expect((await client.sponsorBalance(id)).storedBalance).to.equal(1000);
+      expect(await token.allowance(sponsor1.address, auction.address)).to.equal(0);
+    });
+
+    it('should deposit with a permit', async () => {
+      const id = await client.createSponsor({ token: token.address, campaign: 'fees', paymentPerSecond: 100 });
+
+      const permit = await signPermit(sponsor1, token.address, { spender: auction.address, value: 500, deadline });
+      await expect(auction.connect(sponsor1).depositWithPermit(id, 500, permit))
+        .to.emit(auction, 'Deposit')
+        .withArgs(id, token.address, 500);
+
+      expect((await client.sponsorBalance(id)).storedBalance).to.equal(500);
+    });
+
+    it('should deposit if the permit was already used', async () => {
+      const id = await client.createSponsor({ token: token.address, campaign: 'fees', paymentPerSecond: 100 });
+      const permit = await signPermit(sponsor1, token.address, { spender: auction.address, value: 500, deadline });
+
+      // The permit is front-run
+      await token.connect(user).permit(sponsor1.address, auction.address, 500, deadline, permit.v, permit.r, permit.s);
+
+      await client.depositWithPermit(id, 500, permit);
+      expect((await client.sponsorBalance(id)).storedBalance).to.equal(500);
+    });
+
+    it('should not deposit to an unknown sponsor with a permit', async () => {
+      const unknownId = ethers.utils.formatBytes32String('unknown');
+      const permit = await signPermit(sponsor1, token.address, { spender: auction.address, value: 500, deadline });
+      await expect(auction.connect(sponsor1).depositWithPermit(unknownId, 500, permit))
+        .to.be.revertedWith(`InvalidSponsor("${unknownId}")`);
+    });
+
+    it('should not deposit with an invalid permit', async () => {
+      const id = await client.createSponsor({ token: token.address, campaign: 'fees', paymentPerSecond: 100 });
+
+      // Signed by another account
+      const permit = await signPermit(user, token.address, { spender: auction.address, value: 500, deadline });
+      await expect(auction.connect(sponsor1).depositWithPermit(id, 500, permit))
+        .to.be.revertedWith('ERC20: transfer amount exceeds allowance');
+    });
+  });
+
+  describe('with a DAI-style token', function() {
+    let token;
+
+    beforeEach(async () => {
+      const TestDAIPermitToken = await ethers.getContractFactory("TestDAIPermitToken");
+      token = await TestDAIPermitToken.connect(sponsor1).deploy();
+    });
+
+    it('should create a sponsor and deposit with permits', async () => {
+      let permit = await signDAIPermit(sponsor1, token.address, { spender: auction.address });
+      expect(permit.daiStyle).to.equal(true);
+
+      const id = await client.createSponsorWithPermit({
+        token: token.address,
+        campaign: 'fees',
+        initialDeposit: 1000,
+        paymentPerSecond: 100,
+        permit,
+      });
+      expect((await client.sponsorBalance(id)).storedBalance).to.equal(1000);
+      expect(await token.nonces(sponsor1.address)).to.equal(1);
+
+      // The allowance is unlimited, so the second permit is only needed if it was revoked
+      permit = await signDAIPermit(sponsor1, token.address, { spender: auction.address, expiry: deadline });
+      await client.depositWithPermit(id, 500, permit);
+      expect((await client.sponsorBalance(id)).storedBalance).to.equal(1500);
+      expect(await token.nonces(sponsor1.address)).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,210 @@
+const { expect } = require("chai");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SponsorAuctionClient, encodeCampaignName } = require('../client');
+const { buildRevenueReport, projectRunway, addRunways, formatReport } = require('../report');
+
+describe("Revenue report", function() {
+  const fees = encodeCampaignName('fees');
+  const other = encodeCampaignName('other');
+  const tokenA = '0x000000000000000000000000000000000000000A';
+  const tokenB = '0x000000000000000000000000000000000000000B';
+  const sponsor1 = ethers.utils.formatBytes32String('sponsor1');
+  const sponsor2 = ethers.utils.formatBytes32String('sponsor2');
+
+  function event(name, timestamp, args) {
+    return { contract: 'SponsorAuction', name, timestamp, args };
+  }
+
+  describe('projectRunway', function() {
+    it('should project when the balance runs out', () => {
+      expect(projectRunway({ now: 100, balance: 1000, paymentPerSecond: 10 }))
+        .to.deep.equal({ runwaySeconds: 100, runsOutAt: 200, limitedBy: 'balance' });
+
+      // The last second pays the remaining 1
+      expect(projectRunway({ now: 100, balance: 1001, paymentPerSecond: 10 }).runwaySeconds).to.equal(101);
+      expect(projectRunway({ now: 100, balance: 0, paymentPerSecond: 10 }).runwaySeconds).to.equal(0);
+    });
+
+    it('should stop at the spend limit or end times', () => {
+      expect(projectRunway({ now: 100, balance: 1000, paymentPerSecond: 10, maxSpend: 700, spent: 500 }))
+        .to.deep.equal({ runwaySeconds: 20, runsOutAt: 120, limitedBy: 'spendLimit' });
+      expect(projectRunway({ now: 100, balance: 1000, paymentPerSecond: 10, maxSpend: 700, spent: 800 }).runwaySeconds)
+        .to.equal(0);
+
+      expect(projectRunway({ now: 100, balance: 1000, paymentPerSecond: 10, endTime: 150, campaignEndTime: 160 }))
+        .to.deep.equal({ runwaySeconds: 50, runsOutAt: 150, limitedBy: 'sponsorEnd' });
+      expect(projectRunway({ now: 100, balance: 1000, paymentPerSecond: 10, endTime: 150, campaignEndTime: 140 }))
+        .to.deep.equal({ runwaySeconds: 40, runsOutAt: 140, limitedBy: 'campaignEnd' });
+    });
+
+    it('should start at the campaign start time', () => {
+      expect(projectRunway({ now: 100, balance: 1000, paymentPerSecond: 10, campaignStartTime: 500 }))
+        .to.deep.equal({ runwaySeconds: 500, runsOutAt: 600, limitedBy: 'balance' });
+    });
+
+    it('should not run out without a payment rate or end time', () => {
+      expect(projectRunway({ now: 100, balance: 1000, paymentPerSecond: 0 }))
+        .to.deep.equal({ runwaySeconds: null, runsOutAt: null, limitedBy: null });
+      expect(projectRunway({ now: 100, balance: 1000, paymentPerSecond: 0, endTime: 300 }).runwaySeconds).to.equal(200);
+    });
+
+    it('should not run out when a tiny bid has a large balance', () => {
+      const balance = ethers.utils.parseEther('1000');
+      expect(projectRunway({ now: 100, balance, paymentPerSecond: 1 }))
+        .to.deep.equal({ runwaySeconds: null, runsOutAt: null, limitedBy: null });
+      expect(projectRunway({ now: 100, balance, paymentPerSecond: 1, endTime: 300 }))
+        .to.deep.equal({ runwaySeconds: 200, runsOutAt: 300, limitedBy: 'sponsorEnd' });
+    });
+  });
+
+  describe('buildRevenueReport', function() {
+    const events = [
+      event('NewSponsor', 0, { sponsor: sponsor1, campaign: fees, token: tokenA }),
+      event('Deposit', 0, { sponsor: sponsor1, token: tokenA, amount: '1000' }),
+      event('NewSponsor', 5, { sponsor: sponsor2, campaign: other, token: tokenA }),
+      event('SponsorActivated', 10, { campaign: fees, sponsor: sponsor1 }),
+      event('PaymentProcessed', 50, { campaign: fees, sponsor: sponsor1, paymentToken: tokenA, paymentAmount: '400' }),
+      event('SponsorDeactivated', 110, { campaign: fees, sponsor: sponsor1 }),
+      event('PaymentProcessed', 110, { campaign: fees, sponsor: sponsor1, paymentToken: tokenA, paymentAmount: '600' }),
+      event('BidUpdated', 120, { sponsor: sponsor1, token: tokenB, paymentPerSecond: '5' }),
+      event('Deposit', 120, { sponsor: sponsor1, token: tokenB, amount: '500' }),
+      event('SponsorActivated', 150, { campaign: fees, sponsor: sponsor1 }),
+      event('SponsorActivated', 160, { campaign: other, sponsor: sponsor2 }),
+      event('Withdrawal', 170, { sponsor: sponsor2, token: tokenA, amount: '0' }),
+      // Created before the indexed range
+      event('Deposit', 180, { sponsor: ethers.utils.formatBytes32String('unknown'), token: tokenA, amount: '1' }),
+    ];
+
+    it('should aggregate payments, deposits & active time per sponsor and campaign', () => {
+      const report = buildRevenueReport(events, { now: 200 });
+
+      expect(report.sponsors).to.deep.equal([
+        { sponsor: sponsor1, campaign: fees, token: tokenA, paid: '1000', deposited: '1000', withdrawn: '0', activeSeconds: 100 },
+        { sponsor: sponsor1, campaign: fees, token: tokenB, paid: '0', deposited: '500', withdrawn: '0', activeSeconds: 50 },
+        { sponsor: sponsor2, campaign: other, token: tokenA, paid: '0', deposited: '0', withdrawn: '0', activeSeconds: 40 },
+      ]);
+      expect(report.campaigns).to.deep.equal([
+        { campaign: fees, token: tokenA, sponsors: 1, paid: '1000', deposited: '1000', withdrawn: '0', activeSeconds: 100 },
+        { campaign: fees, token: tokenB, sponsors: 1, paid: '0', deposited: '500', withdrawn: '0', activeSeconds: 50 },
+        { campaign: other, token: tokenA, sponsors: 1, paid: '0', deposited: '0', withdrawn: '0', activeSeconds: 40 },
+      ]);
+    });
+
+    it('should only count events and active time within the period', () => {
+      const report = buildRevenueReport(events, { now: 200, fromTimestamp: 60, toTimestamp: 155 });
+
+      expect(report.campaigns).to.deep.equal([
+        { campaign: fees, token: tokenA, sponsors: 1, paid: '600', deposited: '0', withdrawn: '0', activeSeconds: 50 },
+        { campaign: fees, token: tokenB, sponsors: 1, paid: '0', deposited: '500', withdrawn: '0', activeSeconds: 5 },
+      ]);
+    });
+
+    it('should format the report as a table or CSV', () => {
+      const report = addRunways(buildRevenueReport(events, { now: 200 }), {
+        [sponsor1]: {
+          campaign: fees,
+          token: tokenB,
+          balance: '250',
+          paymentPerSecond: '5',
+          runwaySeconds: 50,
+          runsOutAt: 250,
+          limitedBy: 'balance',
+        },
+      });
+
+      expect(formatReport(report, { format: 'csv' }).split('\n')).to.deep.equal([
+        'campaign,token,sponsors,paid,deposited,withdrawn,activeSeconds',
+        `fees,${tokenA},1,1000,1000,0,100`,
+        `fees,${tokenB},1,0,500,0,50`,
+        `other,${tokenA},1,0,0,0,40`,
+      ]);
+
+      const sponsorLines = formatReport(report, { format: 'csv', by: 'sponsor' }).split('\n');
+      expect(sponsorLines[2]).to.equal(`${sponsor1},fees,${tokenB},0,500,0,50,250,5,50,1970-01-01T00:04:10.000Z,balance`);
+      expect(sponsorLines[3]).to.equal(`${sponsor2},other,${tokenA},0,0,0,40,,,,,`);
+
+      const table = formatReport(report).split('\n');
+      expect(table[0]).to.equal(`campaign  token${' '.repeat(39)}sponsors  paid  deposited  withdrawn  activeSeconds`);
+      expect(table[1]).to.equal(`fees      ${tokenA}  1         1000  1000       0          100`);
+
+      // Timestamps past the range of a Date are printed as numbers
+      const farFuture = { sponsors: [{ ...report.sponsors[1], runsOutAt: 1e14 }] };
+      expect(formatReport(farFuture, { format: 'csv', by: 'sponsor' }).split('\n')[1])
+        .to.equal(`${sponsor1},fees,${tokenB},0,500,0,50,250,5,50,100000000000000,balance`);
+
+      expect(JSON.parse(formatReport(report, { format: 'json' }))).to.deep.equal(report);
+      expect(() => formatReport(report, { format: 'xml' })).to.throw('Unknown report format xml');
+    });
+  });
+
+  describe('from the hardhat task', function() {
+    let auction;
+    let client;
+    let token;
+    let sponsorId;
+
+    beforeEach(async () => {
+      const [, sponsor] = await ethers.getSigners();
+
+      const TestOracle = await ethers.getContractFactory("TestOracle");
+      const testOracle = await TestOracle.deploy();
+
+      const SponsorAuction = await ethers.getContractFactory("SponsorAuction");
+      auction = await SponsorAuction.deploy(testOracle.address);
+      client = new SponsorAuctionClient(auction.address, sponsor);
+
+      const TestToken = await ethers.getContractFactory("TestToken");
+      token = await TestToken.connect(sponsor).deploy();
+      await token.approve(auction.address, ethers.constants.MaxUint256);
+
+      await auction.setNumSlots(fees, 1);
+      sponsorId = await client.createSponsor({ token: token.address, campaign: 'fees', initialDeposit: 10000, paymentPerSecond: 7 });
+      await auction.setApproved(sponsorId, true);
+      await auction.lift(sponsorId);
+    });
+
+    it('should report revenue and project runway with the contract math', async () => {
+      const { lastUpdated: activatedAt } = await client.getSponsor(sponsorId);
+      await ethers.provider.send("evm_increaseTime", [100]);
+      await auction.processPayment(sponsorId);
+      const [payment] = await auction.queryFilter(auction.filters.PaymentProcessed(null, sponsorId));
+
+      const file = path.join(os.tmpdir(), `report-${Date.now()}.json`);
+      try {
+        const report = await hre.run('auction:report', { auction: auction.address, format: 'json', output: file });
+        expect(JSON.parse(fs.readFileSync(file, 'utf8'))).to.deep.equal(report);
+
+        const { timestamp: now } = await ethers.provider.getBlock('latest');
+        const { balance } = await client.sponsorBalance(sponsorId);
+
+        const [row] = report.sponsors;
+        expect(row.paid).to.equal(payment.args.paymentAmount.toString());
+        expect(row.deposited).to.equal('10000');
+        expect(row.activeSeconds).to.equal(now - activatedAt);
+        expect(row.balance).to.equal(balance.toString());
+        expect(row.runwaySeconds).to.equal(Math.ceil(balance.toNumber() / 7));
+        expect(report.campaigns[0].paid).to.equal(row.paid);
+
+        expect(row.runsOutAt).to.equal(now + row.runwaySeconds);
+
+        // The sponsor runs out when projected
+        await ethers.provider.send("evm_mine", [row.runsOutAt - 1]);
+        expect((await client.sponsorBalance(sponsorId)).balance.toNumber()).to.be.above(0);
+        await ethers.provider.send("evm_mine", [row.runsOutAt]);
+        expect((await client.sponsorBalance(sponsorId)).balance).to.equal(0);
+      } finally {
+        if (fs.existsSync(file)) {
+          fs.unlinkSync(file);
+        }
+      }
+    });
+
+    it('should filter campaigns', async () => {
+      const report = await hre.run('auction:report', { auction: auction.address, campaign: 'other', format: 'csv' });
+      expect(report.campaigns).to.deep.equal([]);
+      expect(report.sponsors).to.deep.equal([]);
+    });
+  });
+});
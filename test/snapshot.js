@@ -0,0 +1,150 @@
+const { expect } = require("chai");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ListRegistryClient, encodeListName } = require('../client');
+const { SNAPSHOT_VERSION, exportSnapshot, importSnapshot, verifySnapshot } = require('../snapshot');
+
+describe("List snapshots", function() {
+  let owner;
+  let admin;
+  let editor;
+  let source;
+  let target;
+
+  before(async () => {
+    ([owner, admin, editor] = await ethers.getSigners());
+  });
+
+  async function deployRegistry() {
+    const ListRegistry = await ethers.getContractFactory("ListRegistry");
+    const registry = await ListRegistry.deploy();
+    return new ListRegistryClient(registry.address, owner);
+  }
+
+  beforeEach(async () => {
+    source = await deployRegistry();
+    target = await deployRegistry();
+
+    await source.connect(admin).createList('tokens', { name: 'Tokens', description: 'Token symbols' });
+    await source.connect(admin).setUniqueValues('tokens', true);
+    await source.connect(admin).setListEditor('tokens', editor.address, true);
+    await source.connect(editor).addElements('tokens', ['eth', 'btc', 'dai']);
+
+    await source.addElements('fees', ['a', 'b']);
+    const [, b] = (await source.getListPage('fees')).elements;
+    await source.moveElement('fees', b.index);
+  });
+
+  it('should export every list with its indexes, settings & roles', async () => {
+    const snapshot = await exportSnapshot(source, { pageSize: 2 });
+
+    expect(snapshot.version).to.equal(SNAPSHOT_VERSION);
+    expect(snapshot.registry).to.equal(source.address);
+    expect(snapshot.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+
+    const [tokens, fees] = snapshot.lists;
+    expect(tokens).to.deep.include({
+      list: encodeListName('tokens'),
+      name: 'tokens',
+      created: true,
+      metadata: { name: 'Tokens', description: 'Token symbols', valueType: 'string' },
+      uniqueValues: true,
+      admins: [admin.address],
+      editors: [editor.address],
+    });
+    expect(tokens.elements.map(element => element.value)).to.deep.equal(['eth', 'btc', 'dai']);
+
+    expect(fees).to.deep.include({ name: 'fees', created: false, metadata: null, uniqueValues: false, admins: [], editors: [] });
+    expect(fees.elements).to.deep.equal((await source.getListPage('fees')).elements
+      .map(({ index, value }) => ({ index, value })));
+    expect(fees.elements.map(element => element.value)).to.deep.equal(['b', 'a']);
+  });
+
+  it('should export lists at a past block', async () => {
+    const blockNumber = await ethers.provider.getBlockNumber();
+    await source.addElement('fees', 'c');
+    await source.connect(admin).setListEditor('tokens', editor.address, false);
+
+    const snapshot = await exportSnapshot(source, { blockNumber });
+    const [tokens, fees] = snapshot.lists;
+    expect(tokens.editors).to.deep.equal([editor.address]);
+    expect(fees.elements.map(element => element.value)).to.deep.equal(['b', 'a']);
+  });
+
+  it('should import a snapshot into a fresh registry, keeping indexes', async () => {
+    const snapshot = await exportSnapshot(source);
+
+    expect(await importSnapshot(target, snapshot, { batchSize: 2 })).to.deep.equal({ lists: 2, elements: 5 });
+    expect(await verifySnapshot(target, snapshot)).to.deep.equal([]);
+
+    expect(await exportSnapshot(target)).to.deep.include({ lists: snapshot.lists });
+    expect(await target.indexOf('tokens', 'btc')).to.equal(await source.indexOf('tokens', 'btc'));
+
+    // Imported lists can be edited as usual
+    await target.connect(editor).addElement('tokens', 'uni');
+    const err = await target.createList('tokens').catch(e => e);
+    expect(err.errorName).to.equal('ListAlreadyExists');
+  });
+
+  it('should resume a partial import', async () => {
+    const snapshot = await exportSnapshot(source);
+    const [tokens] = snapshot.lists;
+    await target.createList(tokens.list, { assignAdmin: false, ...tokens.metadata });
+    await target.setUniqueValues(tokens.list, true);
+    await target.importElements(tokens.list, tokens.elements.slice(0, 2));
+
+    expect(await importSnapshot(target, snapshot)).to.deep.equal({ lists: 2, elements: 3 });
+    expect(await verifySnapshot(target, snapshot)).to.deep.equal([]);
+  });
+
+  it("shouldn't import into lists with other elements", async () => {
+    const snapshot = await exportSnapshot(source);
+    await target.addElement('fees', 'z');
+
+    const err = await importSnapshot(target, snapshot).catch(e => e);
+    expect(err.message).to.match(/^List fees already has elements that aren't in the snapshot/);
+  });
+
+  it('should report differences from a snapshot', async () => {
+    const snapshot = await exportSnapshot(source);
+    await importSnapshot(target, snapshot);
+
+    const [eth] = (await target.getListPage('tokens')).elements;
+    await target.removeElement('tokens', eth.index);
+    await target.setListEditor('tokens', editor.address, false);
+
+    expect(await verifySnapshot(target, snapshot)).to.deep.equal([
+      { list: 'tokens', property: 'length', expected: 3, actual: 2 },
+      {
+        list: 'tokens',
+        property: 'elements[0]',
+        expected: `${eth.index} eth`,
+        actual: `${snapshot.lists[0].elements[1].index} btc`,
+      },
+      { list: 'tokens', property: `editors.${editor.address}`, expected: true, actual: false },
+    ]);
+  });
+
+  it('should reject unsupported snapshot versions', async () => {
+    const snapshot = { ...await exportSnapshot(source), version: 2 };
+    const err = await importSnapshot(target, snapshot).catch(e => e);
+    expect(err.message).to.equal(`Unsupported snapshot version 2, expected ${SNAPSHOT_VERSION}`);
+  });
+
+  it('should migrate lists with the hardhat tasks', async () => {
+    const file = path.join(os.tmpdir(), `list-snapshot-${Date.now()}.json`);
+    try {
+      const snapshot = await hre.run('list:export', { output: file, registry: source.address });
+      expect(JSON.parse(fs.readFileSync(file, 'utf8'))).to.deep.equal(snapshot);
+
+      await hre.run('list:import', { file, registry: target.address, batchSize: 2 });
+      expect(await hre.run('list:verify', { file, registry: target.address })).to.deep.equal([]);
+      expect(await target.getFullList('fees')).to.deep.equal(['b', 'a']);
+    } finally {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    }
+  });
+});
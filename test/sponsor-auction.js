@@ -8,6 +8,7 @@ async function mineBlocks(numBlocks) {
 
 describe("SponsorAuction", function() {
   let auction;
+  let testOracle;
   let token;
   let owner;
   let sponsor1;
@@ -20,7 +21,7 @@ describe("SponsorAuction", function() {
 
   beforeEach(async () => {
     const TestOracle = await ethers.getContractFactory("TestOracle");
-    const testOracle = await TestOracle.deploy();
+    testOracle = await TestOracle.deploy();
 
     const SponsorAuction = await ethers.getContractFactory("SponsorAuction");
     auction = await SponsorAuction.deploy(testOracle.address);
@@ -54,6 +55,62 @@ describe("SponsorAuction", function() {
       .to.be.revertedWith('MustBeCalledByOwner');
   });
 
+  it('should let the owner change the oracle', async () => {
+    const SingleTokenOracle = await ethers.getContractFactory("SingleTokenOracle");
+    const newOracle = await SingleTokenOracle.deploy(token.address);
+
+    await expect(auction.setOracle(newOracle.address))
+      .to.emit(auction, 'OracleUpdated')
+      .withArgs(newOracle.address);
+    expect(await auction.oracle()).to.equal(newOracle.address);
+
+    await expect(auction.setOracle(ethers.constants.AddressZero))
+      .to.be.revertedWith('InvalidValue');
+  });
+
+  it('should not let another user change the oracle', async () => {
+    await expect(auction.connect(user).setOracle(user.address))
+      .to.be.revertedWith('MustBeCalledByOwner');
+  });
+
+  it('should let the owner set revenue splits', async () => {
+    await expect(auction.setRevenueSplits(feeCampaignId, [user.address, sponsor1.address], [1000, 2500]))
+      .to.emit(auction, 'RevenueSplitsSet')
+      .withArgs(feeCampaignId, [user.address, sponsor1.address], [1000, 2500]);
+
+    let splits = await auction.getRevenueSplits(feeCampaignId);
+    expect(splits.payees).to.deep.equal([user.address, sponsor1.address]);
+    expect(splits.shares).to.deep.equal([1000, 2500]);
+
+    // Splits are replaced, not appended
+    await auction.setRevenueSplits(feeCampaignId, [sponsor1.address], [10000]);
+    splits = await auction.getRevenueSplits(feeCampaignId);
+    expect(splits.payees).to.deep.equal([sponsor1.address]);
+    expect(splits.shares).to.deep.equal([10000]);
+
+    await auction.setRevenueSplits(feeCampaignId, [], []);
+    splits = await auction.getRevenueSplits(feeCampaignId);
+    expect(splits.payees).to.deep.equal([]);
+  });
+
+  it('should reject invalid revenue splits', async () => {
+    await expect(auction.setRevenueSplits(feeCampaignId, [user.address], [1000, 1000]))
+      .to.be.revertedWith('InvalidRevenueSplits');
+    await expect(auction.setRevenueSplits(feeCampaignId, [user.address, sponsor1.address], [5000, 5001]))
+      .to.be.revertedWith('InvalidRevenueSplits');
+    await expect(auction.setRevenueSplits(feeCampaignId, [user.address], [0]))
+      .to.be.revertedWith('InvalidRevenueSplits');
+    await expect(auction.setRevenueSplits(feeCampaignId, [ethers.constants.AddressZero], [1000]))
+      .to.be.revertedWith('InvalidRevenueSplits');
+    await expect(auction.setRevenueSplits(feeCampaignId, Array(9).fill(user.address), Array(9).fill(100)))
+      .to.be.revertedWith('InvalidRevenueSplits');
+  });
+
+  it('should not let another user set revenue splits', async () => {
+    await expect(auction.connect(user).setRevenueSplits(feeCampaignId, [user.address], [10000]))
+      .to.be.revertedWith('MustBeCalledByOwner');
+  });
+
   describe('with a campaign created', function() {
     beforeEach(async () => {
       await auction.setNumSlots(feeCampaignId, 2);
@@ -119,6 +176,198 @@ describe("SponsorAuction", function() {
 
     it('should fail when creating a bid with invalid data');
 
+    it('should let the owner set campaign terms', async () => {
+      await expect(auction.setReservePrice(feeCampaignId, 50))
+        .to.emit(auction, 'ReservePriceSet')
+        .withArgs(feeCampaignId, 50);
+      await expect(auction.setMinBidIncrement(feeCampaignId, 1000))
+        .to.emit(auction, 'MinBidIncrementSet')
+        .withArgs(feeCampaignId, 1000);
+      await expect(auction.setTokenAllowlistEnabled(feeCampaignId, true))
+        .to.emit(auction, 'TokenAllowlistEnabled')
+        .withArgs(feeCampaignId, true);
+      await expect(auction.setTokenAllowed(feeCampaignId, token.address, true))
+        .to.emit(auction, 'TokenAllowed')
+        .withArgs(feeCampaignId, token.address, true);
+
+      const campaign = await auction.getCampaign(feeCampaignId);
+      expect(campaign.slots).to.equal(2);
+      expect(campaign.reservePrice).to.equal(50);
+      expect(campaign.minBidIncrement).to.equal(1000);
+      expect(campaign.tokenAllowlistEnabled).to.equal(true);
+
+      expect(await auction.isTokenAllowed(feeCampaignId, token.address)).to.equal(true);
+      expect(await auction.isTokenAllowed(feeCampaignId, user.address)).to.equal(false);
+    });
+
+    it('should not let another user set campaign terms', async () => {
+      await expect(auction.connect(user).setReservePrice(feeCampaignId, 50))
+        .to.be.revertedWith('MustBeCalledByOwner');
+      await expect(auction.connect(user).setMinBidIncrement(feeCampaignId, 1000))
+        .to.be.revertedWith('MustBeCalledByOwner');
+      await expect(auction.connect(user).setTokenAllowlistEnabled(feeCampaignId, true))
+        .to.be.revertedWith('MustBeCalledByOwner');
+      await expect(auction.connect(user).setTokenAllowed(feeCampaignId, token.address, true))
+        .to.be.revertedWith('MustBeCalledByOwner');
+    });
+
+    it('should reject bids below the reserve price', async () => {
+      await auction.setReservePrice(feeCampaignId, 50);
+
+      await expect(auction.connect(sponsor1).createSponsor(token.address, feeCampaignId, 0, 49, 'Test'))
+        .to.be.revertedWith('BidBelowReservePrice(50, 49)');
+
+      const tx = await auction.connect(sponsor1).createSponsor(token.address, feeCampaignId, 1000, 50, 'Test');
+      const { events } = await tx.wait();
+      const id = events[3].args.sponsor;
+      await auction.setApproved(id, true);
+
+      await expect(auction.connect(sponsor1).updateBid(id, token.address, 10))
+        .to.be.revertedWith('BidBelowReservePrice(50, 10)');
+
+      // Bids made before the reserve price was raised can't be lifted
+      await auction.setReservePrice(feeCampaignId, 60);
+      await expect(auction.lift(id))
+        .to.be.revertedWith('BidBelowReservePrice(60, 50)');
+
+      await auction.connect(sponsor1).updateBid(id, token.address, 60);
+      await auction.lift(id);
+      expect(await auction.getActiveSponsors(feeCampaignId)).to.deep.equal([id]);
+    });
+
+    it('should reject bids in tokens that are not allowed', async () => {
+      const TestToken = await ethers.getContractFactory("TestToken");
+      const otherToken = await TestToken.connect(sponsor1).deploy();
+
+      await auction.setTokenAllowlistEnabled(feeCampaignId, true);
+      await auction.setTokenAllowed(feeCampaignId, token.address, true);
+
+      await expect(auction.connect(sponsor1).createSponsor(otherToken.address, feeCampaignId, 0, 100, 'Test'))
+        .to.be.revertedWith(`TokenNotAllowed("${feeCampaignId}", "${otherToken.address}")`);
+
+      const tx = await auction.connect(sponsor1).createSponsor(token.address, feeCampaignId, 0, 100, 'Test');
+      const { events } = await tx.wait();
+      const id = events[0].args.sponsor;
+      await auction.setApproved(id, true);
+
+      await expect(auction.connect(sponsor1).updateBid(id, otherToken.address, 100))
+        .to.be.revertedWith('TokenNotAllowed');
+
+      await auction.setTokenAllowed(feeCampaignId, token.address, false);
+      await expect(auction.lift(id))
+        .to.be.revertedWith('TokenNotAllowed');
+
+      await auction.setTokenAllowlistEnabled(feeCampaignId, false);
+      await auction.lift(id);
+    });
+
+    it('should require swaps to exceed the minimum bid increment', async () => {
+      await auction.setNumSlots(feeCampaignId, 1);
+      await auction.setMinBidIncrement(feeCampaignId, 1000);
+
+      const ids = [];
+      for (const bid of [100, 110, 111]) {
+        const tx = await auction.connect(sponsor1).createSponsor(token.address, feeCampaignId, 10000, bid, `Test ${bid}`);
+        const { events } = await tx.wait();
+        ids.push(events[3].args.sponsor);
+        await auction.setApproved(events[3].args.sponsor, true);
+      }
+      await auction.lift(ids[0]);
+
+      await expect(auction.swap(ids[1], ids[0]))
+        .to.be.revertedWith('InsufficentBidToSwap(100, 110)');
+
+      // rebalance applies the same increment
+      await auction.rebalance(feeCampaignId, [ids[1]]);
+      expect(await auction.getActiveSponsors(feeCampaignId)).to.deep.equal([ids[0]]);
+
+      await expect(auction.swap(ids[2], ids[0]))
+        .to.emit(auction, 'SponsorSwapped')
+        .withArgs(feeCampaignId, ids[0], ids[2]);
+    });
+
+    it('should let the owner set campaign times', async () => {
+      await expect(auction.setCampaignTimes(feeCampaignId, 1000, 2000))
+        .to.emit(auction, 'CampaignTimesSet')
+        .withArgs(feeCampaignId, 1000, 2000);
+
+      const campaign = await auction.getCampaign(feeCampaignId);
+      expect(campaign.startTime).to.equal(1000);
+      expect(campaign.endTime).to.equal(2000);
+
+      await expect(auction.setCampaignTimes(feeCampaignId, 2000, 1000))
+        .to.be.revertedWith('InvalidValue');
+      await expect(auction.connect(user).setCampaignTimes(feeCampaignId, 1000, 2000))
+        .to.be.revertedWith('MustBeCalledByOwner');
+    });
+
+    it('should only activate sponsors while the campaign runs', async () => {
+      const ids = [];
+      for (const bid of [100, 200]) {
+        const tx = await auction.connect(sponsor1).createSponsor(token.address, feeCampaignId, 100000, bid, `Test ${bid}`);
+        const { events } = await tx.wait();
+        ids.push(events[3].args.sponsor);
+        await auction.setApproved(events[3].args.sponsor, true);
+      }
+
+      const { timestamp } = await ethers.provider.getBlock('latest');
+      const startTime = timestamp + 100;
+      const endTime = timestamp + 200;
+      await auction.setCampaignTimes(feeCampaignId, startTime, endTime);
+
+      await expect(auction.lift(ids[0]))
+        .to.be.revertedWith(`CampaignNotActive("${feeCampaignId}")`);
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [startTime]);
+      await auction.lift(ids[0]);
+
+      await ethers.provider.send("evm_increaseTime", [1000]);
+      await ethers.provider.send("evm_mine");
+
+      // Payment stops at the campaign end time
+      const balance = await auction.sponsorBalance(ids[0]);
+      expect(balance.pendingPayment).to.equal(100 * 100);
+
+      await expect(auction.swap(ids[1], ids[0]))
+        .to.be.revertedWith('CampaignNotActive');
+
+      await expect(auction.connect(user).drop(ids[0]))
+        .to.emit(auction, 'PaymentProcessed')
+        .withArgs(feeCampaignId, ids[0], token.address, 100 * 100)
+        .to.emit(auction, 'SponsorDeactivated')
+        .withArgs(feeCampaignId, ids[0]);
+
+      await expect(auction.lift(ids[1]))
+        .to.be.revertedWith('CampaignNotActive');
+    });
+
+    it('should not accrue payments for inactive sponsors', async () => {
+      const tx = await auction.connect(sponsor1).createSponsor(token.address, feeCampaignId, 1000, 100, 'Test');
+      const { events } = await tx.wait();
+      await mineBlocks(3);
+
+      const balance = await auction.sponsorBalance(events[3].args.sponsor);
+      expect(balance.balance).to.equal(1000);
+      expect(balance.pendingPayment).to.equal(0);
+    });
+
+    it('should not swap sponsors from different campaigns', async () => {
+      const otherCampaignId = ethers.utils.formatBytes32String('other').substr(0, 34);
+      await auction.setNumSlots(otherCampaignId, 1);
+
+      const ids = [];
+      for (const campaignId of [feeCampaignId, otherCampaignId]) {
+        const tx = await auction.connect(sponsor1).createSponsor(token.address, campaignId, 1000, 100, campaignId);
+        const { events } = await tx.wait();
+        ids.push(events[3].args.sponsor);
+        await auction.setApproved(events[3].args.sponsor, true);
+      }
+      await auction.lift(ids[1]);
+
+      await expect(auction.swap(ids[0], ids[1]))
+        .to.be.revertedWith('InvalidValue');
+    });
+
     describe('with a sponsor created', function() {
       let sponsorId;
 
@@ -137,7 +386,51 @@ describe("SponsorAuction", function() {
         expect(sponsor.approved).to.equal(true);
       });
 
-      it('should not let normal users approve sponsors');
+      it('should not let normal users approve sponsors', async () => {
+        await expect(auction.connect(user).setApproved(sponsorId, true))
+          .to.be.revertedWith('MustBeCalledByOwner');
+        await expect(auction.connect(user).moderate(sponsorId, true, 0, ''))
+          .to.be.revertedWith('MustBeCalledByOwner');
+        await expect(auction.connect(user).moderateBatch([sponsorId], true, 0, ''))
+          .to.be.revertedWith('MustBeCalledByOwner');
+      });
+
+      it('should not moderate unknown sponsors', async () => {
+        const unknownId = ethers.utils.formatBytes32String('unknown');
+        await expect(auction.moderateBatch([sponsorId, unknownId], true, 0, ''))
+          .to.be.revertedWith(`InvalidSponsor("${unknownId}")`);
+
+        // setApproved doesn't check the sponsor, as before moderation was added
+        await expect(auction.setApproved(unknownId, true))
+          .to.emit(auction, 'ApprovalSet')
+          .withArgs(unknownId, true);
+      });
+
+      it('should approve & reject sponsors in batches', async () => {
+        const tx = await auction.connect(sponsor1).createSponsor(token.address, feeCampaignId, 1000, 100, 'Test 2');
+        const { events } = await tx.wait();
+        const sponsorId2 = events[3].args.sponsor;
+
+        await expect(auction.moderateBatch([sponsorId, sponsorId2], true, 1, 'Looks good'))
+          .to.emit(auction, 'ApprovalSet')
+          .withArgs(sponsorId, true)
+          .to.emit(auction, 'ModerationReason')
+          .withArgs(sponsorId, 1, 'Looks good')
+          .to.emit(auction, 'ApprovalSet')
+          .withArgs(sponsorId2, true)
+          .to.emit(auction, 'ModerationReason')
+          .withArgs(sponsorId2, 1, 'Looks good');
+
+        expect((await auction.getSponsor(sponsorId)).approved).to.equal(true);
+        expect((await auction.getSponsor(sponsorId2)).approved).to.equal(true);
+
+        await auction.lift(sponsorId);
+        await auction.moderateBatch([sponsorId, sponsorId2], false, 2, 'Campaign closed');
+
+        expect((await auction.getSponsor(sponsorId)).active).to.equal(false);
+        expect((await auction.getSponsor(sponsorId2)).approved).to.equal(false);
+        expect(await auction.getActiveSponsors(feeCampaignId)).to.deep.equal([]);
+      });
 
       it('should deposit and withdraw funds from a sponsor');
 
@@ -147,6 +440,55 @@ describe("SponsorAuction", function() {
 
       it('should not let unapproved sponsors be lifted to a slot');
 
+      it('should let an operator manage the sponsor', async () => {
+        expect(await auction.isOperator(sponsorId, sponsor1.address)).to.equal(true);
+        expect(await auction.isOperator(sponsorId, user.address)).to.equal(false);
+
+        await expect(auction.connect(user).withdraw(sponsorId, 100, user.address))
+          .to.be.revertedWith(`MustBeCalledBySponsorOwner("${sponsor1.address}")`);
+
+        await expect(auction.connect(sponsor1).setOperator(sponsorId, user.address, true))
+          .to.emit(auction, 'OperatorSet')
+          .withArgs(sponsorId, sponsor1.address, user.address, true);
+        expect(await auction.isOperator(sponsorId, user.address)).to.equal(true);
+
+        await expect(auction.connect(user).withdraw(sponsorId, 100, user.address))
+          .to.emit(auction, 'Withdrawal')
+          .withArgs(sponsorId, token.address, 100);
+        expect(await token.balanceOf(user.address)).to.equal(100);
+
+        await auction.connect(user).updateBid(sponsorId, token.address, 50);
+        await auction.connect(user).setSpendLimits(sponsorId, 500, 0);
+        await auction.connect(user).updateMetadata(sponsorId, 'Operated');
+        const sponsor = await auction.getSponsor(sponsorId);
+        expect(sponsor.paymentPerSecond).to.equal(50);
+        expect(sponsor.metadata).to.equal('Operated');
+
+        await auction.connect(sponsor1).setOperator(sponsorId, user.address, false);
+        await expect(auction.connect(user).withdraw(sponsorId, 100, user.address))
+          .to.be.revertedWith('MustBeCalledBySponsorOwner');
+      });
+
+      it('should not let an operator transfer the sponsor or set operators', async () => {
+        await auction.connect(sponsor1).setOperator(sponsorId, user.address, true);
+
+        await expect(auction.connect(user).transferSponsorOwnership(sponsorId, user.address))
+          .to.be.revertedWith('MustBeCalledBySponsorOwner');
+        await expect(auction.connect(user).setOperator(sponsorId, owner.address, true))
+          .to.be.revertedWith('MustBeCalledBySponsorOwner');
+      });
+
+      it('should revoke operators when the sponsor is transferred', async () => {
+        await auction.connect(sponsor1).setOperator(sponsorId, user.address, true);
+        await auction.connect(sponsor1).transferSponsorOwnership(sponsorId, owner.address);
+
+        expect(await auction.isOperator(sponsorId, owner.address)).to.equal(true);
+        expect(await auction.isOperator(sponsorId, user.address)).to.equal(false);
+        expect(await auction.isOperator(sponsorId, sponsor1.address)).to.equal(false);
+        await expect(auction.connect(user).withdraw(sponsorId, 100, user.address))
+          .to.be.revertedWith('MustBeCalledBySponsorOwner');
+      });
+
       describe('with a sponsor approved', function() {
         beforeEach(async () => {
           await auction.setApproved(sponsorId, true);
@@ -202,6 +544,59 @@ describe("SponsorAuction", function() {
             expect(amountCollected).to.equal(400);
           });
 
+          it('should split payments between payees, who withdraw their own revenue', async () => {
+            const [, , , payee1, payee2] = await ethers.getSigners();
+            await auction.setRevenueSplits(feeCampaignId, [payee1.address, payee2.address], [2500, 1000]);
+
+            // The sponsor has paid 200 when the payment is processed
+            await expect(auction.processPayment(sponsorId))
+              .to.emit(auction, 'RevenueCredited')
+              .withArgs(feeCampaignId, payee1.address, token.address, 50)
+              .to.emit(auction, 'RevenueCredited')
+              .withArgs(feeCampaignId, payee2.address, token.address, 20);
+
+            expect(await auction.revenueBalance(payee1.address, token.address)).to.equal(50);
+            expect(await auction.revenueBalance(payee2.address, token.address)).to.equal(20);
+            expect(await auction.paymentCollected(token.address)).to.equal(130);
+
+            await expect(auction.connect(payee1).withdrawRevenue(token.address, user.address))
+              .to.emit(auction, 'RevenueWithdrawal')
+              .withArgs(payee1.address, token.address, user.address, 50);
+            expect(await token.balanceOf(user.address)).to.equal(50);
+            expect(await auction.revenueBalance(payee1.address, token.address)).to.equal(0);
+            expect(await auction.revenueAccrued(payee1.address, token.address)).to.equal(50);
+
+            // Withdrawing again transfers nothing
+            await expect(auction.connect(payee1).withdrawRevenue(token.address, user.address))
+              .to.not.emit(auction, 'RevenueWithdrawal');
+
+            // 300 is paid 3 blocks later
+            await auction.processPayment(sponsorId);
+            expect(await auction.revenueBalance(payee1.address, token.address)).to.equal(75);
+            expect(await auction.revenueAccrued(payee1.address, token.address)).to.equal(125);
+            expect(await auction.revenueBalance(payee2.address, token.address)).to.equal(50);
+
+            // The owner can only withdraw their own share
+            await expect(auction.withdrawTreasury(token.address, owner.address))
+              .to.emit(auction, 'TreasuryWithdrawal')
+              .withArgs(token.address, owner.address, 325);
+          });
+
+          it('should settle payment before adding a deposit', async () => {
+            await mineBlocks(2);
+
+            // 300 is paid from the previous balance
+            await expect(auction.connect(sponsor1).deposit(sponsorId, 500))
+              .to.emit(auction, 'PaymentProcessed')
+              .withArgs(feeCampaignId, sponsorId, token.address, 300)
+              .to.emit(auction, 'Deposit')
+              .withArgs(sponsorId, token.address, 500);
+
+            const balance = await auction.sponsorBalance(sponsorId);
+            expect(balance.storedBalance).to.equal(1200);
+            expect((await auction.getSponsor(sponsorId)).active).to.equal(true);
+          });
+
           it('should accrue payment over time, and let the sponsor withdraw the remainder', async () => {
             let balance = await auction.sponsorBalance(sponsorId);
             expect(balance.balance).to.equal(1000);
@@ -272,6 +667,140 @@ describe("SponsorAuction", function() {
 
           it('should not let an active sponsor be "lifted"');
 
+          it('should settle and deactivate a sponsor when it is rejected', async () => {
+            await expect(auction.moderate(sponsorId, false, 3, 'Misleading content'))
+              .to.emit(auction, 'PaymentProcessed')
+              .withArgs(feeCampaignId, sponsorId, token.address, 100)
+              .to.emit(auction, 'SponsorDeactivated')
+              .withArgs(feeCampaignId, sponsorId)
+              .to.emit(auction, 'ApprovalSet')
+              .withArgs(sponsorId, false)
+              .to.emit(auction, 'ModerationReason')
+              .withArgs(sponsorId, 3, 'Misleading content');
+
+            const sponsor = await auction.getSponsor(sponsorId);
+            expect(sponsor.active).to.equal(false);
+            expect(sponsor.approved).to.equal(false);
+            expect(await auction.getActiveSponsors(feeCampaignId)).to.deep.equal([]);
+            expect((await auction.getCampaign(feeCampaignId)).activeSlots).to.equal(0);
+
+            await expect(auction.lift(sponsorId))
+              .to.be.revertedWith('UnapprovedSponsor');
+
+            // The sponsor resubmits with new metadata, and is approved again
+            await expect(auction.connect(sponsor1).updateMetadata(sponsorId, 'Fixed'))
+              .to.emit(auction, 'MetadataUpdated')
+              .withArgs(sponsorId, 'Fixed');
+            await auction.moderate(sponsorId, true, 0, '');
+            await auction.lift(sponsorId);
+            expect(await auction.getActiveSponsors(feeCampaignId)).to.deep.equal([sponsorId]);
+          });
+
+          it('should deactivate a sponsor when it is unapproved', async () => {
+            await expect(auction.setApproved(sponsorId, false))
+              .to.emit(auction, 'SponsorDeactivated')
+              .withArgs(feeCampaignId, sponsorId);
+
+            expect(await auction.getActiveSponsors(feeCampaignId)).to.deep.equal([]);
+          });
+
+          it('should deactivate & unapprove a sponsor when its metadata changes', async () => {
+            await expect(auction.connect(sponsor1).updateMetadata(sponsorId, 'New metadata'))
+              .to.emit(auction, 'SponsorDeactivated')
+              .withArgs(feeCampaignId, sponsorId)
+              .to.emit(auction, 'ApprovalSet')
+              .withArgs(sponsorId, false);
+
+            const sponsor = await auction.getSponsor(sponsorId);
+            expect(sponsor.active).to.equal(false);
+            expect(sponsor.approved).to.equal(false);
+            expect(sponsor.metadata).to.equal('New metadata');
+            expect((await auction.getCampaign(feeCampaignId)).activeSlots).to.equal(0);
+          });
+
+          it('should only deactivate a sponsor once its payment exceeds its balance', async () => {
+            const { timestamp } = await ethers.provider.getBlock('latest');
+
+            // Paying exactly the balance leaves the sponsor active
+            await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp + 10]);
+            await expect(auction.connect(user).processPayment(sponsorId))
+              .to.emit(auction, 'PaymentProcessed')
+              .withArgs(feeCampaignId, sponsorId, token.address, 1000);
+            expect((await auction.getSponsor(sponsorId)).active).to.equal(true);
+
+            await expect(auction.connect(user).processPayment(sponsorId))
+              .to.emit(auction, 'SponsorDeactivated')
+              .withArgs(feeCampaignId, sponsorId);
+          });
+
+          it('should deactivate a sponsor once its payment reaches its spend limit', async () => {
+            await auction.connect(sponsor1).setSpendLimits(sponsorId, 300, 0);
+            const { timestamp } = await ethers.provider.getBlock('latest');
+
+            await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp + 2]);
+            await expect(auction.connect(user).processPayment(sponsorId))
+              .to.emit(auction, 'PaymentProcessed')
+              .withArgs(feeCampaignId, sponsorId, token.address, 200)
+              .to.emit(auction, 'SponsorDeactivated')
+              .withArgs(feeCampaignId, sponsorId);
+          });
+
+          it('should stop payments at the sponsor spend limit', async () => {
+            await expect(auction.connect(sponsor1).setSpendLimits(sponsorId, 300, 0))
+              .to.emit(auction, 'SpendLimitsSet')
+              .withArgs(sponsorId, 300, 0);
+
+            // Payment up to the limit change was settled
+            let limits = await auction.getSpendLimits(sponsorId);
+            expect(limits.maxSpend).to.equal(300);
+            expect(limits.spent).to.equal(100);
+
+            await mineBlocks(5);
+
+            let balance = await auction.sponsorBalance(sponsorId);
+            expect(balance.pendingPayment).to.equal(200);
+            expect(balance.balance).to.equal(700);
+
+            await expect(auction.connect(user).processPayment(sponsorId))
+              .to.emit(auction, 'PaymentProcessed')
+              .withArgs(feeCampaignId, sponsorId, token.address, 200)
+              .to.emit(auction, 'SponsorDeactivated')
+              .withArgs(feeCampaignId, sponsorId);
+
+            limits = await auction.getSpendLimits(sponsorId);
+            expect(limits.spent).to.equal(300);
+            balance = await auction.sponsorBalance(sponsorId);
+            expect(balance.storedBalance).to.equal(700);
+
+            await expect(auction.lift(sponsorId))
+              .to.be.revertedWith('SponsorEnded');
+          });
+
+          it('should stop payments at the sponsor end time', async () => {
+            const { lastUpdated: liftTime } = await auction.getSponsor(sponsorId);
+            await auction.connect(sponsor1).setSpendLimits(sponsorId, 0, liftTime + 5);
+            const { spent } = await auction.getSpendLimits(sponsorId);
+
+            await mineBlocks(10);
+
+            // Only the 5 seconds up to the end time are paid
+            const balance = await auction.sponsorBalance(sponsorId);
+            expect(balance.pendingPayment.add(spent)).to.equal(500);
+            expect(balance.balance).to.equal(500);
+
+            await expect(auction.connect(user).drop(sponsorId))
+              .to.emit(auction, 'SponsorDeactivated')
+              .withArgs(feeCampaignId, sponsorId);
+
+            const { spent: totalSpent } = await auction.getSpendLimits(sponsorId);
+            expect(totalSpent).to.equal(500);
+          });
+
+          it('should not let another user set spend limits', async () => {
+            await expect(auction.connect(user).setSpendLimits(sponsorId, 300, 0))
+              .to.be.revertedWith('MustBeCalledBySponsorOwner');
+          });
+
           describe('with more sponsors than slots', function() {
             let sponsorId2;
             let sponsorId3;
@@ -360,6 +889,102 @@ describe("SponsorAuction", function() {
                 .to.emit(auction, 'SponsorSwapped')
                 .withArgs(feeCampaignId, sponsorId3, sponsorId2);
             });
+
+            it('should rebalance a campaign in one call', async () => {
+              await expect(auction.connect(user).rebalance(feeCampaignId, [sponsorId2, sponsorId3]))
+                .to.emit(auction, 'SponsorActivated')
+                .withArgs(feeCampaignId, sponsorId3)
+                .to.emit(auction, 'SponsorDeactivated')
+                .withArgs(feeCampaignId, sponsorId)
+                .to.emit(auction, 'SponsorActivated')
+                .withArgs(feeCampaignId, sponsorId2)
+                .to.emit(auction, 'SponsorSwapped')
+                .withArgs(feeCampaignId, sponsorId, sponsorId2);
+
+              const activeSponsors = await auction.getActiveSponsors(feeCampaignId);
+              expect(activeSponsors).to.deep.equal([sponsorId2, sponsorId3]);
+
+              const campaign = await auction.getCampaign(feeCampaignId);
+              expect(campaign.activeSlots).to.equal(2);
+            });
+
+            it('should drop empty and excess sponsors when rebalancing', async () => {
+              await auction.lift(sponsorId2);
+              await auction.setNumSlots(feeCampaignId, 1);
+
+              await expect(auction.rebalance(feeCampaignId, []))
+                .to.emit(auction, 'SponsorDeactivated')
+                .withArgs(feeCampaignId, sponsorId);
+              expect(await auction.getActiveSponsors(feeCampaignId)).to.deep.equal([sponsorId2]);
+
+              await ethers.provider.send("evm_increaseTime", [10000])
+              await ethers.provider.send("evm_mine");
+
+              await expect(auction.rebalance(feeCampaignId, [sponsorId3]))
+                .to.emit(auction, 'SponsorDeactivated')
+                .withArgs(feeCampaignId, sponsorId2)
+                .to.emit(auction, 'SponsorActivated')
+                .withArgs(feeCampaignId, sponsorId3);
+              expect(await auction.getActiveSponsors(feeCampaignId)).to.deep.equal([sponsorId3]);
+
+              const balance = await auction.sponsorBalance(sponsorId2);
+              expect(balance.storedBalance).to.equal(0);
+            });
+
+            it('should keep track of sponsors moved into a cleared slot', async () => {
+              await auction.setNumSlots(feeCampaignId, 3);
+              await auction.lift(sponsorId2);
+              await auction.lift(sponsorId3);
+              await auction.setNumSlots(feeCampaignId, 2);
+
+              // Dropping the first sponsor moves the last one into its slot
+              await auction.rebalance(feeCampaignId, []);
+              expect(await auction.getActiveSponsors(feeCampaignId)).to.deep.equal([sponsorId3, sponsorId2]);
+
+              await expect(auction.connect(sponsor1).withdraw(sponsorId3, 0, sponsor1.address))
+                .to.emit(auction, 'SponsorDeactivated')
+                .withArgs(feeCampaignId, sponsorId3);
+              expect(await auction.getActiveSponsors(feeCampaignId)).to.deep.equal([sponsorId2]);
+
+              await auction.lift(sponsorId);
+              await auction.connect(sponsor1).withdraw(sponsorId2, 0, sponsor1.address);
+              expect(await auction.getActiveSponsors(feeCampaignId)).to.deep.equal([sponsorId]);
+            });
+
+            it('should skip ineligible candidates when rebalancing', async () => {
+              const tx = await auction.connect(sponsor1).createSponsor(token.address, feeCampaignId, 1000, 500, 'Test');
+              const { events } = await tx.wait();
+              const unapprovedId = events[3].args.sponsor;
+
+              const otherCampaignId = ethers.utils.formatBytes32String('other').substr(0, 34);
+              const tx2 = await auction.connect(sponsor1).createSponsor(token.address, otherCampaignId, 1000, 500, 'Test');
+              const { events: events2 } = await tx2.wait();
+              const otherCampaignSponsorId = events2[3].args.sponsor;
+              await auction.setApproved(otherCampaignSponsorId, true);
+
+              await auction.rebalance(feeCampaignId, [sponsorId, unapprovedId, otherCampaignSponsorId, sponsorId3, sponsorId3]);
+
+              expect(await auction.getActiveSponsors(feeCampaignId)).to.deep.equal([sponsorId, sponsorId3]);
+              expect((await auction.getSponsor(unapprovedId)).active).to.equal(false);
+              expect((await auction.getSponsor(otherCampaignSponsorId)).active).to.equal(false);
+            });
+
+            it('should skip candidates whose token can\'t be priced when rebalancing', async () => {
+              const TestToken = await ethers.getContractFactory("TestToken");
+              const brokenToken = await TestToken.connect(sponsor1).deploy();
+              await brokenToken.approve(auction.address, ethers.constants.MaxUint256);
+              const tx = await auction.connect(sponsor1).createSponsor(brokenToken.address, feeCampaignId, 1000, 500, 'Test');
+              const { events } = await tx.wait();
+              const brokenId = events[3].args.sponsor;
+              await auction.setApproved(brokenId, true);
+              await testOracle.setBroken(brokenToken.address, true);
+
+              await auction.connect(user).rebalance(feeCampaignId, [brokenId, sponsorId2, sponsorId3]);
+
+              const activeSponsors = await auction.getActiveSponsors(feeCampaignId);
+              expect([...activeSponsors].sort()).to.deep.equal([sponsorId2, sponsorId3].sort());
+              expect((await auction.getSponsor(brokenId)).active).to.equal(false);
+            });
           });
         });
       });
@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+
+async function increaseTime(seconds) {
+  await ethers.provider.send("evm_increaseTime", [seconds]);
+  await ethers.provider.send("evm_mine");
+}
+
+describe("UniswapV3TWAPOracle", function() {
+  let oracle;
+  let weth;
+  let token;
+  let pool;
+  let user;
+  const WINDOW = 1800;
+  // 1.0001^6932 ~= 2
+  const TICK_FOR_2X = 6932;
+
+  before(async () => {
+    ([, user] = await ethers.getSigners());
+  });
+
+  beforeEach(async () => {
+    const WETH = await ethers.getContractFactory("WETH");
+    weth = await WETH.deploy();
+
+    const TestToken = await ethers.getContractFactory("TestToken");
+    token = await TestToken.deploy();
+
+    const TestUniswapV3Pool = await ethers.getContractFactory("TestUniswapV3Pool");
+    pool = await TestUniswapV3Pool.deploy(token.address, weth.address);
+
+    const UniswapV3TWAPOracle = await ethers.getContractFactory("UniswapV3TWAPOracle");
+    oracle = await UniswapV3TWAPOracle.deploy(weth.address, WINDOW);
+  });
+
+  function expectCloseTo(actual, expected) {
+    const diff = actual.sub(expected).abs();
+    expect(diff.lte(expected.div(1000)), `${actual} is not close to ${expected}`).to.equal(true);
+  }
+
+  it('should price WETH 1:1', async () => {
+    expect(await oracle.getPrice(weth.address, 1000)).to.equal(1000);
+  });
+
+  it('should return 0 for tokens without a pool', async () => {
+    expect(await oracle.getPrice(token.address, 1000)).to.equal(0);
+  });
+
+  it('should reject pools that are not paired with WETH', async () => {
+    const TestToken = await ethers.getContractFactory("TestToken");
+    const otherToken = await TestToken.deploy();
+
+    await expect(oracle.setPool(otherToken.address, pool.address))
+      .to.be.revertedWith('InvalidPool');
+  });
+
+  it('should not let other users configure the oracle', async () => {
+    await expect(oracle.connect(user).setPool(token.address, pool.address))
+      .to.be.revertedWith('MustBeCalledByOwner');
+    await expect(oracle.connect(user).setTWAPWindow(60))
+      .to.be.revertedWith('MustBeCalledByOwner');
+  });
+
+  describe('with a pool configured', function() {
+    let tokenIsToken0;
+
+    beforeEach(async () => {
+      await expect(oracle.setPool(token.address, pool.address))
+        .to.emit(oracle, 'PoolSet')
+        .withArgs(token.address, pool.address);
+      tokenIsToken0 = (await pool.token0()) === token.address;
+    });
+
+    // Ticks price token1 in terms of token0
+    const tickForTokenPrice = (tick) => tokenIsToken0 ? tick : -tick;
+
+    it('should price a token at its time-weighted average price', async () => {
+      await pool.setTick(tickForTokenPrice(TICK_FOR_2X));
+      await increaseTime(WINDOW);
+
+      const amount = ethers.utils.parseEther('1');
+      expectCloseTo(await oracle.getPrice(token.address, amount), ethers.utils.parseEther('2'));
+    });
+
+    it('should price a token in the other token order', async () => {
+      await pool.setTick(tickForTokenPrice(-TICK_FOR_2X));
+      await increaseTime(WINDOW);
+
+      const amount = ethers.utils.parseEther('1');
+      expectCloseTo(await oracle.getPrice(token.address, amount), ethers.utils.parseEther('0.5'));
+    });
+
+    it('should average the price over the window', async () => {
+      await pool.setTick(tickForTokenPrice(0));
+      await increaseTime(WINDOW);
+
+      // Half the window at 1:1, half at ~4:1 gives an average tick of ~2:1
+      await pool.setTick(tickForTokenPrice(TICK_FOR_2X * 2));
+      await increaseTime(WINDOW / 2 - 1);
+
+      const amount = ethers.utils.parseEther('1');
+      expectCloseTo(await oracle.getPrice(token.address, amount), ethers.utils.parseEther('2'));
+    });
+
+    it('should remove a pool', async () => {
+      await oracle.setPool(token.address, ethers.constants.AddressZero);
+      expect(await oracle.getPrice(token.address, 1000)).to.equal(0);
+    });
+
+    it('should let the owner change the window', async () => {
+      await expect(oracle.setTWAPWindow(60))
+        .to.emit(oracle, 'TWAPWindowSet')
+        .withArgs(60);
+      expect(await oracle.twapWindow()).to.equal(60);
+
+      await expect(oracle.setTWAPWindow(0))
+        .to.be.revertedWith('InvalidTWAPWindow');
+    });
+
+    it('should let bids in the token be compared in a SponsorAuction', async () => {
+      const SponsorAuction = await ethers.getContractFactory("SponsorAuction");
+      const auction = await SponsorAuction.deploy(oracle.address);
+
+      await pool.setTick(tickForTokenPrice(TICK_FOR_2X));
+      await increaseTime(WINDOW);
+
+      const feeCampaignId = ethers.utils.formatBytes32String('fees').substr(0, 34);
+      const tx = await auction.createSponsor(token.address, feeCampaignId, 0, 1000, 'Test');
+      const { events } = await tx.wait();
+      const rate = await auction.paymentRate(events[0].args.sponsor);
+
+      expect(rate.paymentPerSecond).to.equal(1000);
+      expect(rate.paymentPerSecondInETH).to.be.within(1995, 2000);
+    });
+  });
+});
@@ -91,5 +91,65 @@ describe("WETH Adapter", function() {
 
       expect(balance.storedBalance).to.equal(200);
     });
+
+    it('should withdraw funds as ETH once the adapter is an operator', async () => {
+      await adapter.connect(sponsor1).deposit(sponsorId, { value: 200 });
+
+      await expect(adapter.connect(sponsor1).withdrawETH(sponsorId, 50))
+        .to.be.revertedWith(`MustBeCalledBySponsorOwner("${sponsor1.address}")`);
+
+      await auction.connect(sponsor1).setOperator(sponsorId, adapter.address, true);
+
+      await expect(adapter.connect(user).withdrawETH(sponsorId, 50))
+        .to.be.revertedWith(`MustBeCalledBySponsorOwner("${sponsor1.address}")`);
+
+      await expect(() => adapter.connect(sponsor1).withdrawETH(sponsorId, 50))
+        .to.changeEtherBalance(sponsor1, 50);
+      expect((await auction.sponsorBalance(sponsorId)).storedBalance).to.equal(150);
+
+      // Withdraws the full balance
+      await expect(() => adapter.connect(sponsor1).withdrawETH(sponsorId, 0))
+        .to.changeEtherBalance(sponsor1, 150);
+      expect((await auction.sponsorBalance(sponsorId)).storedBalance).to.equal(0);
+      expect(await weth.balanceOf(adapter.address)).to.equal(0);
+    });
+
+    it('should update a bid and deposit ETH', async () => {
+      await auction.connect(sponsor1).setOperator(sponsorId, adapter.address, true);
+
+      await expect(adapter.connect(sponsor1).updateBid(sponsorId, 50, { value: 300 }))
+        .to.emit(auction, 'BidUpdated')
+        .withArgs(sponsorId, weth.address, 50)
+        .to.emit(auction, 'Deposit')
+        .withArgs(sponsorId, weth.address, 300);
+
+      const rate = await auction.paymentRate(sponsorId);
+      expect(rate.paymentPerSecond).to.equal(50);
+      expect((await auction.sponsorBalance(sponsorId)).storedBalance).to.equal(300);
+    });
+
+    it('should withdraw the balance of another token when switching a bid to WETH', async () => {
+      const TestToken = await ethers.getContractFactory("TestToken");
+      const token = await TestToken.connect(sponsor1).deploy();
+      await token.approve(auction.address, ethers.constants.MaxUint256);
+
+      const tx = await auction.connect(sponsor1).createSponsor(token.address, feeCampaignId, 1000, 100, 'Test');
+      const { events } = await tx.wait();
+      const tokenSponsorId = events[3].args.sponsor;
+      await auction.connect(sponsor1).setOperator(tokenSponsorId, adapter.address, true);
+
+      const startingBalance = await token.balanceOf(sponsor1.address);
+      await adapter.connect(sponsor1).updateBid(tokenSponsorId, 100, { value: 200 });
+
+      expect(await token.balanceOf(sponsor1.address)).to.equal(startingBalance.add(1000));
+      const sponsor = await auction.getSponsor(tokenSponsorId);
+      expect(sponsor.token).to.equal(weth.address);
+      expect((await auction.sponsorBalance(tokenSponsorId)).storedBalance).to.equal(200);
+    });
+
+    it('should not accept ETH from other addresses', async () => {
+      await expect(user.sendTransaction({ to: adapter.address, value: 100 }))
+        .to.be.revertedWith('InvalidValue');
+    });
   });
 });